@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const Collector = require('../src/Collector');
+const HttpTransport = require('../src/transports/HttpTransport');
+const { signPayload } = require('../src/utils/signing');
+
+describe('Collector', () => {
+  let dir;
+  let collector;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consoletext-collector-'));
+  });
+
+  afterEach(async () => {
+    if (collector) await collector.close();
+    collector = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const start = async options => {
+    collector = new Collector(Object.assign({ port: 0 }, options));
+    await collector.listen();
+    return collector;
+  };
+
+  const request = (url, options = {}) => new Promise((resolve, reject) => {
+    const req = http.request(url, { method: options.method || 'POST', headers: options.headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body ? JSON.parse(body) : null }));
+    });
+    req.on('error', reject);
+    req.end(options.body);
+  });
+
+  const record = (message, extra) => Object.assign({ level: 'info', message, timestamp: '2026-10-19T12:30:05.123Z' }, extra);
+
+  test('should store batches posted by the HTTP transport as NDJSON', async () => {
+    const file = path.join(dir, 'logs.ndjson');
+    const onRecords = jest.fn();
+    await start({ apiKey: 'secret', file, path: '/logs', onRecords });
+
+    const transport = new HttpTransport({ endpoint: collector.url, apiKey: 'secret', retries: 0 });
+    transport.log(record('first'));
+    transport.log(record('second', { context: { requestId: 'r1' } }));
+    await transport.close();
+    await collector.close();
+
+    const stored = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(stored.map(entry => entry.message)).toEqual(['first', 'second']);
+    expect(stored[1].context).toEqual({ requestId: 'r1' });
+    expect(onRecords).toHaveBeenCalledWith(stored);
+    expect(collector.received).toBe(2);
+    collector = null;
+  });
+
+  test('should accept signed and compressed batches from the HTTP transport', async () => {
+    const onRecords = jest.fn();
+    await start({ signingSecret: 'secret', onRecords });
+
+    const transport = new HttpTransport({
+      endpoint: collector.url,
+      signingSecret: 'secret',
+      compression: 'gzip',
+      compressionThreshold: 0,
+      retries: 0
+    });
+    transport.log(record('signed'));
+    await transport.close();
+
+    expect(onRecords).toHaveBeenCalledWith([record('signed')]);
+  });
+
+  test('should answer 500 and keep serving when the file cannot be written', async () => {
+    const onError = jest.fn();
+    fs.writeFileSync(path.join(dir, 'plain'), '');
+    await start({ file: path.join(dir, 'plain', 'logs.ndjson'), onError });
+    const body = JSON.stringify([record('lost')]);
+
+    const failed = await request(collector.url, { body });
+    expect(failed).toMatchObject({ status: 500, body: { error: 'Failed to store records' } });
+    expect(onError).toHaveBeenCalledWith(expect.stringMatching(/^ConsoleText: Failed to write .*logs\.ndjson: /));
+    expect((await request(collector.url, { body })).status).toBe(500);
+    expect(collector.received).toBe(0);
+  });
+
+  test('should reject unsigned, tampered and replayed requests', async () => {
+    await start({ signingSecret: 'secret' });
+    const body = JSON.stringify([record('hi')]);
+    const signed = signPayload(body, 'secret');
+
+    expect((await request(collector.url, { body })).body).toEqual({ error: 'Missing signature' });
+    expect((await request(collector.url, { body: body.replace('hi', 'ho'), headers: signed })).body).toEqual({ error: 'Invalid signature' });
+    expect((await request(collector.url, { body, headers: signPayload(body, 'secret', Date.now() - 600000) })).status).toBe(401);
+
+    expect((await request(collector.url, { body, headers: signed })).status).toBe(204);
+    const replayed = await request(collector.url, { body, headers: signed });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body).toEqual({ error: 'Replayed request' });
+    expect(collector.received).toBe(1);
+  });
+
+  test('should decompress gzip and deflate bodies within the size limit', async () => {
+    await start({ maxBodySize: 1024 });
+    const body = JSON.stringify([record('packed')]);
+
+    expect((await request(collector.url, { body: zlib.gzipSync(body), headers: { 'Content-Encoding': 'gzip' } })).status).toBe(204);
+    expect((await request(collector.url, { body: zlib.deflateSync(body), headers: { 'Content-Encoding': 'deflate' } })).status).toBe(204);
+    expect(collector.received).toBe(2);
+
+    const bomb = await request(collector.url, { body: zlib.gzipSync(' '.repeat(4096)), headers: { 'Content-Encoding': 'gzip' } });
+    expect(bomb).toMatchObject({ status: 413, body: { error: 'Decompressed body exceeds 1024 bytes' } });
+    expect((await request(collector.url, { body, headers: { 'Content-Encoding': 'gzip' } })).status).toBe(400);
+    expect((await request(collector.url, { body, headers: { 'Content-Encoding': 'br' } })).status).toBe(415);
+  });
+
+  test('should reject requests without the API key', async () => {
+    await start({ apiKey: 'secret' });
+    const body = JSON.stringify([record('hi')]);
+
+    const missing = await request(collector.url, { body });
+    const wrong = await request(collector.url, { body, headers: { Authorization: 'Bearer nope' } });
+
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+    expect(wrong.status).toBe(401);
+    expect(wrong.body).toEqual({ error: 'Invalid or missing API key' });
+    expect(collector.received).toBe(0);
+  });
+
+  test('should reject bodies that are not record batches', async () => {
+    await start();
+
+    expect((await request(collector.url, { body: '{not json' })).status).toBe(400);
+    expect((await request(collector.url, { body: '{"level":"info","message":"x"}' })).body)
+      .toEqual({ error: 'Expected an array of log records' });
+    expect((await request(collector.url, { body: '[{"level":"info"}]' })).status).toBe(400);
+    expect((await request(collector.url, { body: '[]' })).status).toBe(204);
+  });
+
+  test('should reject oversized bodies, other methods and other paths', async () => {
+    await start({ path: '/logs', maxBodySize: 64 });
+
+    const large = await request(collector.url, { body: JSON.stringify([record('x'.repeat(100))]) });
+    expect(large.status).toBe(413);
+
+    const get = await request(collector.url, { method: 'GET' });
+    expect(get.status).toBe(405);
+    expect(get.headers.allow).toBe('POST');
+
+    expect((await request(collector.url.replace('/logs', '/other'), { body: '[]' })).status).toBe(404);
+  });
+
+  test('should answer CORS preflight requests unless disabled', async () => {
+    await start();
+    const preflight = await request(collector.url, { method: 'OPTIONS' });
+
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers['access-control-allow-origin']).toBe('*');
+    expect(preflight.headers['access-control-allow-headers']).toBe('Content-Type, Authorization');
+    const custom = await request(collector.url, { method: 'OPTIONS', headers: { 'Access-Control-Request-Headers': 'content-type, x-tenant' } });
+    expect(custom.headers['access-control-allow-headers']).toBe('content-type, x-tenant');
+    await collector.close();
+
+    await start({ cors: false });
+    expect((await request(collector.url, { method: 'OPTIONS' })).status).toBe(405);
+  });
+});
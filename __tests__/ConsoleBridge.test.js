@@ -1,4 +1,5 @@
 const ConsoleText = require('../src/ConsoleText');
+const ConsoleRegistry = require('../src/ConsoleRegistry');
 const axios = require('axios');
 
 jest.mock('axios');
@@ -6,8 +7,11 @@ jest.mock('axios');
 describe('ConsoleText', () => {
   let consoleText;
   let originalConsole;
+  let exitListeners;
 
   beforeEach(() => {
+    exitListeners = process.listeners('beforeExit');
+
     // Store original console methods
     originalConsole = {
       log: console.log,
@@ -18,7 +22,10 @@ describe('ConsoleText', () => {
       dir: console.dir,
       table: console.table,
       time: console.time,
+      timeLog: console.timeLog,
       timeEnd: console.timeEnd,
+      count: console.count,
+      countReset: console.countReset,
       trace: console.trace
     };
 
@@ -26,11 +33,19 @@ describe('ConsoleText', () => {
   });
 
   afterEach(() => {
+    // Drop layers of instances a test did not restore
+    ConsoleRegistry.shared().reset();
+
     // Restore original console methods
     Object.keys(originalConsole).forEach(method => {
       console[method] = originalConsole[method];
     });
     delete console.text;
+
+    // Instances with transports keep their beforeExit listener until close()
+    process.listeners('beforeExit')
+      .filter(listener => !exitListeners.includes(listener))
+      .forEach(listener => process.removeListener('beforeExit', listener));
     jest.resetAllMocks();
   });
 
@@ -39,7 +54,47 @@ describe('ConsoleText', () => {
       endpoint: null,
       apiKey: null,
       colorize: true,
-      silent: false
+      silent: false,
+      batchSize: 10,
+      flushInterval: 1000,
+      maxBufferSize: 1000,
+      dropPolicy: 'oldest',
+      retries: 3,
+      retryDelay: 500,
+      retryMaxDelay: 30000,
+      spoolDir: null,
+      maxSpoolSize: 10000,
+      headers: null,
+      signingSecret: null,
+      compression: null,
+      compressionThreshold: 1024,
+      timeout: 10000,
+      consoleLevel: 'debug',
+      remoteLevel: ['text'],
+      remoteMethods: [],
+      maxDepth: 10,
+      maxStringLength: 10000,
+      maxArrayLength: 100,
+      redact: null,
+      file: null,
+      syslog: null,
+      otlp: null,
+      theme: null,
+      badges: false,
+      format: null,
+      name: null,
+      mode: 'pretty',
+      sampling: null,
+      rateLimit: null,
+      dedupeWindow: 0,
+      reportInterval: 60000,
+      metrics: false,
+      captureExceptions: false,
+      exitOnError: true,
+      exitTimeout: 2000,
+      historySize: 0,
+      attachHistory: false,
+      namespaces: null
     });
   });
 
@@ -48,7 +103,47 @@ describe('ConsoleText', () => {
       endpoint: 'https://test.com',
       apiKey: 'test-key',
       colorize: false,
-      silent: true
+      silent: true,
+      batchSize: 5,
+      flushInterval: 200,
+      maxBufferSize: 50,
+      dropPolicy: 'newest',
+      retries: 1,
+      retryDelay: 100,
+      retryMaxDelay: 1000,
+      spoolDir: null,
+      maxSpoolSize: 20,
+      headers: { 'X-Tenant': 'acme' },
+      signingSecret: 'signing-secret',
+      compression: 'gzip',
+      compressionThreshold: 2048,
+      timeout: 5000,
+      consoleLevel: 'info',
+      remoteLevel: 'warn',
+      remoteMethods: ['table', 'trace'],
+      maxDepth: 3,
+      maxStringLength: 500,
+      maxArrayLength: 20,
+      redact: { paths: ['password'], censor: '***' },
+      file: null,
+      syslog: null,
+      otlp: null,
+      theme: { info: { color: '#00aaff', bold: true } },
+      badges: true,
+      format: '{time} {LEVEL}',
+      name: 'api',
+      mode: 'json',
+      sampling: { debug: 0.5 },
+      rateLimit: { rate: 10 },
+      dedupeWindow: 500,
+      reportInterval: 1000,
+      metrics: true,
+      captureExceptions: true,
+      exitOnError: false,
+      exitTimeout: 500,
+      historySize: 50,
+      attachHistory: true,
+      namespaces: 'db:*'
     };
     const instance = new ConsoleText(config);
     expect(instance.config).toEqual(config);
@@ -95,15 +190,16 @@ describe('ConsoleText', () => {
 
     axios.post.mockResolvedValueOnce({ status: 200 });
 
-    const logger = new ConsoleText({ endpoint, apiKey }).init();
-    await console.text(message);
+    const logger = new ConsoleText({ endpoint, apiKey, silent: true }).init();
+    console.text(message);
+    await logger.flush();
 
     expect(axios.post).toHaveBeenCalledWith(
       endpoint,
-      expect.objectContaining({
+      [expect.objectContaining({
         level: 'text',
         message
-      }),
+      })],
       expect.objectContaining({
         headers: {
           'Content-Type': 'application/json',
@@ -144,4 +240,935 @@ describe('ConsoleText', () => {
     tableSpy.mockRestore();
     logger.restore();
   });
-});
\ No newline at end of file
+
+  describe('multiple instances', () => {
+    test('should log through the standalone logger without patching the console', () => {
+      const transport = { log: jest.fn() };
+      const logger = new ConsoleText({ remoteLevel: 'info', transports: [transport] });
+      const info = jest.spyOn(console, 'info').mockImplementation();
+
+      logger.logger.info('hello', { id: 1 });
+
+      expect(console.log).toBe(originalConsole.log);
+      expect(info).toHaveBeenCalledWith(expect.stringContaining('hello'), { id: 1 });
+      expect(transport.log).toHaveBeenCalledWith(expect.objectContaining({ level: 'info', message: 'hello {"id":1}' }));
+      info.mockRestore();
+    });
+
+    test('should layer instances and restore them in any order', () => {
+      const output = jest.spyOn(console, 'log').mockImplementation();
+      const app = new ConsoleText({ colorize: false, format: 'app' }).init();
+      const library = new ConsoleText({ colorize: false, format: 'lib' }).init();
+
+      console.log('x');
+      expect(output).toHaveBeenLastCalledWith('app', 'lib', 'x');
+
+      // Removing the lower layer first keeps the upper one hooked
+      app.restore();
+      console.log('y');
+      expect(output).toHaveBeenLastCalledWith('lib', 'y');
+
+      library.restore();
+      expect(console.log).toBe(output);
+      expect(console.text).toBeUndefined();
+      output.mockRestore();
+    });
+  });
+
+  describe('configure', () => {
+    test('should reject malformed options when constructed', () => {
+      expect(() => new ConsoleText({ endpoint: 'test.com/logs' })).toThrow(/endpoint must be an http\(s\) URL/);
+      expect(() => new ConsoleText({ batchSize: 0 })).toThrow(/batchSize must be a positive integer, got 0/);
+      expect(() => new ConsoleText({ colorise: false })).toThrow(/unknown option "colorise"/);
+      expect(() => new ConsoleText({ transports: {} })).toThrow(/transports must be an array/);
+    });
+
+    test('should rewire levels and outputs without calling init again', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      const logger = new ConsoleText({ silent: true, consoleLevel: 'error', remoteLevel: 'error' }).init();
+      expect(console.debug).not.toBe(originalConsole.debug);
+      const noop = console.debug;
+
+      logger.configure({ endpoint: 'https://test.com/logs', remoteLevel: 'debug' });
+      expect(console.debug).not.toBe(noop);
+      expect(logger.transports).toEqual([logger.httpTransport]);
+
+      console.debug('now sent');
+      await logger.flush();
+      expect(axios.post).toHaveBeenCalledWith('https://test.com/logs', [expect.objectContaining({ message: 'now sent' })], expect.any(Object));
+
+      logger.restore();
+    });
+
+    test('should replace only the transports whose options changed', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      const custom = { log: jest.fn() };
+      const logger = new ConsoleText({ endpoint: 'https://test.com/logs', silent: true, transports: [custom] });
+      const first = logger.httpTransport;
+      const close = jest.spyOn(first, 'close');
+
+      logger.configure({ name: 'api' });
+      expect(logger.httpTransport).toBe(first);
+
+      logger.configure({ batchSize: 2 });
+      await Promise.resolve();
+      expect(close).toHaveBeenCalled();
+      expect(logger.httpTransport).not.toBe(first);
+      expect(logger.httpTransport.batchSize).toBe(2);
+      expect(logger.transports).toEqual([logger.httpTransport, custom]);
+
+      logger.configure({ endpoint: null });
+      expect(logger.httpTransport).toBeNull();
+      expect(logger.transports).toEqual([custom]);
+      await logger.close();
+    });
+
+    test('should restore defaults with null and leave the instance unchanged on errors', () => {
+      const logger = new ConsoleText({ mode: 'json', dedupeWindow: 100 });
+      expect(logger.throttle).not.toBeNull();
+
+      logger.configure({ mode: null, dedupeWindow: null });
+      expect(logger.config.mode).toBe('pretty');
+      expect(logger.throttle).toBeNull();
+
+      expect(() => logger.configure({ mode: 'xml' })).toThrow(/unknown mode "xml"/);
+      expect(() => logger.configure({ theme: { info: { color: 'blurple' } } })).toThrow(/unknown color/);
+      expect(() => logger.configure('silent')).toThrow(/expects an options object/);
+      expect(logger.config.mode).toBe('pretty');
+      expect(logger.config.theme).toBeNull();
+    });
+
+    test('should toggle crash listeners on an initialized instance', () => {
+      const before = process.listenerCount('uncaughtException');
+      const logger = new ConsoleText().init();
+
+      logger.configure({ captureExceptions: true });
+      expect(process.listenerCount('uncaughtException')).toBe(before + 1);
+
+      logger.configure({ captureExceptions: false });
+      expect(process.listenerCount('uncaughtException')).toBe(before);
+      logger.restore();
+    });
+  });
+
+  describe('flight recorder', () => {
+    test('should keep records of every level regardless of thresholds', () => {
+      const transport = { log: jest.fn() };
+      const logger = new ConsoleText({ silent: true, historySize: 3, transports: [transport] }).init();
+
+      console.debug('connecting');
+      console.info('connected');
+      console.log('query', { id: 1 });
+      console.text('shipped');
+
+      expect(transport.log).toHaveBeenCalledTimes(1);
+      expect(logger.getHistory().map(record => record.message)).toEqual(['connected', 'query {"id":1}', 'shipped']);
+      expect(logger.getHistory({ level: 'info' }).map(record => record.level)).toEqual(['info', 'text']);
+      expect(logger.exportHistory({ limit: 1 })).toBe(JSON.stringify(logger.getHistory()[2]) + '\n');
+
+      logger.clearHistory();
+      expect(logger.getHistory()).toEqual([]);
+      logger.restore();
+    });
+
+    test('should attach the history to remote error records only', () => {
+      const transport = { log: jest.fn() };
+      const logger = new ConsoleText({
+        silent: true,
+        historySize: 10,
+        attachHistory: true,
+        remoteLevel: 'warn',
+        transports: [transport]
+      }).init();
+
+      console.debug('step 1');
+      console.warn('slow');
+      console.error(new Error('failed'));
+
+      const [warning, failure] = transport.log.mock.calls.map(call => call[0]);
+      expect(warning.history).toBeUndefined();
+      expect(failure.history.map(record => record.message)).toEqual(['step 1', 'slow']);
+      expect(logger.getHistory()[2].history).toBeUndefined();
+      logger.restore();
+    });
+
+    test('should attach the history to crash records', () => {
+      const transport = { log: jest.fn() };
+      const logger = new ConsoleText({ silent: true, historySize: 10, attachHistory: true, exitOnError: false, transports: [transport] });
+
+      logger.logger.debug('before');
+      logger._handleCrash(new Error('boom'), 'uncaughtException');
+
+      expect(transport.log.mock.calls[0][0]).toMatchObject({ origin: 'uncaughtException', history: [{ message: 'before' }] });
+    });
+
+    test('should keep the latest records when resized and stay empty when disabled', () => {
+      const logger = new ConsoleText({ silent: true, historySize: 5 });
+      ['a', 'b', 'c'].forEach(message => logger.logger.debug(message));
+
+      logger.configure({ historySize: 2 });
+      expect(logger.getHistory().map(record => record.message)).toEqual(['b', 'c']);
+
+      logger.configure({ historySize: 0 });
+      logger.logger.debug('d');
+      expect(logger.getHistory()).toEqual([]);
+      expect(logger.exportHistory()).toBe('');
+      expect(logger.clearHistory()).toBe(logger);
+    });
+
+    test('should not replace recorded levels with a no-op', () => {
+      const logger = new ConsoleText({ consoleLevel: 'silent', remoteLevel: 'silent', historySize: 5 }).init();
+
+      console.debug('kept');
+      expect(logger.getHistory()).toEqual([expect.objectContaining({ level: 'debug', message: 'kept' })]);
+      logger.restore();
+    });
+  });
+
+  describe('captureExceptions', () => {
+    let transport;
+    let exit;
+
+    beforeEach(() => {
+      transport = { log: jest.fn(), flush: jest.fn(() => Promise.resolve()) };
+      exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      exit.mockRestore();
+    });
+
+    const create = config => {
+      const logger = new ConsoleText(Object.assign({ captureExceptions: true, transports: [transport] }, config));
+      logger.originalConsole.error = jest.fn();
+      return logger.init();
+    };
+
+    test('should install handlers only when enabled and remove them on restore', () => {
+      const before = process.listenerCount('uncaughtException');
+      const plain = new ConsoleText().init();
+      expect(process.listenerCount('uncaughtException')).toBe(before);
+      plain.restore();
+
+      const logger = create();
+      expect(process.listenerCount('uncaughtException')).toBe(before + 1);
+      expect(process.listenerCount('unhandledRejection')).toBeGreaterThan(0);
+
+      logger.restore();
+      expect(process.listenerCount('uncaughtException')).toBe(before);
+    });
+
+    test('should record uncaught exceptions, flush and exit with code 1', async () => {
+      const logger = create();
+      const error = new Error('boom');
+
+      await logger.runWithContext({ requestId: 'r1' }, async () => {
+        logger._onUncaughtException(error);
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(transport.log).toHaveBeenCalledWith(expect.objectContaining({
+        level: 'error',
+        origin: 'uncaughtException',
+        error: expect.objectContaining({ message: 'boom' }),
+        context: { requestId: 'r1' }
+      }));
+      expect(logger.originalConsole.error).toHaveBeenCalledWith(error);
+      expect(transport.flush).toHaveBeenCalled();
+      expect(exit).toHaveBeenCalledWith(1);
+      logger.restore();
+    });
+
+    test('should wrap non-Error rejection reasons like Node', async () => {
+      const logger = create({ exitOnError: false });
+
+      logger._onUnhandledRejection('nope');
+      await new Promise(resolve => setImmediate(resolve));
+
+      const [record] = transport.log.mock.calls.map(call => call[0]);
+      expect(record.origin).toBe('unhandledRejection');
+      expect(record.error).toMatchObject({ code: 'ERR_UNHANDLED_REJECTION', message: expect.stringContaining('"\'nope\'"') });
+      expect(exit).not.toHaveBeenCalled();
+      logger.restore();
+    });
+
+    test('should wrap thrown non-Error values without the rejection text', async () => {
+      const logger = create({ exitOnError: false });
+
+      logger._onUncaughtException('plain string');
+      logger._onUnhandledRejection({ code: 42 });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const [thrown, rejected] = transport.log.mock.calls.map(call => call[0]);
+      expect(thrown).toMatchObject({ origin: 'uncaughtException', reason: 'plain string', error: { message: "'plain string'" } });
+      expect(thrown.error.code).toBeUndefined();
+      expect(rejected).toMatchObject({ origin: 'unhandledRejection', reason: { code: 42 }, error: { code: 'ERR_UNHANDLED_REJECTION' } });
+      logger.restore();
+    });
+
+    test('should leave the exit to the application when it has its own listener', async () => {
+      const logger = create();
+      const own = () => {};
+      process.on('uncaughtException', own);
+
+      try {
+        logger._onUncaughtException(new Error('handled elsewhere'));
+        await new Promise(resolve => setImmediate(resolve));
+      } finally {
+        process.removeListener('uncaughtException', own);
+      }
+
+      expect(transport.log).toHaveBeenCalledTimes(1);
+      expect(exit).not.toHaveBeenCalled();
+      logger.restore();
+    });
+
+    test('should exit after exitTimeout when transports do not flush', async () => {
+      jest.useFakeTimers();
+      transport.flush.mockReturnValue(new Promise(() => {}));
+      const logger = create({ exitTimeout: 100 });
+
+      logger._onUncaughtException(new Error('first'));
+      logger._onUncaughtException(new Error('second'));
+      expect(transport.log).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(100);
+      expect(exit).toHaveBeenCalledTimes(1);
+      logger.restore();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('remote methods', () => {
+    let transport;
+    let logger;
+    let original;
+
+    beforeEach(() => {
+      transport = { log: jest.fn() };
+      logger = new ConsoleText({ remoteMethods: ['dir', 'table', 'trace'], transports: [transport] });
+      original = { dir: jest.fn(), table: jest.fn(), trace: jest.fn() };
+      Object.assign(logger.originalConsole, original);
+      logger.init();
+    });
+
+    afterEach(() => {
+      logger.restore();
+    });
+
+    const records = () => transport.log.mock.calls.map(call => call[0]);
+
+    test('should send tables as rows and columns', () => {
+      const data = [{ a: 1, b: 2 }, { a: 3 }];
+      console.table(data, ['a']);
+
+      expect(original.table).toHaveBeenCalledWith(data, ['a']);
+      expect(records()[0]).toMatchObject({
+        level: 'table',
+        table: { columns: ['(index)', 'a'], rows: [['0', 1], ['1', 3]] }
+      });
+    });
+
+    test('should send dir objects limited to the requested depth', () => {
+      const value = { a: { b: { c: { d: 1 } } } };
+      console.dir(value, { depth: 0 });
+      console.dir(value);
+
+      expect(original.dir).toHaveBeenCalledWith(value, { depth: 0 });
+      const [shallow, deep] = records();
+      expect(shallow).toMatchObject({ level: 'dir', message: '{ a: [Object] }', args: [{ a: '[Object]' }] });
+      expect(deep.args).toEqual([{ a: { b: { c: '[Object]' } } }]);
+    });
+
+    test('should send traces with parsed frames', () => {
+      console.trace('here', 1);
+
+      expect(original.trace).toHaveBeenCalledWith('here', 1);
+      const [trace] = records();
+      expect(trace).toMatchObject({ level: 'trace', message: 'here 1' });
+      expect(trace.frames[0]).toEqual({
+        file: expect.stringContaining('ConsoleBridge.test.js'),
+        line: expect.any(Number),
+        column: expect.any(Number),
+        function: expect.any(String)
+      });
+    });
+
+    test('should send one record per call and print redacted arguments', () => {
+      logger.restore();
+      logger = new ConsoleText({
+        format: '{LEVEL}',
+        consoleLevel: 'info',
+        remoteMethods: ['dir', 'table', 'trace'],
+        redact: { paths: ['password'] },
+        transports: [transport]
+      });
+      const printed = [];
+      Object.assign(logger.originalConsole, {
+        log: (...args) => printed.push(['log', ...args]),
+        error: (...args) => printed.push(['error', ...args]),
+        dir: value => printed.push(['dir', value]),
+        // Like Node's, the real table and trace print through the patched console
+        table: data => console.log(`table ${JSON.stringify(data)}`),
+        trace: message => console.error(`Trace: ${message}`)
+      });
+      logger.init();
+
+      console.table([{ password: 'hunter2' }]);
+      console.trace('here');
+      console.dir({ password: 'hunter2' });
+
+      expect(records().map(record => record.level)).toEqual(['table', 'trace', 'dir']);
+      expect(printed).toEqual([
+        ['log', 'table [{"password":"[REDACTED]"}]'],
+        ['error', 'Trace: here'],
+        ['dir', { password: '[REDACTED]' }]
+      ]);
+    });
+
+    test('should only send listed methods', () => {
+      logger.restore();
+      logger = new ConsoleText({ silent: true, remoteMethods: ['trace'], transports: [transport] }).init();
+
+      console.dir({});
+      console.table([]);
+      console.trace();
+
+      expect(records().map(record => record.level)).toEqual(['trace']);
+    });
+
+    test('should reject unknown remote methods', () => {
+      expect(() => new ConsoleText({ remoteMethods: ['log'] })).toThrow(/unknown remote method "log"/);
+    });
+  });
+
+  describe('metrics', () => {
+    let transport;
+    let logger;
+    let output;
+    let clock;
+
+    beforeEach(() => {
+      clock = 0;
+      transport = { log: jest.fn() };
+      output = jest.fn();
+      logger = new ConsoleText({ metrics: true, transports: [transport] });
+      logger.metrics.now = () => clock;
+      logger.originalConsole.log = output;
+      logger.init();
+    });
+
+    afterEach(() => {
+      logger.restore();
+    });
+
+    test('should print timers and counters like Node', () => {
+      console.time('query');
+      clock = 12.5;
+      console.timeLog('query', { rows: 3 });
+      clock = 20;
+      console.timeEnd('query');
+      console.count();
+      console.count();
+
+      expect(output.mock.calls).toEqual([
+        ['query: 12.5ms', { rows: 3 }],
+        ['query: 20ms'],
+        ['default: 1'],
+        ['default: 2']
+      ]);
+    });
+
+    test('should send metric records to transports', () => {
+      console.time('query');
+      clock = 20;
+      console.timeEnd('query');
+      console.count('hits');
+
+      const records = transport.log.mock.calls.map(call => call[0]);
+      expect(records[0]).toMatchObject({
+        level: 'metric',
+        message: 'query: 20ms',
+        metric: { type: 'timer', label: 'query', duration: 20 }
+      });
+      expect(records[1]).toMatchObject({ level: 'metric', metric: { type: 'counter', label: 'hits', value: 1 } });
+    });
+
+    test('should keep metrics local unless enabled', () => {
+      const local = new ConsoleText({ transports: [transport] });
+      local.originalConsole.log = output;
+      local.init();
+
+      console.count('hits');
+      local.restore();
+
+      expect(output).toHaveBeenCalledWith('hits: 1');
+      expect(transport.log).not.toHaveBeenCalled();
+    });
+
+    test('should summarize timings per label', () => {
+      [10, 30, 20].forEach(duration => {
+        console.time('query');
+        clock += duration;
+        console.timeEnd('query');
+      });
+      console.count('hits');
+
+      expect(logger.getTiming('query')).toMatchObject({ count: 3, min: 10, max: 30, mean: 20, p50: 20 });
+      expect(logger.getTiming()).toBeNull();
+      expect(logger.getMetrics()).toEqual({
+        timers: { query: expect.objectContaining({ count: 3 }) },
+        counters: { hits: 1 }
+      });
+      expect(logger.resetMetrics().getMetrics()).toEqual({ timers: {}, counters: {} });
+    });
+
+    test('should warn like Node about unknown and duplicate labels', () => {
+      const warning = jest.spyOn(process, 'emitWarning').mockImplementation();
+
+      console.time('a');
+      console.time('a');
+      console.timeEnd('b');
+      console.timeLog('b');
+      console.countReset('c');
+
+      expect(warning.mock.calls.map(call => call[0])).toEqual([
+        "Label 'a' already exists for console.time()",
+        "No such label 'b' for console.timeEnd()",
+        "No such label 'b' for console.timeLog()",
+        "Count for 'c' does not exist"
+      ]);
+      expect(output).not.toHaveBeenCalled();
+      warning.mockRestore();
+    });
+
+    test('should write metric records as JSON in json mode', () => {
+      const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      const json = new ConsoleText({ mode: 'json' }).init();
+
+      console.count('hits');
+      json.restore();
+
+      expect(JSON.parse(stdout.mock.calls[0][0])).toMatchObject({ level: 'metric', metric: { value: 1 } });
+      stdout.mockRestore();
+    });
+
+    test('should track timers in silent mode without printing', () => {
+      const silent = new ConsoleText({ silent: true });
+      silent.originalConsole.log = output;
+      silent.init();
+
+      console.count('hits');
+      silent.restore();
+
+      expect(output).not.toHaveBeenCalled();
+      expect(silent.getMetrics().counters).toEqual({ hits: 1 });
+    });
+  });
+
+  test('should batch remote records until batchSize is reached', async () => {
+    axios.post.mockResolvedValue({ status: 200 });
+
+    const logger = new ConsoleText({
+      endpoint: 'https://test.com/logs',
+      batchSize: 3,
+      silent: true
+    }).init();
+
+    console.text('one');
+    console.text('two');
+    expect(axios.post).not.toHaveBeenCalled();
+
+    console.text('three');
+    await logger.flush();
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post.mock.calls[0][1].map(record => record.message)).toEqual(['one', 'two', 'three']);
+
+    logger.restore();
+  });
+
+  test('should flush buffered records on restore', async () => {
+    axios.post.mockResolvedValue({ status: 200 });
+
+    const logger = new ConsoleText({ endpoint: 'https://test.com/logs', silent: true }).init();
+    console.text('pending');
+    logger.restore();
+    await logger.flush();
+
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://test.com/logs',
+      [expect.objectContaining({ message: 'pending' })],
+      expect.any(Object)
+    );
+  });
+
+  test('should flush on beforeExit until close and detach the listener on restore without transports', async () => {
+    const before = process.listenerCount('beforeExit');
+    const logger = new ConsoleText({ endpoint: 'https://test.com/logs', silent: true }).init();
+    const flushSpy = jest.spyOn(logger, 'flush');
+
+    expect(process.listenerCount('beforeExit')).toBe(before + 1);
+    logger._onBeforeExit();
+    expect(flushSpy).toHaveBeenCalled();
+
+    logger.restore();
+    expect(process.listenerCount('beforeExit')).toBe(before + 1);
+    await logger.close();
+    expect(process.listenerCount('beforeExit')).toBe(before);
+
+    new ConsoleText({ silent: true }).init().restore();
+    expect(process.listenerCount('beforeExit')).toBe(before);
+  });
+
+  test('should flush on beforeExit whenever there are transports, without init', async () => {
+    const before = process.listenerCount('beforeExit');
+    const standalone = new ConsoleText({ silent: true });
+    expect(process.listenerCount('beforeExit')).toBe(before);
+
+    const logger = new ConsoleText({ endpoint: 'https://test.com/logs', remoteLevel: 'info', silent: true });
+    expect(process.listenerCount('beforeExit')).toBe(before + 1);
+    axios.post.mockResolvedValue({ status: 200 });
+    logger.logger.info('buffered');
+    await logger._onBeforeExit();
+    expect(axios.post).toHaveBeenCalledWith('https://test.com/logs', [expect.objectContaining({ message: 'buffered' })], expect.any(Object));
+
+    standalone.addTransport({ log: jest.fn() });
+    expect(process.listenerCount('beforeExit')).toBe(before + 2);
+    await Promise.all([logger.close(), standalone.close()]);
+    expect(process.listenerCount('beforeExit')).toBe(before);
+  });
+
+  test('should report failed deliveries to the original console', async () => {
+    const errorSpy = jest.fn();
+    axios.post.mockRejectedValueOnce(new Error('offline'));
+
+    const logger = new ConsoleText({ endpoint: 'https://test.com/logs', silent: true, retries: 0 }).init();
+    logger.originalConsole.error = errorSpy;
+    console.text('lost');
+    await logger.flush();
+
+    expect(errorSpy).toHaveBeenCalledWith('ConsoleText: Failed to send 1 log(s): offline');
+    logger.restore();
+  });
+
+  test('should retry transient failures before giving up', async () => {
+    const unavailable = Object.assign(new Error('unavailable'), { response: { status: 503 } });
+    axios.post.mockRejectedValueOnce(unavailable).mockResolvedValueOnce({ status: 200 });
+
+    const logger = new ConsoleText({ endpoint: 'https://test.com/logs', silent: true, retryDelay: 0 }).init();
+    console.text('eventually');
+    await logger.flush();
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    logger.restore();
+  });
+
+  test('should not retry client errors', async () => {
+    const errorSpy = jest.fn();
+    const badRequest = Object.assign(new Error('bad request'), { response: { status: 400 } });
+    axios.post.mockRejectedValueOnce(badRequest);
+
+    const logger = new ConsoleText({ endpoint: 'https://test.com/logs', silent: true, retryDelay: 0 }).init();
+    logger.originalConsole.error = errorSpy;
+    console.text('rejected');
+    await logger.flush();
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(errorSpy).toHaveBeenCalledWith('ConsoleText: Failed to send 1 log(s): bad request');
+    logger.restore();
+  });
+
+  describe('offline spool', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let spoolDir;
+
+    beforeEach(() => {
+      spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'consoletext-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(spoolDir, { recursive: true, force: true });
+    });
+
+    test('should spool undeliverable records and replay them in order', async () => {
+      axios.post.mockRejectedValue(new Error('ECONNREFUSED'));
+      const config = { endpoint: 'https://test.com/logs', silent: true, retries: 0, batchSize: 1, spoolDir };
+
+      const offline = new ConsoleText(config).init();
+      console.text('first');
+      console.text('second');
+      await offline.flush();
+      offline.restore();
+
+      expect((await offline.spool.read()).map(record => record.message)).toEqual(['first', 'second']);
+
+      axios.post.mockReset();
+      axios.post.mockResolvedValue({ status: 200 });
+
+      // A new process start replays the spool
+      const online = new ConsoleText(config).init();
+      console.text('third');
+      await online.flush();
+
+      const sent = axios.post.mock.calls.map(call => call[1][0].message);
+      expect(sent).toEqual(['first', 'second', 'third']);
+      expect(await online.spool.size()).toBe(0);
+      online.restore();
+    });
+
+    test('should resolve drainSpool with zero when no spool is configured', async () => {
+      await expect(consoleText.drainSpool()).resolves.toBe(0);
+    });
+  });
+
+  test('should send structured records with serialized arguments', () => {
+    const transport = { log: jest.fn() };
+    const logger = new ConsoleText({ silent: true, transports: [transport] }).init();
+
+    const payload = { user: 'ada' };
+    payload.self = payload;
+    const error = new Error('boom');
+
+    console.text('failed for', payload, error);
+
+    const record = transport.log.mock.calls[0][0];
+    expect(record.message).toBe('failed for {"user":"ada","self":"[Circular]"} Error: boom');
+    expect(record.args).toEqual([
+      'failed for',
+      { user: 'ada', self: '[Circular]' },
+      expect.objectContaining({ name: 'Error', message: 'boom' })
+    ]);
+    expect(record.error.stack).toContain('boom');
+    logger.restore();
+  });
+
+  test('should redact secrets from local output and remote records', () => {
+    const logSpy = jest.fn();
+    const transport = { log: jest.fn() };
+    const logger = new ConsoleText({
+      colorize: false,
+      transports: [transport],
+      redact: { paths: ['password'], patterns: ['email'] }
+    });
+    logger.originalConsole.log = logSpy;
+    logger.init();
+
+    const credentials = { user: 'ada', password: 'hunter2' };
+    console.text('login by ada@example.com', credentials);
+
+    expect(logSpy).toHaveBeenCalledWith('login by [REDACTED]', { user: 'ada', password: '[REDACTED]' });
+    expect(transport.log.mock.calls[0][0].message).toBe('login by [REDACTED] {"user":"ada","password":"[REDACTED]"}');
+    expect(credentials.password).toBe('hunter2');
+    logger.restore();
+  });
+
+  test('should colorize with the theme when the terminal supports colors', () => {
+    const infoSpy = jest.fn();
+    const errorSpy = jest.fn();
+    const { createColorizer } = require('../src/utils/colorizer');
+    const logger = new ConsoleText({ badges: true, theme: { info: { color: 'magenta', label: 'NOTE' } } });
+    logger.colorizers.stdout = createColorizer({ colorLevel: 1, badges: true, theme: logger.config.theme });
+    logger.colorizers.stderr = createColorizer({ colorLevel: 0, badges: true });
+    logger.originalConsole.info = infoSpy;
+    logger.originalConsole.error = errorSpy;
+    logger.init();
+
+    console.info('hello', { a: 1 });
+    console.error('plain');
+
+    expect(infoSpy).toHaveBeenCalledWith('\u001b[7m\u001b[35m NOTE \u001b[39m\u001b[27m', '\u001b[35mhello\u001b[39m', '{ a: \u001b[33m1\u001b[39m }');
+    expect(errorSpy).toHaveBeenCalledWith('[ERROR]', 'plain');
+    logger.restore();
+  });
+
+  test('should throttle remote records and report shed counts', () => {
+    const transport = { log: jest.fn() };
+    const logger = new ConsoleText({
+      silent: true,
+      transports: [transport],
+      rateLimit: { rate: 2, interval: 60000 },
+      dedupeWindow: 1000
+    }).init();
+
+    for (let i = 0; i < 5; i++) {
+      console.text('hot loop');
+    }
+    console.text('second');
+    console.text('third');
+    logger.flush();
+
+    expect(transport.log.mock.calls.map(call => call[0].message)).toEqual([
+      'hot loop',
+      'hot loop (message repeated 4 times)',
+      'second'
+    ]);
+    expect(logger.getStats()).toEqual({ sampled: 0, rateLimited: 1, deduplicated: 4 });
+
+    logger.close();
+    expect(transport.log.mock.calls[3][0]).toEqual(expect.objectContaining({
+      level: 'warn',
+      shed: { sampled: 0, rateLimited: 1, deduplicated: 4 }
+    }));
+    expect(consoleText.getStats()).toEqual({ sampled: 0, rateLimited: 0, deduplicated: 0 });
+  });
+
+  describe('levels', () => {
+    test('should filter console output below consoleLevel', () => {
+      const logSpy = jest.fn();
+      const infoSpy = jest.fn();
+      const logger = new ConsoleText({ consoleLevel: 'info', colorize: false });
+      logger.originalConsole.log = logSpy;
+      logger.originalConsole.info = infoSpy;
+      logger.init();
+
+      console.log('hidden');
+      console.info('shown');
+
+      expect(logSpy).not.toHaveBeenCalled();
+      expect(infoSpy).toHaveBeenCalledWith('shown');
+      logger.restore();
+    });
+
+    test('should route levels to transports according to remoteLevel', () => {
+      const transport = { log: jest.fn() };
+      const logger = new ConsoleText({
+        silent: true,
+        remoteLevel: ['text', 'warn', 'error'],
+        transports: [transport]
+      }).init();
+
+      console.info('local');
+      console.warn('careful');
+      console.error('broken');
+      console.text('explicit');
+
+      expect(transport.log.mock.calls.map(call => call[0].level)).toEqual(['warn', 'error', 'text']);
+      logger.restore();
+    });
+
+    test('should replace levels disabled everywhere with a no-op', () => {
+      const logger = new ConsoleText({ consoleLevel: 'info' }).init();
+      const debugFn = console.debug;
+
+      expect(debugFn.name).toBe('noop');
+      expect(console.info.name).not.toBe('noop');
+
+      logger.setLevel('debug');
+      expect(console.debug).not.toBe(debugFn);
+      logger.restore();
+    });
+
+    test('should change levels at runtime', () => {
+      const transport = { log: jest.fn() };
+      const logger = new ConsoleText({ silent: true, transports: [transport] }).init();
+
+      logger.setLevel('warn', 'remote');
+      console.warn('shipped');
+      console.text('not shipped');
+
+      expect(transport.log).toHaveBeenCalledTimes(1);
+      expect(logger.config.remoteLevel).toBe('warn');
+      expect(logger.isLevelEnabled('warn', 'remote')).toBe(true);
+      expect(logger.isLevelEnabled('debug')).toBe(true);
+
+      logger.setLevel('silent', 'all');
+      expect(logger.isLevelEnabled('error')).toBe(false);
+      expect(logger.isLevelEnabled('error', 'remote')).toBe(false);
+      logger.restore();
+    });
+
+    test('should reject unknown levels and targets', () => {
+      expect(() => new ConsoleText({ consoleLevel: 'verbose' })).toThrow(/unknown level "verbose"/);
+      expect(() => new ConsoleText({ remoteLevel: ['text', 'trace'] })).toThrow(/unknown level "trace"/);
+      expect(() => consoleText.setLevel('info', 'disk')).toThrow(/unknown level target/);
+    });
+  });
+
+  describe('json mode', () => {
+    let stdout;
+    let stderr;
+
+    beforeEach(() => {
+      stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      stdout.mockRestore();
+      stderr.mockRestore();
+    });
+
+    const lines = spy => spy.mock.calls.map(call => {
+      expect(call[0].endsWith('\n')).toBe(true);
+      return JSON.parse(call[0]);
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => new ConsoleText({ mode: 'xml' })).toThrow(/unknown mode "xml"/);
+    });
+
+    test('should write one JSON object per line routed by level', () => {
+      const logger = new ConsoleText({ mode: 'json' }).init();
+
+      logger.runWithContext({ requestId: 'r-9' }, () => {
+        console.info('ready', { port: 80 });
+      });
+      console.text('shipped');
+      console.debug('details');
+      console.warn('careful');
+      console.error(new Error('boom'));
+
+      expect(lines(stdout)).toEqual([
+        expect.objectContaining({ level: 'info', message: 'ready {"port":80}', args: ['ready', { port: 80 }], context: { requestId: 'r-9' } }),
+        expect.objectContaining({ level: 'text', message: 'shipped' }),
+        expect.objectContaining({ level: 'debug', message: 'details' })
+      ]);
+      expect(lines(stderr)).toEqual([
+        expect.objectContaining({ level: 'warn', message: 'careful' }),
+        expect.objectContaining({ level: 'error', message: 'Error: boom', error: expect.objectContaining({ message: 'boom' }) })
+      ]);
+      expect(lines(stdout)[0].timestamp).toEqual(expect.any(String));
+      logger.restore();
+    });
+
+    test('should write table, dir and trace as JSON', () => {
+      const logger = new ConsoleText({ mode: 'json' }).init();
+
+      console.table([{ a: 1 }]);
+      console.dir({ nested: { deep: true } });
+      console.trace('here');
+
+      expect(lines(stdout)).toEqual([
+        expect.objectContaining({ level: 'table', args: [[{ a: 1 }]] }),
+        expect.objectContaining({ level: 'dir', args: [{ nested: { deep: true } }] })
+      ]);
+      const [trace] = lines(stderr);
+      expect(trace).toEqual(expect.objectContaining({ level: 'trace', message: 'here' }));
+      expect(trace.stack[0]).toContain('ConsoleBridge.test.js');
+      logger.restore();
+    });
+
+    test('should share one record between console and transports', () => {
+      const transport = { log: jest.fn() };
+      const logger = new ConsoleText({ mode: 'json', transports: [transport] }).init();
+
+      console.text('both');
+
+      expect(transport.log.mock.calls[0][0]).toEqual(lines(stdout)[0]);
+      logger.restore();
+    });
+
+    test('should stay quiet in silent mode', () => {
+      const logger = new ConsoleText({ mode: 'json', silent: true }).init();
+
+      console.info('nothing');
+      console.table([]);
+
+      expect(stdout).not.toHaveBeenCalled();
+      logger.restore();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const ConsoleRegistry = require('../src/ConsoleRegistry');
+
+describe('ConsoleRegistry', () => {
+  let target;
+  let registry;
+  let real;
+
+  beforeEach(() => {
+    real = { log: jest.fn(), warn: jest.fn() };
+    target = Object.assign({}, real);
+    registry = new ConsoleRegistry(target);
+  });
+
+  test('should stack layers and restore the console with the last one', () => {
+    const a = { log: jest.fn(), text: jest.fn() };
+    const b = { log: jest.fn() };
+
+    registry.install('a', a);
+    registry.install('b', b);
+
+    expect(registry.size).toBe(2);
+    expect(target.log).toBe(b.log);
+    expect(target.text).toBe(a.text);
+    expect(target.warn).toBe(real.warn);
+
+    registry.uninstall('b');
+    expect(target.log).toBe(a.log);
+
+    registry.uninstall('a');
+    expect(target).toEqual(real);
+    expect('text' in target).toBe(false);
+    expect(registry.uninstall('a')).toBe(false);
+  });
+
+  test('should keep upper layers when a lower one is removed first', () => {
+    const a = { log: jest.fn() };
+    const b = { log: jest.fn() };
+    registry.install('a', a);
+    registry.install('b', b);
+
+    expect(registry.below('b', 'log')).toBe(a.log);
+
+    registry.uninstall('a');
+    expect(target.log).toBe(b.log);
+    expect(registry.below('b', 'log')).toBe(real.log);
+    expect(registry.has('a')).toBe(false);
+    expect(registry.has('b')).toBe(true);
+  });
+
+  test('should replace handlers in place on reinstall', () => {
+    const first = { log: jest.fn() };
+    const second = { log: jest.fn() };
+    registry.install('a', first);
+    registry.install('b', { warn: jest.fn() });
+    registry.install('a', second);
+
+    expect(registry.size).toBe(2);
+    expect(target.log).toBe(second.log);
+    expect(registry.below('b', 'log')).toBe(second.log);
+  });
+
+  test('should send output of owners without a layer to the real console', () => {
+    registry.install('a', { log: jest.fn() });
+
+    expect(registry.below('standalone', 'log')).toBe(real.log);
+    expect(registry.below('standalone', 'text')).toBe(real.log);
+  });
+
+  test('should remove every layer on reset', () => {
+    registry.install('a', { log: jest.fn(), text: jest.fn() });
+    registry.install('b', { warn: jest.fn() });
+
+    registry.reset();
+
+    expect(registry.size).toBe(0);
+    expect(target).toEqual(real);
+    expect('text' in target).toBe(false);
+    expect(registry.has('a')).toBe(false);
+    registry.reset();
+  });
+
+  test('should share one registry through the global object', () => {
+    expect(ConsoleRegistry.shared()).toBe(ConsoleRegistry.shared());
+    expect(ConsoleRegistry.shared().target).toBe(console);
+  });
+});
@@ -0,0 +1,44 @@
+const FlightRecorder = require('../src/FlightRecorder');
+
+describe('FlightRecorder', () => {
+  const record = (message, level = 'info', timestamp = '2024-01-01T00:00:00.000Z') => ({ level, message, timestamp });
+
+  test('should keep the latest records in order', () => {
+    const recorder = new FlightRecorder({ size: 3 });
+    ['a', 'b', 'c', 'd', 'e'].forEach(message => recorder.push(record(message)));
+
+    expect(recorder.length).toBe(3);
+    expect(recorder.records().map(entry => entry.message)).toEqual(['c', 'd', 'e']);
+  });
+
+  test('should filter by level, namespace, time and count', () => {
+    const recorder = new FlightRecorder();
+    recorder.push(record('a', 'debug', '2024-01-01T00:00:00.000Z'));
+    recorder.push(Object.assign(record('b', 'warn', '2024-01-01T00:00:01.000Z'), { namespace: 'db' }));
+    recorder.push(record('c', 'error', '2024-01-01T00:00:02.000Z'));
+
+    const messages = filter => recorder.records(filter).map(entry => entry.message);
+    expect(messages({ level: 'warn' })).toEqual(['b', 'c']);
+    expect(messages({ level: ['debug', 'error'] })).toEqual(['a', 'c']);
+    expect(messages({ namespace: 'db' })).toEqual(['b']);
+    expect(messages({ since: '2024-01-01T00:00:01.000Z' })).toEqual(['b', 'c']);
+    expect(messages({ since: new Date('2024-01-01T00:00:02.000Z') })).toEqual(['c']);
+    expect(messages({ limit: 2 })).toEqual(['b', 'c']);
+    expect(messages({ limit: 0 })).toEqual([]);
+    expect(() => recorder.records({ level: 'verbose' })).toThrow(/unknown level/);
+  });
+
+  test('should export NDJSON and clear', () => {
+    const recorder = new FlightRecorder({ size: 2 });
+    recorder.push(record('a'));
+    recorder.push(record('b'));
+    recorder.push(record('c'));
+
+    expect(recorder.toNDJSON().split('\n')).toEqual([JSON.stringify(record('b')), JSON.stringify(record('c')), '']);
+
+    recorder.clear();
+    expect(recorder.records()).toEqual([]);
+    recorder.push(record('d'));
+    expect(recorder.records()).toEqual([record('d')]);
+  });
+});
@@ -0,0 +1,98 @@
+const LogBuffer = require('../src/LogBuffer');
+
+describe('LogBuffer', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should require a send function', () => {
+    expect(() => new LogBuffer()).toThrow(TypeError);
+  });
+
+  test('should reject unknown drop policies', () => {
+    expect(() => new LogBuffer({ send: jest.fn(), dropPolicy: 'random' })).toThrow(/dropPolicy/);
+  });
+
+  test('should flush when batch size is reached', async () => {
+    const send = jest.fn().mockResolvedValue();
+    const buffer = new LogBuffer({ send, batchSize: 2, flushInterval: 0 });
+
+    buffer.push({ n: 1 });
+    expect(send).not.toHaveBeenCalled();
+    buffer.push({ n: 2 });
+    await buffer.flush();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith([{ n: 1 }, { n: 2 }]);
+    expect(buffer.size).toBe(0);
+  });
+
+  test('should flush a partial batch after the interval', async () => {
+    jest.useFakeTimers();
+    const send = jest.fn().mockResolvedValue();
+    const buffer = new LogBuffer({ send, batchSize: 10, flushInterval: 500 });
+
+    buffer.push({ n: 1 });
+    jest.advanceTimersByTime(499);
+    expect(send).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await buffer._pending;
+    expect(send).toHaveBeenCalledWith([{ n: 1 }]);
+  });
+
+  test('should split large flushes into batches', async () => {
+    const send = jest.fn().mockResolvedValue();
+    const buffer = new LogBuffer({ send, batchSize: 2, flushInterval: 0, maxBufferSize: 10 });
+    buffer.records.push({ n: 1 }, { n: 2 }, { n: 3 });
+
+    await buffer.flush();
+
+    expect(send.mock.calls).toEqual([[[{ n: 1 }, { n: 2 }]], [[{ n: 3 }]]]);
+  });
+
+  test('should drop the oldest record on overflow by default', () => {
+    const onDrop = jest.fn();
+    const buffer = new LogBuffer({ send: jest.fn(), batchSize: 2, maxBufferSize: 2, flushInterval: 0, onDrop });
+    buffer.records.push({ n: 1 }, { n: 2 });
+
+    buffer.push({ n: 3 });
+
+    expect(buffer.records).toEqual([{ n: 2 }, { n: 3 }]);
+    expect(buffer.dropped).toBe(1);
+    expect(onDrop).toHaveBeenCalledWith({ n: 1 });
+  });
+
+  test('should drop the incoming record with the newest policy', () => {
+    const buffer = new LogBuffer({ send: jest.fn(), batchSize: 2, maxBufferSize: 2, flushInterval: 0, dropPolicy: 'newest' });
+    buffer.records.push({ n: 1 }, { n: 2 });
+
+    buffer.push({ n: 3 });
+
+    expect(buffer.records).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(buffer.dropped).toBe(1);
+  });
+
+  test('should keep flushing after a failed send', async () => {
+    const send = jest.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValue();
+    const buffer = new LogBuffer({ send, batchSize: 1, flushInterval: 0 });
+
+    buffer.push({ n: 1 });
+    buffer.push({ n: 2 });
+    await buffer.flush();
+
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  test('should cancel the timer on stop', () => {
+    jest.useFakeTimers();
+    const send = jest.fn();
+    const buffer = new LogBuffer({ send, flushInterval: 100 });
+
+    buffer.push({ n: 1 });
+    buffer.stop();
+    jest.advanceTimersByTime(200);
+
+    expect(send).not.toHaveBeenCalled();
+  });
+});
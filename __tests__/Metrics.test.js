@@ -0,0 +1,89 @@
+const Metrics = require('../src/Metrics');
+
+describe('Metrics', () => {
+  let clock;
+  let metrics;
+
+  beforeEach(() => {
+    clock = 0;
+    metrics = new Metrics({ now: () => clock });
+  });
+
+  test('should time labels', () => {
+    expect(metrics.time('query')).toBe(true);
+    expect(metrics.time('query')).toBe(false);
+
+    clock = 5;
+    expect(metrics.timeLog('query')).toBe(5);
+    clock = 12;
+    expect(metrics.timeEnd('query')).toBe(12);
+
+    expect(metrics.timeEnd('query')).toBeNull();
+    expect(metrics.timeLog('missing')).toBeNull();
+  });
+
+  test('should count labels', () => {
+    expect(metrics.count('hits')).toBe(1);
+    expect(metrics.count('hits')).toBe(2);
+    expect(metrics.countReset('hits')).toBe(true);
+    expect(metrics.countReset('misses')).toBe(false);
+    expect(metrics.count('hits')).toBe(1);
+  });
+
+  test('should summarize durations with percentiles', () => {
+    for (let i = 1; i <= 100; i++) {
+      metrics.time('op');
+      clock += i;
+      metrics.timeEnd('op');
+    }
+
+    expect(metrics.summary('op')).toEqual({
+      count: 100,
+      min: 1,
+      max: 100,
+      mean: 50.5,
+      p50: 50,
+      p90: 90,
+      p95: 95,
+      p99: 99
+    });
+    expect(metrics.summary('missing')).toBeNull();
+  });
+
+  test('should keep percentiles over the latest samples only', () => {
+    metrics = new Metrics({ maxSamples: 2, now: () => clock });
+    [100, 1, 2, 3].forEach(duration => {
+      metrics.time('op');
+      clock += duration;
+      metrics.timeEnd('op');
+    });
+
+    expect(metrics.summary('op')).toMatchObject({ count: 4, min: 1, max: 100, mean: 26.5, p50: 2, p99: 3 });
+  });
+
+  test('should snapshot and reset timers and counters', () => {
+    metrics.time('op');
+    clock = 3;
+    metrics.timeEnd('op');
+    metrics.count('hits');
+    metrics.time('running');
+
+    expect(metrics.snapshot()).toEqual({
+      timers: { op: expect.objectContaining({ count: 1, mean: 3 }) },
+      counters: { hits: 1 }
+    });
+
+    metrics.reset();
+    clock = 8;
+    expect(metrics.snapshot()).toEqual({ timers: {}, counters: {} });
+    expect(metrics.timeLog('running')).toBe(5);
+  });
+
+  test('should format durations like Node', () => {
+    expect(Metrics.formatDuration(1.23456)).toBe('1.235ms');
+    expect(Metrics.formatDuration(12)).toBe('12ms');
+    expect(Metrics.formatDuration(1500)).toBe('1.500s');
+    expect(Metrics.formatDuration(62000)).toBe('1:02.000 (m:ss.mmm)');
+    expect(Metrics.formatDuration(3723000)).toBe('1:02:03.000 (h:mm:ss.mmm)');
+  });
+});
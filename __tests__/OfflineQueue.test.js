@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OfflineQueue = require('../src/OfflineQueue');
+
+describe('OfflineQueue', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consoletext-spool-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should require a directory', () => {
+    expect(() => new OfflineQueue()).toThrow(TypeError);
+  });
+
+  test('should persist records as NDJSON', async () => {
+    const queue = new OfflineQueue({ dir: path.join(dir, 'nested') });
+
+    await queue.enqueue([{ n: 1 }, { n: 2 }]);
+    await queue.enqueue([]);
+
+    expect(fs.readFileSync(queue.file, 'utf8')).toBe('{"n":1}\n{"n":2}\n');
+    expect(await queue.read()).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(await queue.size()).toBe(2);
+  });
+
+  test('should discard the oldest records beyond maxRecords', async () => {
+    const queue = new OfflineQueue({ dir, maxRecords: 2 });
+
+    await queue.enqueue([{ n: 1 }, { n: 2 }]);
+    await queue.enqueue([{ n: 3 }]);
+
+    expect(await queue.read()).toEqual([{ n: 2 }, { n: 3 }]);
+    expect(queue.dropped).toBe(1);
+  });
+
+  test('should drain in order and stop at the first failure', async () => {
+    const queue = new OfflineQueue({ dir });
+    await queue.enqueue([{ n: 1 }, { n: 2 }, { n: 3 }]);
+
+    const send = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('offline'));
+
+    expect(await queue.drain(send, 1)).toBe(1);
+    expect(await queue.read()).toEqual([{ n: 2 }, { n: 3 }]);
+
+    send.mockReset();
+    send.mockResolvedValue();
+    expect(await queue.drain(send, 5)).toBe(2);
+    expect(send).toHaveBeenCalledWith([{ n: 2 }, { n: 3 }]);
+    expect(fs.existsSync(queue.file)).toBe(false);
+  });
+
+  test('should drop batches failing with a non-retryable error and lines that cannot be parsed', async () => {
+    const queue = new OfflineQueue({ dir });
+    await queue.enqueue([{ n: 1 }, { n: 2 }]);
+    fs.appendFileSync(queue.file, '{"n":\n');
+    await queue.enqueue([{ n: 3 }, { n: 4 }]);
+
+    const rejected = new Error('bad request');
+    const send = jest.fn()
+      .mockRejectedValueOnce(rejected)
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('offline'));
+    const onDrop = jest.fn();
+    const isRetryable = error => error !== rejected;
+
+    expect(await queue.read()).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }, { n: 4 }]);
+    expect(await queue.drain(send, 2, { isRetryable, onDrop })).toBe(1);
+    expect(send.mock.calls).toEqual([[[{ n: 1 }, { n: 2 }]], [[{ n: 3 }]], [[{ n: 4 }]]]);
+    expect(onDrop).toHaveBeenCalledWith(2, rejected);
+    expect(onDrop).toHaveBeenCalledWith(1, expect.any(SyntaxError));
+    expect(await queue.read()).toEqual([{ n: 4 }]);
+  });
+
+  test('should count records without rereading the spool and rewrite it once per drain', async () => {
+    fs.writeFileSync(path.join(dir, 'consoletext-spool.ndjson'), '{"n":1}\n{"n":2}\n');
+    const queue = new OfflineQueue({ dir });
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+    const rename = jest.spyOn(fs.promises, 'rename');
+
+    try {
+      expect(await queue.size()).toBe(2);
+      await queue.enqueue([{ n: 3 }, { n: 4 }, { n: 5 }]);
+      expect(await queue.size()).toBe(5);
+      expect(readFile).toHaveBeenCalledTimes(1);
+
+      const send = jest.fn().mockResolvedValue();
+      expect(await queue.drain(send, 2)).toBe(5);
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(readFile).toHaveBeenCalledTimes(2);
+      expect(rename).not.toHaveBeenCalled();
+      expect(await queue.size()).toBe(0);
+
+      await queue.enqueue([{ n: 6 }, { n: 7 }, { n: 8 }]);
+      send.mockReset();
+      send.mockResolvedValueOnce().mockRejectedValueOnce(new Error('offline'));
+      expect(await queue.drain(send, 1)).toBe(1);
+      expect(rename).toHaveBeenCalledTimes(1);
+      expect(await queue.size()).toBe(2);
+      expect(await queue.read()).toEqual([{ n: 7 }, { n: 8 }]);
+    } finally {
+      readFile.mockRestore();
+      rename.mockRestore();
+    }
+  });
+
+  test('should notice records written by another queue on the same spool', async () => {
+    const a = new OfflineQueue({ dir });
+    const b = new OfflineQueue({ dir });
+    expect(await b.size()).toBe(0);
+
+    await a.enqueue([{ n: 1 }, { n: 2 }]);
+    expect(await b.size()).toBe(2);
+
+    await b.enqueue([{ n: 3 }]);
+    expect(await a.size()).toBe(3);
+
+    const send = jest.fn().mockResolvedValue();
+    expect(await b.drain(send, 10)).toBe(3);
+    expect(await a.size()).toBe(0);
+  });
+
+  test('should clear the spool', async () => {
+    const queue = new OfflineQueue({ dir });
+    await queue.enqueue([{ n: 1 }]);
+    await queue.clear();
+    await queue.clear();
+
+    expect(await queue.size()).toBe(0);
+  });
+});
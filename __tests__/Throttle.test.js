@@ -0,0 +1,124 @@
+const Throttle = require('../src/Throttle');
+
+describe('Throttle', () => {
+  let clock;
+  const now = () => clock;
+  const record = (message, level = 'text') => ({ level, message, timestamp: 't' });
+
+  beforeEach(() => {
+    clock = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should validate options', () => {
+    expect(() => new Throttle()).toThrow(/emit/);
+    expect(() => new Throttle({ emit: jest.fn(), sampling: { debug: 2 } })).toThrow(/between 0 and 1/);
+    expect(() => new Throttle({ emit: jest.fn(), rateLimit: { rate: 0 } })).toThrow(/positive/);
+  });
+
+  test('should sample per level', () => {
+    const emit = jest.fn();
+    const values = [0.05, 0.5, 0.95];
+    const throttle = new Throttle({ emit, sampling: { debug: 0.5 }, random: () => values.shift(), now });
+
+    throttle.push(record('a', 'debug'));
+    throttle.push(record('b', 'debug'));
+    throttle.push(record('c', 'debug'));
+    throttle.push(record('d', 'info'));
+
+    expect(emit.mock.calls.map(call => call[0].message)).toEqual(['a', 'd']);
+    expect(throttle.stats.sampled).toBe(2);
+  });
+
+  test('should enforce a token bucket', () => {
+    const emit = jest.fn();
+    const throttle = new Throttle({ emit, rateLimit: { rate: 2, interval: 1000 }, now });
+
+    ['a', 'b', 'c'].forEach(message => throttle.push(record(message)));
+    clock = 500;
+    throttle.push(record('d'));
+    throttle.push(record('e'));
+
+    expect(emit.mock.calls.map(call => call[0].message)).toEqual(['a', 'b', 'd']);
+    expect(throttle.stats.rateLimited).toBe(2);
+  });
+
+  test('should collapse identical consecutive records within the window', () => {
+    const emit = jest.fn();
+    const throttle = new Throttle({ emit, dedupeWindow: 100, now });
+
+    throttle.push(record('same'));
+    clock = 50;
+    throttle.push(record('same'));
+    clock = 120;
+    throttle.push(record('same'));
+    clock = 400;
+    throttle.push(record('same'));
+    throttle.push(record('same', 'warn'));
+
+    expect(emit.mock.calls.map(call => call[0])).toEqual([
+      record('same'),
+      expect.objectContaining({ message: 'same (message repeated 1 times)', repeated: 1 }),
+      expect.objectContaining({ message: 'same (message repeated 1 times)', repeated: 1 }),
+      record('same'),
+      record('same', 'warn')
+    ]);
+  });
+
+  test('should summarize a steady flood once per window', () => {
+    jest.useFakeTimers();
+    const emit = jest.fn();
+    const throttle = new Throttle({ emit, dedupeWindow: 100 });
+
+    for (let i = 0; i < 30; i++) {
+      throttle.push(record('flood'));
+      jest.advanceTimersByTime(10);
+    }
+
+    expect(emit.mock.calls.map(call => call[0].repeated)).toEqual([undefined, 9, 10, 10]);
+    throttle.push(record('flood'));
+    throttle.flush();
+    expect(emit).toHaveBeenLastCalledWith(expect.objectContaining({ repeated: 1 }));
+    expect(throttle.stats.deduplicated).toBe(30);
+  });
+
+  test('should emit the repeat summary once duplicates stop', () => {
+    jest.useFakeTimers();
+    const emit = jest.fn();
+    const throttle = new Throttle({ emit, dedupeWindow: 100 });
+
+    throttle.push(record('tick'));
+    throttle.push(record('tick'));
+    throttle.push(record('tick'));
+    jest.advanceTimersByTime(100);
+
+    expect(emit).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'tick (message repeated 2 times)' }));
+    throttle.flush();
+    expect(emit).toHaveBeenCalledTimes(2);
+  });
+
+  test('should report shed records periodically', () => {
+    jest.useFakeTimers();
+    const emit = jest.fn();
+    const throttle = new Throttle({ emit, sampling: { debug: 0 }, reportInterval: 1000 });
+
+    throttle.push(record('x', 'debug'));
+    throttle.push(record('y', 'debug'));
+    jest.advanceTimersByTime(1000);
+
+    expect(emit).toHaveBeenCalledWith(expect.objectContaining({
+      level: 'warn',
+      message: 'ConsoleText: shed 2 record(s) (sampled: 2, rate limited: 0, deduplicated: 0)'
+    }));
+
+    jest.advanceTimersByTime(1000);
+    expect(emit).toHaveBeenCalledTimes(1);
+    expect(throttle.report()).toBe(false);
+
+    throttle.stop();
+    throttle.stop();
+  });
+});
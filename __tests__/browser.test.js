@@ -0,0 +1,288 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const ConsoleText = require('../src/ConsoleText');
+const StorageQueue = require('../src/StorageQueue');
+const BrowserTransport = require('../src/transports/BrowserTransport');
+
+describe('browser', () => {
+  const record = message => ({ level: 'text', message, timestamp: 't' });
+  const response = status => Promise.resolve({ ok: status < 400, status });
+  const sentBodies = () => window.fetch.mock.calls.map(call => JSON.parse(call[1].body));
+
+  let transport;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    window.fetch = jest.fn(() => response(200));
+    window.navigator.sendBeacon = jest.fn(() => true);
+  });
+
+  afterEach(async () => {
+    if (transport) await transport.close();
+    transport = null;
+    delete window.fetch;
+    delete window.navigator.sendBeacon;
+  });
+
+  const create = options => {
+    transport = new BrowserTransport(Object.assign({
+      endpoint: 'https://test.com/logs',
+      flushInterval: 0,
+      retries: 0
+    }, options));
+    return transport;
+  };
+
+  test('should require an endpoint and fetch', () => {
+    expect(() => new BrowserTransport()).toThrow(/endpoint is required/);
+    expect(() => new BrowserTransport({ endpoint: 'x', window: {} })).toThrow(/fetch is not available/);
+  });
+
+  test('should post batches with keepalive fetch', async () => {
+    create({ apiKey: 'key', batchSize: 2 });
+
+    transport.log(record('a'));
+    transport.log(record('b'));
+    await transport.flush();
+
+    expect(window.fetch).toHaveBeenCalledWith('https://test.com/logs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer key' },
+      body: JSON.stringify([record('a'), record('b')]),
+      keepalive: true,
+      signal: expect.any(Object)
+    });
+  });
+
+  test('should queue undeliverable records in localStorage and replay them on the next page load', async () => {
+    window.fetch.mockImplementation(() => response(503));
+    create();
+    transport.log(record('lost'));
+    await transport.flush();
+    await transport.close();
+
+    expect(JSON.parse(window.localStorage.getItem('consoletext-queue'))).toEqual([record('lost')]);
+
+    window.fetch.mockClear();
+    window.fetch.mockImplementation(() => response(200));
+    create();
+    transport.log(record('new'));
+    await transport.flush();
+
+    expect(sentBodies()).toEqual([[record('lost')], [record('new')]]);
+    expect(window.localStorage.getItem('consoletext-queue')).toBeNull();
+  });
+
+  test('should replay queued records when the browser comes back online', async () => {
+    window.localStorage.setItem('consoletext-queue', JSON.stringify([record('offline')]));
+    window.fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+    create();
+    await transport.flush();
+
+    window.fetch.mockImplementation(() => response(200));
+    window.dispatchEvent(new Event('online'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(sentBodies().pop()).toEqual([record('offline')]);
+    expect(window.localStorage.getItem('consoletext-queue')).toBeNull();
+  });
+
+  test('should report records rejected by the server', async () => {
+    const onError = jest.fn();
+    window.fetch.mockImplementation(() => response(400));
+    create({ onError });
+
+    transport.log(record('bad'));
+    await transport.flush();
+
+    expect(onError).toHaveBeenCalledWith('ConsoleText: Failed to send 1 log(s): Request failed with status code 400');
+    expect(window.localStorage.getItem('consoletext-queue')).toBeNull();
+  });
+
+  test('should hand buffered records to sendBeacon when the page is hidden', () => {
+    create({ flushInterval: 60000 });
+    transport.log(record('bye'));
+
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new Event('visibilitychange', { bubbles: true }));
+    delete document.visibilityState;
+
+    expect(window.navigator.sendBeacon).toHaveBeenCalledWith('https://test.com/logs', expect.any(Blob));
+    expect(transport.buffer.size).toBe(0);
+    expect(window.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should use keepalive fetch on pagehide when an apiKey is set', () => {
+    create({ apiKey: 'key', flushInterval: 60000 });
+    transport.log(record('bye'));
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(window.navigator.sendBeacon).not.toHaveBeenCalled();
+    expect(window.fetch.mock.calls[0][1]).toMatchObject({ keepalive: true, headers: { Authorization: 'Bearer key' } });
+  });
+
+  test('should send custom headers, with keepalive fetch on pagehide', async () => {
+    create({ headers: { 'X-Tenant': 'acme' }, flushInterval: 60000 });
+    transport.log(record('bye'));
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(window.navigator.sendBeacon).not.toHaveBeenCalled();
+    expect(window.fetch.mock.calls[0][1].headers).toEqual({ 'Content-Type': 'application/json', 'X-Tenant': 'acme' });
+  });
+
+  test('should abort requests after the timeout and queue their records', async () => {
+    window.fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+    }));
+    create({ timeout: 10 });
+
+    transport.log(record('slow'));
+    await transport.flush();
+
+    expect(await transport.spool.read()).toEqual([record('slow')]);
+  });
+
+  test('should queue records the browser refuses to beacon', () => {
+    window.navigator.sendBeacon.mockReturnValue(false);
+    create({ flushInterval: 60000 });
+    transport.log(record('bye'));
+
+    window.dispatchEvent(new Event('pagehide'));
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(JSON.parse(window.localStorage.getItem('consoletext-queue'))).toEqual([record('bye')]);
+  });
+
+  describe('StorageQueue', () => {
+    let queue;
+
+    beforeEach(() => {
+      queue = new StorageQueue({ storage: window.localStorage, key: 'q', maxRecords: 3 });
+    });
+
+    test('should require a storage area', () => {
+      expect(() => new StorageQueue()).toThrow(/storage is required/);
+    });
+
+    test('should keep the newest records within maxRecords', async () => {
+      await queue.enqueue([1, 2]);
+      await queue.enqueue([3, 4]);
+      await queue.enqueue([]);
+
+      expect(await queue.read()).toEqual([2, 3, 4]);
+      expect(await queue.size()).toBe(3);
+      expect(queue.dropped).toBe(1);
+    });
+
+    test('should drain in batches and stop at the first failure', async () => {
+      queue = new StorageQueue({ storage: window.localStorage, key: 'q' });
+      await queue.enqueue([1, 2, 3]);
+      const send = jest.fn()
+        .mockImplementationOnce(() => queue.enqueue([4]))
+        .mockImplementationOnce(() => Promise.reject(new Error('offline')));
+
+      expect(await queue.drain(send, 2)).toBe(2);
+      expect(send.mock.calls.map(call => call[0])).toEqual([[1, 2], [3, 4]]);
+      expect(await queue.read()).toEqual([3, 4]);
+    });
+
+    test('should drop batches failing with a non-retryable error', async () => {
+      await queue.enqueue([1, 2, 3]);
+      const rejected = new Error('bad request');
+      const send = jest.fn().mockRejectedValueOnce(rejected).mockResolvedValue();
+      const onDrop = jest.fn();
+
+      expect(await queue.drain(send, 2, { isRetryable: () => false, onDrop })).toBe(1);
+      expect(onDrop).toHaveBeenCalledWith(2, rejected);
+      expect(await queue.size()).toBe(0);
+    });
+
+    test('should treat corrupt data as empty and reject writes the storage refuses', async () => {
+      window.localStorage.setItem('q', '{oops');
+      expect(await queue.read()).toEqual([]);
+
+      const full = new StorageQueue({ storage: { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } } });
+      await expect(full.enqueue([1])).rejects.toThrow('QuotaExceededError');
+
+      await queue.clear();
+      expect(window.localStorage.getItem('q')).toBeNull();
+    });
+  });
+
+  describe('ConsoleText', () => {
+    let logger;
+
+    afterEach(async () => {
+      await logger.close();
+    });
+
+    test('should deliver through the browser transport', async () => {
+      logger = new ConsoleText({ endpoint: 'https://test.com/logs', silent: true }).init();
+
+      console.text('hello');
+      await logger.flush();
+
+      expect(logger.httpTransport).toBeInstanceOf(BrowserTransport);
+      expect(sentBodies()[0][0]).toMatchObject({ level: 'text', message: 'hello' });
+    });
+
+    test('should run without a Node process object', async () => {
+      const nodeProcess = global.process;
+      const printed = [];
+      global.process = undefined;
+      try {
+        logger = new ConsoleText({ endpoint: 'https://test.com/logs', format: '{LEVEL} {pid}', colorize: false, remoteLevel: 'text', captureExceptions: true });
+        ['log', 'warn', 'error'].forEach(method => {
+          logger.originalConsole[method] = (...args) => printed.push([method, ...args]);
+        });
+        logger.init();
+
+        console.text('hello');
+        console.time('task');
+        console.time('task');
+        logger.configure({ mode: 'json' });
+        console.error('failed');
+        logger.restore();
+      } finally {
+        global.process = nodeProcess;
+      }
+      await logger.flush();
+
+      expect(printed[0]).toEqual(['log', 'TEXT ', 'hello']);
+      expect(printed[1]).toEqual(['warn', "Warning: Label 'task' already exists for console.time()"]);
+      expect(printed[2][0]).toBe('error');
+      expect(JSON.parse(printed[2][1])).toMatchObject({ level: 'error', message: 'failed' });
+      expect([].concat(...sentBodies()).map(sent => sent.message)).toEqual(['hello', 'failed']);
+    });
+
+    test('should capture page errors and unhandled rejections without exiting', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const target = { log: jest.fn() };
+      logger = new ConsoleText({ captureExceptions: true, transports: [target] }).init();
+      logger.originalConsole.error = jest.fn();
+
+      window.dispatchEvent(new ErrorEvent('error', { error: new Error('boom'), message: 'boom' }));
+      window.dispatchEvent(new ErrorEvent('error', { message: 'Script error.' }));
+      const rejection = new Event('unhandledrejection');
+      rejection.reason = new Error('rejected');
+      window.dispatchEvent(rejection);
+
+      expect(target.log.mock.calls.map(call => [call[0].origin, call[0].error.message])).toEqual([
+        ['error', 'boom'],
+        ['error', 'Script error.'],
+        ['unhandledrejection', 'rejected']
+      ]);
+      expect(logger.originalConsole.error).not.toHaveBeenCalled();
+      expect(exit).not.toHaveBeenCalled();
+
+      logger.restore();
+      window.dispatchEvent(new ErrorEvent('error', { message: 'after restore' }));
+      expect(target.log).toHaveBeenCalledTimes(3);
+      exit.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const path = require('path');
+const vm = require('vm');
+const esbuild = require('esbuild');
+const { formatFallback, inspectFallback } = require('../src/utils/inspect');
+
+describe('browser bundle', () => {
+  test('should bundle index.js for the browser and log without Node modules', async () => {
+    const result = await esbuild.build({
+      entryPoints: [path.join(__dirname, '..', 'index.js')],
+      bundle: true,
+      platform: 'browser',
+      format: 'iife',
+      globalName: 'consoleText',
+      write: false,
+      logLevel: 'silent'
+    });
+    expect(result.errors).toEqual([]);
+
+    const printed = [];
+    const print = method => (...args) => printed.push([method, ...args]);
+    const sandbox = {
+      console: { log: print('log'), info: print('info'), warn: print('warn'), error: print('error'), debug: print('debug') },
+      setTimeout,
+      clearTimeout,
+      setInterval,
+      clearInterval
+    };
+    vm.runInNewContext(result.outputFiles[0].text, sandbox);
+
+    const logger = sandbox.consoleText.createConsoleText({ colorize: false, format: '{LEVEL}{hostname} {message}' });
+    sandbox.console.text('hello %s', 'world', { id: 1 });
+    logger.restore();
+
+    expect(printed).toEqual([['log', 'TEXT hello world {"id":1}']]);
+  });
+
+  test('should format and inspect like util when it is left out of a bundle', () => {
+    const circular = { id: 1 };
+    circular.self = circular;
+
+    expect(formatFallback('%s=%d%% %j', 'rate', '42', { a: 1 }, 'extra', 7)).toBe('rate=42% {"a":1} extra 7');
+    expect(formatFallback('%c%s %s', 'color: red', 'only')).toBe('only %s');
+    expect(formatFallback(null, 'text', () => {})).toBe('null text [Function: (anonymous)]');
+    expect(inspectFallback('reason')).toBe("'reason'");
+    expect(inspectFallback(circular)).toBe('{"id":1,"self":"[Circular]"}');
+    expect(inspectFallback(10n)).toBe('10n');
+  });
+});
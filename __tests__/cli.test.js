@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { run, parseArgs } = require('../src/cli');
+const { formatRecord, createRecordFilter } = require('../src/utils/pretty');
+const { createColorizer } = require('../src/utils/colorizer');
+
+describe('consoletext CLI', () => {
+  let dir;
+  let file;
+  let io;
+  let handle;
+
+  const output = () => io.stdout.text;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consoletext-cli-'));
+    file = path.join(dir, 'logs.ndjson');
+    const sink = () => ({ text: '', write(chunk) { this.text += chunk; return true; } });
+    io = { stdout: sink(), stderr: sink(), env: {} };
+  });
+
+  afterEach(async () => {
+    if (handle) await handle.close();
+    handle = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const line = (level, message, extra) => JSON.stringify(Object.assign({ level, message, timestamp: '2026-10-19T12:30:05.123Z' }, extra)) + '\n';
+
+  const waitFor = async predicate => {
+    for (let i = 0; i < 100; i++) {
+      if (predicate()) return;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('timed out');
+  };
+
+  describe('parseArgs', () => {
+    test('should parse options, aliases and negations', () => {
+      expect(parseArgs(['tail', 'app.ndjson', '-n', '5', '-f', '--level=warn', '--no-color'])).toEqual({
+        command: 'tail',
+        options: { lines: 5, follow: true, level: 'warn', color: false },
+        positionals: ['app.ndjson']
+      });
+      expect(parseArgs(['serve', '--api-key', 'k', '--port', '0']).options).toEqual({ 'api-key': 'k', port: 0 });
+      expect(parseArgs([]).command).toBe('help');
+      expect(parseArgs(['serve', '--help']).command).toBe('help');
+    });
+
+    test('should reject unknown commands, unknown options and bad values', () => {
+      expect(() => parseArgs(['stream'])).toThrow('unknown command "stream"');
+      expect(() => parseArgs(['serve', '--follow'])).toThrow('unknown option "--follow" for serve');
+      expect(() => parseArgs(['serve', '--port'])).toThrow('option --port requires a value');
+      expect(() => parseArgs(['tail', '-n', 'ten'])).toThrow('option --lines must be a non-negative integer, got "ten"');
+    });
+  });
+
+  test('should print usage with exit code 2 on invalid arguments', async () => {
+    expect(await run(['serve', '--nope'], io)).toBe(2);
+    expect(io.stderr.text).toMatch(/^consoletext: unknown option "--nope" for serve\n\nUsage: consoletext/);
+
+    expect(await run(['help'], io)).toBe(0);
+    expect(output()).toMatch(/^Usage: consoletext <command>/);
+  });
+
+  describe('tail', () => {
+    test('should pretty-print the last records', async () => {
+      fs.writeFileSync(file, line('info', 'one') + line('warn', 'two', { namespace: 'db' }) +
+        line('error', 'three', { context: { requestId: 'r1' }, error: { stack: 'Error: three\n    at handler (app.js:1:1)' } }));
+
+      expect(await run(['tail', file, '-n', '2'], io)).toBe(0);
+      expect(output()).toBe(
+        '12:30:05.123 [WARN] db two\n' +
+        '12:30:05.123 [ERROR] three {"requestId":"r1"}\n' +
+        '    at handler (app.js:1:1)\n'
+      );
+    });
+
+    test('should filter by level and text', async () => {
+      fs.writeFileSync(file, line('debug', 'cache miss') + line('warn', 'slow query', { context: { table: 'users' } }) +
+        line('error', 'query failed') + 'not a record\n');
+
+      await run(['tail', file, '--level', 'warn', '--grep', 'USERS'], io);
+      expect(output()).toBe('12:30:05.123 [WARN] slow query {"table":"users"}\n');
+
+      io.stdout.text = '';
+      await run(['tail', file, '--level', 'debug,error', '--json'], io);
+      expect(output().trim().split('\n').map(entry => JSON.parse(entry).message)).toEqual(['cache miss', 'query failed']);
+
+      io.stdout.text = '';
+      await run(['tail', file, '-n', '1'], io);
+      expect(output()).toBe('not a record\n');
+    });
+
+    test('should report unreadable files and unknown levels', async () => {
+      expect(await run(['tail', path.join(dir, 'missing.ndjson')], io)).toBe(1);
+      expect(io.stderr.text).toMatch(/^consoletext: ENOENT/);
+
+      fs.writeFileSync(file, '');
+      expect(await run(['tail', file, '--level', 'loud'], io)).toBe(1);
+      expect(io.stderr.text).toContain('consoletext: unknown level "loud"\n');
+    });
+
+    test('should follow appended records', async () => {
+      fs.writeFileSync(file, line('info', 'before'));
+
+      handle = await run(['tail', file, '-f', '--grep', 'after'], io);
+      expect(output()).toBe('');
+
+      fs.appendFileSync(file, line('info', 'after one') + line('info', 'skipped') + line('info', 'after two').slice(0, 20));
+      await waitFor(() => output().includes('after one'));
+      expect(output()).toBe('12:30:05.123 [INFO] after one\n');
+
+      fs.appendFileSync(file, line('info', 'after two').slice(20));
+      await waitFor(() => output().includes('after two'));
+
+      // Truncation starts over from the beginning of the file
+      fs.writeFileSync(file, line('info', 'after truncation'));
+      await waitFor(() => output().includes('after truncation'));
+    });
+  });
+
+  describe('serve', () => {
+    const post = (url, body, headers) => new Promise((resolve, reject) => {
+      const req = http.request(url, { method: 'POST', headers }, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify(body));
+    });
+
+    test('should collect records and print them', async () => {
+      handle = await run(['serve', '--port', '0', '--file', file], Object.assign(io, { env: { CONSOLETEXT_API_KEY: 'secret' } }));
+      expect(output()).toBe(`Collecting logs at ${handle.url}, appending to ${file}\n`);
+
+      const records = [{ level: 'warn', message: 'disk almost full', timestamp: '2026-10-19T12:30:05.123Z' }];
+      expect(await post(handle.url, records)).toBe(401);
+      expect(await post(handle.url, records, { Authorization: 'Bearer secret' })).toBe(204);
+      await handle.close();
+      handle = null;
+
+      expect(output()).toContain('12:30:05.123 [WARN] disk almost full\n');
+      expect(fs.readFileSync(file, 'utf8')).toBe(JSON.stringify(records[0]) + '\n');
+    });
+
+    test('should report a port in use', async () => {
+      handle = await run(['serve', '--port', '0', '--quiet'], io);
+      const port = new URL(handle.url).port;
+
+      expect(await run(['serve', '--port', port, '--file', file], io)).toBe(1);
+      expect(io.stderr.text).toMatch(/^consoletext: listen EADDRINUSE/);
+    });
+  });
+
+  test('should format records with the colorizer', () => {
+    const colorizer = createColorizer({ colorLevel: 1 });
+    const formatted = formatRecord({ level: 'error', message: 'boom', namespace: 'api' }, colorizer);
+
+    expect(formatted).toContain('\u001b[');
+    expect(formatted).toContain('boom');
+    expect(createRecordFilter()({ level: 'info', message: 'x' })).toBe(true);
+  });
+});
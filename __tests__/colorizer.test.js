@@ -0,0 +1,81 @@
+const { applyColor, createColorizer, detectColorLevel } = require('../src/utils/colorizer');
+
+describe('colorizer', () => {
+  const tty = { isTTY: true };
+
+  test('should keep the legacy applyColor helper', () => {
+    expect(applyColor('unknown', ['a', 1])).toEqual(['a', 1]);
+  });
+
+  test('should honor NO_COLOR and FORCE_COLOR', () => {
+    expect(detectColorLevel(tty, { NO_COLOR: '1' })).toBe(0);
+    expect(detectColorLevel(tty, { NO_COLOR: '' })).toBe(1);
+    expect(detectColorLevel({}, { FORCE_COLOR: '' })).toBe(1);
+    expect(detectColorLevel({}, { FORCE_COLOR: '2' })).toBe(2);
+    expect(detectColorLevel({}, { FORCE_COLOR: '9' })).toBe(3);
+    expect(detectColorLevel(tty, { FORCE_COLOR: 'false' })).toBe(0);
+    expect(detectColorLevel(tty, { FORCE_COLOR: '0' })).toBe(0);
+  });
+
+  test('should detect terminal capabilities', () => {
+    expect(detectColorLevel({ isTTY: false }, {})).toBe(0);
+    expect(detectColorLevel(null, {})).toBe(0);
+    expect(detectColorLevel(tty, { TERM: 'dumb' })).toBe(0);
+    expect(detectColorLevel(tty, { COLORTERM: 'truecolor' })).toBe(3);
+    expect(detectColorLevel(tty, { TERM: 'xterm-256color' })).toBe(2);
+    expect(detectColorLevel(tty, { TERM: 'xterm' })).toBe(1);
+  });
+
+  test('should leave arguments untouched without color support', () => {
+    const args = ['text', { a: 1 }];
+    const colorizer = createColorizer({ colorLevel: 0 });
+
+    expect(colorizer.applyColor('info', args)).toBe(args);
+    expect(createColorizer({ stream: { isTTY: false } }).colorLevel).toBe(0);
+  });
+
+  test('should add plain badges without color support', () => {
+    const colorizer = createColorizer({ colorLevel: 0, badges: true });
+    expect(colorizer.applyColor('warn', ['careful'])).toEqual(['[WARN]', 'careful']);
+  });
+
+  test('should support named, hex, rgb and modifier styles', () => {
+    const colorizer = createColorizer({
+      colorLevel: 3,
+      theme: {
+        info: { color: '#ff0000', bgColor: 'white', bold: true },
+        warn: { color: [0, 255, 0], bgColor: '#000000', underline: true },
+        error: { color: 'rgb(0, 0, 255)', bgColor: [1, 2, 3], italic: true, dim: true },
+        debug: { bgColor: 'rgb(4, 5, 6)' }
+      }
+    });
+
+    expect(colorizer.paint('info', 'x')).toBe('\u001b[38;2;255;0;0m\u001b[47m\u001b[1mx\u001b[22m\u001b[49m\u001b[39m');
+    expect(colorizer.paint('warn', 'x')).toContain('\u001b[38;2;0;255;0m');
+    expect(colorizer.paint('warn', 'x')).toContain('\u001b[48;2;0;0;0m');
+    expect(colorizer.paint('error', 'x')).toContain('\u001b[38;2;0;0;255m');
+    expect(colorizer.paint('error', 'x')).toContain('\u001b[48;2;1;2;3m');
+    expect(colorizer.paint('debug', 'x')).toContain('\u001b[48;2;4;5;6m');
+    expect(colorizer.paint('log', 'x')).toBe('x');
+    expect(colorizer.paint('custom', 'x')).toBe('x');
+  });
+
+  test('should highlight objects with util.inspect colors', () => {
+    const colorizer = createColorizer({ colorLevel: 1 });
+    expect(colorizer.applyColor('log', [{ ok: true }])).toEqual(['{ ok: \u001b[33mtrue\u001b[39m }']);
+  });
+
+  test('should assign stable colors to namespaces', () => {
+    const basic = createColorizer({ colorLevel: 1 });
+    const extended = createColorizer({ colorLevel: 2 });
+
+    expect(basic.paintNamespace('db', 'x')).toBe(createColorizer({ colorLevel: 1 }).paintNamespace('db', 'x'));
+    expect(basic.paintNamespace('db', 'x')).toMatch(/^\u001b\[3[1-6]mx\u001b\[39m$/);
+    expect(extended.paintNamespace('db', 'x')).toMatch(/^\u001b\[38;5;\d+mx\u001b\[39m$/);
+    expect(createColorizer({ colorLevel: 0 }).paintNamespace('db', 'x')).toBe('x');
+  });
+
+  test('should reject unknown color names', () => {
+    expect(() => createColorizer({ colorLevel: 1, theme: { info: { color: 'blurple' } } })).toThrow(/unknown color "blurple"/);
+  });
+});
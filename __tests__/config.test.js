@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, readEnv, readConfigFile, validateOption, envName } = require('../src/utils/config');
+
+describe('config', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consoletext-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeJson = (name, value) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof value === 'string' ? value : JSON.stringify(value));
+    return file;
+  };
+
+  test('should derive environment variable names from option names', () => {
+    expect(envName('apiKey')).toBe('CONSOLETEXT_API_KEY');
+    expect(envName('maxSpoolSize')).toBe('CONSOLETEXT_MAX_SPOOL_SIZE');
+    expect(envName('namespaces')).toBe('CONSOLETEXT_DEBUG');
+  });
+
+  test('should parse environment variables by option type', () => {
+    expect(readEnv({
+      CONSOLETEXT_ENDPOINT: 'https://logs.example.com',
+      CONSOLETEXT_SILENT: 'yes',
+      CONSOLETEXT_COLORIZE: 'off',
+      CONSOLETEXT_BATCH_SIZE: '25',
+      CONSOLETEXT_REMOTE_LEVEL: 'text, error',
+      CONSOLETEXT_CONSOLE_LEVEL: 'warn',
+      CONSOLETEXT_REMOTE_METHODS: 'table,trace',
+      CONSOLETEXT_REDACT: '{"paths":["password"]}',
+      CONSOLETEXT_DEBUG: 'db:*',
+      CONSOLETEXT_NAME: '',
+      CONSOLETEXT_UNRELATED: 'ignored'
+    })).toEqual({
+      endpoint: 'https://logs.example.com',
+      silent: true,
+      colorize: false,
+      batchSize: 25,
+      remoteLevel: ['text', 'error'],
+      consoleLevel: 'warn',
+      remoteMethods: ['table', 'trace'],
+      redact: { paths: ['password'] },
+      namespaces: 'db:*'
+    });
+  });
+
+  test('should name the variable in validation errors', () => {
+    expect(() => readEnv({ CONSOLETEXT_BATCH_SIZE: 'many' }))
+      .toThrow('ConsoleText: batchSize must be a positive integer, got \'many\' (CONSOLETEXT_BATCH_SIZE)');
+    expect(() => readEnv({ CONSOLETEXT_SILENT: 'maybe' })).toThrow(/silent must be true or false/);
+    expect(() => readEnv({ CONSOLETEXT_MODE: 'xml' })).toThrow(/unknown mode "xml" \(CONSOLETEXT_MODE\)/);
+  });
+
+  test('should validate option values with descriptive errors', () => {
+    expect(() => validateOption('endpoint', 'logs.example.com')).toThrow(/endpoint must be an http\(s\) URL, got 'logs.example.com'/);
+    expect(() => validateOption('endpoint', 'ftp://logs.example.com')).toThrow(/http\(s\) URL/);
+    expect(() => validateOption('retries', -1)).toThrow(/retries must be a non-negative integer, got -1/);
+    expect(() => validateOption('format', 42)).toThrow(/format must be a string or a function/);
+    expect(() => validateOption('remoteMethods', ['table', 'log'])).toThrow(/unknown remote method "log"/);
+    expect(() => validateOption('remoteLevel', ['text', 'silent'])).toThrow(/unknown level "silent"/);
+    expect(() => validateOption('bachSize', 5)).toThrow(/unknown option "bachSize"/);
+
+    expect(() => validateOption('endpoint', 'http://localhost:4000/logs')).not.toThrow();
+    expect(() => validateOption('file', { filename: 'app.log' })).not.toThrow();
+    expect(() => validateOption('consoleLevel', null)).not.toThrow();
+  });
+
+  test('should read a JSON config file', () => {
+    const file = writeJson('.consoletextrc', { batchSize: 5 });
+    expect(readConfigFile(file)).toEqual({ batchSize: 5 });
+
+    expect(() => readConfigFile(writeJson('broken.json', '{ batchSize: '))).toThrow(/cannot read config file/);
+    expect(() => readConfigFile(writeJson('list.json', [1]))).toThrow(/must contain a JSON object/);
+    expect(() => readConfigFile(writeJson('typo.json', { bachSize: 5 }))).toThrow(`unknown option "bachSize" (${path.join(dir, 'typo.json')})`);
+  });
+
+  test('should merge options, environment, config file and defaults by precedence', () => {
+    writeJson('consoletext.config.json', { batchSize: 5, retries: 1, name: 'file' });
+    writeJson('.consoletextrc', { name: 'rc' });
+
+    const config = loadConfig({ name: 'explicit', apiKey: undefined, dropPolicy: null }, {
+      cwd: dir,
+      env: { CONSOLETEXT_RETRIES: '2', CONSOLETEXT_NAME: 'env', CONSOLETEXT_API_KEY: 'k' }
+    });
+
+    expect(config.name).toBe('explicit');
+    expect(config.apiKey).toBe('k');
+    expect(config.retries).toBe(2);
+    expect(config.batchSize).toBe(5);
+    expect(config.dropPolicy).toBe('oldest');
+    expect(config.remoteLevel).toEqual(['text']);
+    expect('configFile' in config).toBe(false);
+  });
+
+  test('should select the config file explicitly or skip it', () => {
+    writeJson('consoletext.config.json', { batchSize: 5 });
+    writeJson('custom.json', { batchSize: 7 });
+
+    expect(loadConfig({ configFile: 'custom.json' }, { cwd: dir, env: {} }).batchSize).toBe(7);
+    expect(loadConfig({}, { cwd: dir, env: { CONSOLETEXT_CONFIG: 'custom.json' } }).batchSize).toBe(7);
+    expect(loadConfig({ configFile: false }, { cwd: dir, env: {} }).batchSize).toBe(10);
+    expect(() => loadConfig({ configFile: 'missing.json' }, { cwd: dir, env: {} })).toThrow(/does not exist/);
+    expect(() => loadConfig({ configFile: 1 }, { cwd: dir, env: {} })).toThrow(/configFile must be a path or false/);
+  });
+});
@@ -0,0 +1,84 @@
+const ConsoleText = require('../src/ConsoleText');
+const Logger = require('../src/Logger');
+const { getContext, runWithContext } = require('../src/utils/context');
+
+describe('context', () => {
+  let transport;
+  let logger;
+
+  beforeEach(() => {
+    transport = { log: jest.fn() };
+    logger = new ConsoleText({
+      silent: true,
+      remoteLevel: 'debug',
+      transports: [transport]
+    }).init();
+  });
+
+  afterEach(() => {
+    logger.restore();
+  });
+
+  const contexts = () => transport.log.mock.calls.map(call => call[0].context);
+
+  test('should attach child bindings to records', () => {
+    const child = logger.child({ service: 'billing' });
+    const grandchild = child.child({ userId: 7 });
+
+    child.info('started');
+    grandchild.text('charged');
+
+    expect(child).toBeInstanceOf(Logger);
+    expect(contexts()).toEqual([{ service: 'billing' }, { service: 'billing', userId: 7 }]);
+    expect(child.bindings).toEqual({ service: 'billing' });
+  });
+
+  test('should omit context when there is none', () => {
+    console.text('plain');
+    expect(transport.log.mock.calls[0][0]).not.toHaveProperty('context');
+  });
+
+  test('should propagate context through async flows', async () => {
+    await logger.runWithContext({ requestId: 'r-1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      console.error('inside');
+
+      await runWithContext({ userId: 3 }, async () => {
+        await Promise.resolve();
+        console.text('nested');
+      });
+    });
+    console.text('outside');
+
+    expect(contexts()).toEqual([
+      { requestId: 'r-1' },
+      { requestId: 'r-1', userId: 3 },
+      undefined
+    ]);
+  });
+
+  test('should let logger bindings override async context', () => {
+    runWithContext({ service: 'api', requestId: 'r-2' }, () => {
+      logger.child({ service: 'worker' }).warn('mixed');
+    });
+
+    expect(contexts()).toEqual([{ service: 'worker', requestId: 'r-2' }]);
+  });
+
+  test('should return the result of the wrapped function', () => {
+    expect(runWithContext({ a: 1 }, () => getContext())).toEqual({ a: 1 });
+    expect(getContext()).toEqual({});
+  });
+
+  test('should redact context fields', () => {
+    const redacting = new ConsoleText({
+      silent: true,
+      transports: [transport],
+      redact: { paths: ['token'] }
+    });
+
+    redacting.child({ token: 'secret', user: 'ada' }).text('hi');
+
+    expect(contexts()).toEqual([{ token: '[REDACTED]', user: 'ada' }]);
+  });
+});
@@ -0,0 +1,271 @@
+const os = require('os');
+const net = require('net');
+const http = require('http');
+const dgram = require('dgram');
+const ConsoleText = require('../src/ConsoleText');
+const { SyslogTransport, OtlpTransport } = require('../src/transports');
+const { runWithContext } = require('../src/utils/context');
+
+describe('exporters', () => {
+  const record = (level, message, extra) => Object.assign({ level, message, timestamp: '2026-10-19T12:30:05.123Z' }, extra);
+  const closers = [];
+
+  afterEach(async () => {
+    await Promise.all(closers.splice(0).map(close => close()));
+    delete console.text;
+  });
+
+  const waitFor = async predicate => {
+    for (let i = 0; i < 100; i++) {
+      if (predicate()) return;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('timed out');
+  };
+
+  describe('SyslogTransport', () => {
+    const udpListener = () => new Promise(resolve => {
+      const messages = [];
+      const socket = dgram.createSocket('udp4');
+      socket.on('message', message => messages.push(message.toString()));
+      socket.bind(0, '127.0.0.1', () => {
+        closers.push(() => new Promise(done => socket.close(done)));
+        resolve({ port: socket.address().port, messages });
+      });
+    });
+
+    const tcpListener = () => new Promise(resolve => {
+      const received = { data: '' };
+      const server = net.createServer(socket => socket.on('data', chunk => { received.data += chunk; }));
+      server.listen(0, '127.0.0.1', () => {
+        closers.push(() => new Promise(done => server.close(done)));
+        resolve({ port: server.address().port, received });
+      });
+    });
+
+    const create = options => {
+      const transport = new SyslogTransport(Object.assign({ appName: 'api', hostname: 'web-1' }, options));
+      closers.push(() => transport.close());
+      return transport;
+    };
+
+    test('should format RFC 5424 messages', () => {
+      const transport = create({ facility: 'local0' });
+
+      expect(transport.format(record('warn', 'disk almost full'))).toBe(
+        `<132>1 2026-10-19T12:30:05.123Z web-1 api ${process.pid} - - disk almost full`
+      );
+      expect(transport.format(record('text', 'query', {
+        namespace: 'db query',
+        context: { requestId: 'r1', 'odd key=': 'a "quoted" ]value\\', user: { id: 1 } }
+      }))).toBe(
+        `<133>1 2026-10-19T12:30:05.123Z web-1 api ${process.pid} db_query ` +
+        '[context@32473 requestId="r1" odd_key_="a \\"quoted\\" \\]value\\\\" user="{\\"id\\":1}"] query'
+      );
+      expect(transport.format(record('error', 'boom', { error: { name: 'Error', message: 'boom', stack: 'Error: boom\n    at handler (app.js:1:1)' } })))
+        .toMatch(/^<131>1 .* - - boom\n {4}at handler \(app\.js:1:1\)$/);
+      expect(create({ sdId: null }).format(record('debug', 'x', { context: { a: 1 } }))).toMatch(/^<15>1 .* - - x$/);
+    });
+
+    test('should map levels to severities', () => {
+      const transport = create({ facility: 0 });
+      const severities = ['debug', 'log', 'info', 'text', 'warn', 'error'].map(level => Number(/^<(\d+)>/.exec(transport.format(record(level, 'x')))[1]));
+
+      expect(severities).toEqual([7, 6, 6, 5, 4, 3]);
+    });
+
+    test('should send datagrams over UDP', async () => {
+      const listener = await udpListener();
+      const transport = create({ url: `udp://127.0.0.1:${listener.port}`, maxMessageSize: 120 });
+
+      transport.log(record('info', 'hello'));
+      transport.log(record('info', 'x'.repeat(500)));
+      await transport.flush();
+      await waitFor(() => listener.messages.length === 2);
+
+      expect(listener.messages[0]).toBe(`<14>1 2026-10-19T12:30:05.123Z web-1 api ${process.pid} - - hello`);
+      expect(Buffer.byteLength(listener.messages[1])).toBe(120);
+    });
+
+    test('should send octet-counted or newline framed messages over TCP', async () => {
+      const listener = await tcpListener();
+      const transport = create({ protocol: 'tcp', port: listener.port });
+
+      transport.log(record('warn', 'first'));
+      transport.log(record('error', 'second'));
+      await transport.flush();
+      await waitFor(() => listener.received.data.includes('second'));
+
+      const first = `<12>1 2026-10-19T12:30:05.123Z web-1 api ${process.pid} - - first`;
+      expect(listener.received.data.startsWith(`${first.length} ${first}`)).toBe(true);
+
+      await transport.close();
+      listener.received.data = '';
+      const newline = create({ url: `tcp://127.0.0.1:${listener.port}`, framing: 'newline' });
+      newline.log(record('info', 'third'));
+      await waitFor(() => listener.received.data.endsWith(' third\n'));
+    });
+
+    test('should report connection failures once per connection', async () => {
+      const listener = await tcpListener();
+      await closers.pop()();
+      const onError = jest.fn();
+      const transport = create({ protocol: 'tcp', port: listener.port, onError });
+
+      transport.log(record('info', 'lost'));
+      transport.log(record('info', 'lost too'));
+      await transport.flush();
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0]).toMatch(/^ConsoleText: Syslog connection to 127\.0\.0\.1:\d+ failed: connect ECONNREFUSED/);
+    });
+
+    test('should settle writes when a refused connection never calls them back', async () => {
+      const listener = await tcpListener();
+      await closers.pop()();
+      // Node 12 drops the callbacks of writes queued before a refused connection
+      const write = jest.spyOn(net.Socket.prototype, 'write').mockImplementation(() => true);
+      const transport = create({ protocol: 'tcp', port: listener.port });
+
+      try {
+        transport.log(record('info', 'lost'));
+        await transport.close();
+      } finally {
+        write.mockRestore();
+      }
+      expect(transport.pending.size).toBe(0);
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => new SyslogTransport({ url: 'http://logs:514' })).toThrow('url must start with udp:// or tcp://');
+      expect(() => new SyslogTransport({ url: 'not a url' })).toThrow('SyslogTransport: invalid url "not a url"');
+      expect(() => new SyslogTransport({ protocol: 'tls' })).toThrow('SyslogTransport: unknown protocol "tls"');
+      expect(() => new SyslogTransport({ facility: 'local9' })).toThrow('SyslogTransport: unknown facility "local9"');
+      expect(() => new SyslogTransport({ framing: 'none' })).toThrow('SyslogTransport: unknown framing "none"');
+      expect(new SyslogTransport({ url: 'tcp://[::1]' })).toMatchObject({ host: '::1', port: 601 });
+    });
+
+    test('should be configured from the syslog option', async () => {
+      const listener = await udpListener();
+      const logger = new ConsoleText({ silent: true, name: 'checkout', remoteLevel: 'warn', syslog: `udp://127.0.0.1:${listener.port}` }).init();
+      closers.push(() => logger.close());
+
+      console.warn('payment retried');
+      await logger.flush();
+      await waitFor(() => listener.messages.length === 1);
+
+      expect(listener.messages[0]).toMatch(new RegExp(`^<12>1 \\S+ \\S+ checkout ${process.pid} - - payment retried$`));
+
+      logger.configure({ syslog: null });
+      expect(logger.syslogTransport).toBeNull();
+      expect(logger.transports).toEqual([]);
+    });
+  });
+
+  describe('OtlpTransport', () => {
+    const otlpListener = () => new Promise(resolve => {
+      const requests = [];
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end('{}');
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        closers.push(() => new Promise(done => server.close(done)));
+        resolve({ endpoint: `http://127.0.0.1:${server.address().port}/v1/logs`, requests });
+      });
+    });
+
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const spanId = '00f067aa0ba902b7';
+
+    test('should convert records to OTLP log records', () => {
+      expect(OtlpTransport.toLogRecord(record('warn', 'slow query', {
+        namespace: 'db',
+        context: { traceId: traceId.toUpperCase(), span_id: spanId, rows: 12, ratio: 0.5, cached: false, tags: ['a'], user: { id: 'u1' }, none: null },
+        error: { name: 'TimeoutError', message: 'timed out', stack: 'TimeoutError: timed out\n    at query' }
+      }))).toEqual({
+        timeUnixNano: '1792413005123000000',
+        observedTimeUnixNano: '1792413005123000000',
+        severityNumber: 13,
+        severityText: 'WARN',
+        body: { stringValue: 'slow query' },
+        traceId,
+        spanId,
+        attributes: [
+          { key: 'rows', value: { intValue: '12' } },
+          { key: 'ratio', value: { doubleValue: 0.5 } },
+          { key: 'cached', value: { boolValue: false } },
+          { key: 'tags', value: { arrayValue: { values: [{ stringValue: 'a' }] } } },
+          { key: 'user', value: { kvlistValue: { values: [{ key: 'id', value: { stringValue: 'u1' } }] } } },
+          { key: 'none', value: {} },
+          { key: 'consoletext.namespace', value: { stringValue: 'db' } },
+          { key: 'exception.type', value: { stringValue: 'TimeoutError' } },
+          { key: 'exception.message', value: { stringValue: 'timed out' } },
+          { key: 'exception.stacktrace', value: { stringValue: 'TimeoutError: timed out\n    at query' } }
+        ]
+      });
+
+      const plain = OtlpTransport.toLogRecord(record('text', 'hi', { context: { traceId: 'not-a-trace-id' } }));
+      expect(plain.severityNumber).toBe(10);
+      expect(plain.traceId).toBeUndefined();
+      expect(plain.attributes).toEqual([{ key: 'traceId', value: { stringValue: 'not-a-trace-id' } }]);
+    });
+
+    test('should post batches with resource attributes to a collector', async () => {
+      const listener = await otlpListener();
+      const transport = new OtlpTransport({
+        endpoint: listener.endpoint,
+        serviceName: 'checkout',
+        resource: { 'deployment.environment': 'test' },
+        headers: { 'X-Tenant': 'acme' }
+      });
+
+      transport.log(record('info', 'one'));
+      transport.log(record('error', 'two'));
+      await transport.close();
+
+      expect(listener.requests).toHaveLength(1);
+      const [request] = listener.requests;
+      expect(request.url).toBe('/v1/logs');
+      expect(request.headers['x-tenant']).toBe('acme');
+
+      const [resourceLogs] = request.body.resourceLogs;
+      expect(resourceLogs.resource.attributes).toEqual(expect.arrayContaining([
+        { key: 'service.name', value: { stringValue: 'checkout' } },
+        { key: 'host.name', value: { stringValue: os.hostname() } },
+        { key: 'deployment.environment', value: { stringValue: 'test' } }
+      ]));
+      expect(resourceLogs.scopeLogs[0].scope).toEqual({ name: 'consoletext', version: require('../package.json').version });
+      expect(resourceLogs.scopeLogs[0].logRecords.map(logRecord => [logRecord.severityText, logRecord.body.stringValue]))
+        .toEqual([['INFO', 'one'], ['ERROR', 'two']]);
+    });
+
+    test('should be configured from the otlp option with trace ids from context', async () => {
+      const listener = await otlpListener();
+      const logger = new ConsoleText({ silent: true, name: 'checkout', otlp: listener.endpoint }).init();
+      closers.push(() => logger.close());
+
+      runWithContext({ traceId, spanId, requestId: 'r1' }, () => console.text('order placed'));
+      await logger.flush();
+
+      const [resourceLogs] = listener.requests[0].body.resourceLogs;
+      expect(resourceLogs.resource.attributes).toContainEqual({ key: 'service.name', value: { stringValue: 'checkout' } });
+      expect(resourceLogs.scopeLogs[0].logRecords[0]).toMatchObject({
+        severityText: 'TEXT',
+        body: { stringValue: 'order placed' },
+        traceId,
+        spanId,
+        attributes: [{ key: 'requestId', value: { stringValue: 'r1' } }]
+      });
+    });
+
+    test('should default to the local collector endpoint', () => {
+      expect(new OtlpTransport().endpoint).toBe('http://localhost:4318/v1/logs');
+    });
+  });
+});
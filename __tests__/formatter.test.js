@@ -0,0 +1,89 @@
+const os = require('os');
+const ConsoleText = require('../src/ConsoleText');
+const { createFormatter, createInfo, parseCallSite, parseStack } = require('../src/utils/formatter');
+
+describe('formatter', () => {
+  const info = overrides => createInfo(Object.assign({
+    level: 'info',
+    args: ['hello', { a: 1 }],
+    name: 'api',
+    startTime: Date.now() - 5,
+    callSite: new Error()
+  }, overrides));
+
+  test('should prefix arguments with the rendered template', () => {
+    const format = createFormatter('{LEVEL} {level} [{name}] {pid}@{hostname}');
+
+    expect(format(info())).toEqual([`INFO info [api] ${process.pid}@${os.hostname()}`, 'hello', { a: 1 }]);
+    expect(format.needsLocation).toBe(false);
+  });
+
+  test('should render timestamps', () => {
+    const [line] = createFormatter('{timestamp}|{time}|{relative}')(info());
+    const [timestamp, time, relative] = line.split('|');
+
+    expect(new Date(timestamp).toISOString()).toBe(timestamp);
+    expect(time).toMatch(/^\d{2}:\d{2}:\d{2}\.\d{3}$/);
+    expect(relative).toMatch(/^\+\d+ms$/);
+  });
+
+  test('should inline arguments with {message}', () => {
+    expect(createFormatter('{LEVEL}: {message}')(info())).toEqual(['INFO: hello { a: 1 }']);
+  });
+
+  test('should resolve the caller location outside the library', () => {
+    const format = createFormatter('{location} {file} {line} {column} {function}');
+    const [line] = format(info());
+
+    expect(format.needsLocation).toBe(true);
+    expect(line).toMatch(/^__tests__\/formatter\.test\.js:\d+ __tests__\/formatter\.test\.js \d+ \d+ \S+$/);
+  });
+
+  test('should render empty location tokens when the stack has no caller', () => {
+    const [line] = createFormatter('[{location}{file}{line}{column}{function}{name}]')(info({ callSite: null, name: null }));
+    expect(line).toBe('[]');
+  });
+
+  test('should skip unparseable and internal frames', () => {
+    const callSite = { stack: 'Error\n    at garbage\n    at node:internal/x:1:1\n    at internal/main/run_main_module.js:17:47\n    at /tmp/app.js:3:7' };
+    expect(parseCallSite(callSite)).toEqual({ file: expect.stringMatching(/app\.js$/), line: 3, column: 7, function: '<anonymous>' });
+    expect(parseCallSite({ stack: 'Error' })).toBeNull();
+  });
+
+  test('should parse every frame outside the library', () => {
+    const error = { stack: 'Error\n    at garbage\n    at fn (/tmp/app.js:3:7)\n    at node:internal/x:1:2' };
+    expect(parseStack(error)).toEqual([
+      { file: expect.stringMatching(/app\.js$/), line: 3, column: 7, function: 'fn' },
+      { file: 'node:internal/x', line: 1, column: 2, function: '<anonymous>' }
+    ]);
+  });
+
+  test('should support formatter functions', () => {
+    const format = createFormatter(data => `${data.level}:${data.args.length}`);
+    expect(format(info())).toEqual(['info:2']);
+
+    const arrayFormat = createFormatter(data => ['>', ...data.args]);
+    expect(arrayFormat(info())).toEqual(['>', 'hello', { a: 1 }]);
+  });
+
+  test('should reject unknown tokens and invalid formats', () => {
+    expect(() => createFormatter('{nope}')).toThrow(/unknown format token "\{nope\}"/);
+    expect(() => createFormatter(42)).toThrow(TypeError);
+  });
+
+  test('should format every log method of ConsoleText with the call site', () => {
+    const logSpy = jest.fn();
+    const warnSpy = jest.fn();
+    const logger = new ConsoleText({ colorize: false, format: '{LEVEL} {name} {location}', name: 'app' });
+    logger.originalConsole.log = logSpy;
+    logger.originalConsole.warn = warnSpy;
+    logger.init();
+
+    console.text('shipped');
+    logger.child({ name: 'worker' }).warn('careful');
+
+    expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/^TEXT app __tests__\/formatter\.test\.js:\d+$/), 'shipped');
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(/^WARN worker __tests__\/formatter\.test\.js:\d+$/), 'careful');
+    logger.restore();
+  });
+});
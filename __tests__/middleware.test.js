@@ -0,0 +1,173 @@
+const http = require('http');
+const { captureConsole } = require('../testing');
+const { requestLevel } = require('../src/middleware');
+
+describe('request logging middleware', () => {
+  let server;
+
+  afterEach(done => {
+    if (server && server.listening) {
+      server.close(() => done());
+    } else {
+      done();
+    }
+  });
+
+  const listen = handler => new Promise(resolve => {
+    server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+
+  const request = (port, options = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ port, host: '127.0.0.1', path: options.path || '/items?page=2', method: options.method || 'GET', headers: options.headers }, res => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  // The request record is logged on 'finish', which may follow the client seeing the response
+  const requestRecord = async (capture, index = 0) => {
+    for (let i = 0; i < 50; i++) {
+      const records = capture.logged.filter(record => record.args[1] && record.args[1].duration !== undefined);
+      if (records[index]) return records[index];
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error('request was not logged');
+  };
+
+  test('should log requests with a request id bound as context', async () => {
+    const capture = captureConsole();
+    const logRequests = capture.consoleText.requestLogger();
+    const port = await listen((req, res) => logRequests(req, res, () => {
+      setImmediate(() => {
+        console.text('handling', req.id);
+        res.setHeader('Content-Length', 2);
+        res.end('ok');
+      });
+    }));
+
+    const res = await request(port, { headers: { 'User-Agent': 'jest' } });
+    const requestId = res.headers['x-request-id'];
+    const record = await requestRecord(capture);
+
+    expect(requestId).toMatch(/^[\w-]{32,36}$/);
+    expect(capture).toHaveLogged({ level: 'text', context: { requestId }, args: ['handling', requestId] });
+    expect(record.level).toBe('info');
+    expect(record.message).toMatch(/^GET \/items\?page=2 200 [\d.]+ms /);
+    expect(record.context).toEqual({ requestId });
+    expect(record.args[1]).toEqual({
+      req: { method: 'GET', url: '/items?page=2', userAgent: 'jest' },
+      res: { statusCode: 200, contentLength: 2 },
+      duration: expect.any(Number)
+    });
+  });
+
+  test('should propagate well-formed incoming ids only', async () => {
+    const capture = captureConsole();
+    const logRequests = capture.consoleText.requestLogger({ generateId: () => 'generated' });
+    const port = await listen((req, res) => logRequests(req, res, () => res.end()));
+
+    expect((await request(port, { headers: { 'X-Request-Id': 'edge-42' } })).headers['x-request-id']).toBe('edge-42');
+    expect((await request(port, { headers: { 'X-Request-Id': 'bad id\tinjected' } })).headers['x-request-id']).toBe('generated');
+    await requestRecord(capture, 1);
+  });
+
+  test('should pick the level from the status code', async () => {
+    expect([200, 302, 404, 503].map(requestLevel)).toEqual(['info', 'info', 'warn', 'error']);
+
+    const capture = captureConsole({ remoteLevel: 'warn' });
+    const logRequests = capture.consoleText.requestLogger({ level: status => (status === 404 ? 'debug' : requestLevel(status)) });
+    const port = await listen((req, res) => logRequests(req, res, () => {
+      res.statusCode = req.url === '/missing' ? 404 : 500;
+      res.end();
+    }));
+
+    await request(port, { path: '/missing' });
+    await request(port, { path: '/broken', method: 'POST' });
+    await requestRecord(capture, 1);
+
+    expect(capture).toHaveLogged('debug', 'GET /missing 404');
+    expect(capture).toHaveSentRemote('error', 'POST /broken 500');
+    expect(capture).not.toHaveSentRemote('debug');
+    expect(() => capture.consoleText.requestLogger({ level: 'info' })).toThrow(/level must be a function/);
+  });
+
+  test('should fall back to the status code level for unknown levels', async () => {
+    const capture = captureConsole();
+    const logRequests = capture.consoleText.requestLogger({ level: () => 'http' });
+    const port = await listen((req, res) => logRequests(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    }));
+
+    await request(port, { path: '/missing' });
+    await requestRecord(capture);
+
+    expect(capture).toHaveLogged('warn', 'GET /missing 404');
+  });
+
+  test('should censor sensitive headers and honor the configured redaction', async () => {
+    const capture = captureConsole({ redact: { paths: ['req.headers.x-internal'], censor: '***' } });
+    const logRequests = capture.consoleText.requestLogger({ headers: true });
+    const port = await listen((req, res) => logRequests(req, res, () => res.end()));
+
+    await request(port, { headers: { Authorization: 'Bearer secret', Cookie: 'sid=1', 'X-Internal': 'node-7', Accept: 'text/plain' } });
+    const { headers } = (await requestRecord(capture)).args[1].req;
+
+    expect(headers).toMatchObject({ authorization: '***', cookie: '***', 'x-internal': '***', accept: 'text/plain' });
+  });
+
+  test('should log only the listed headers', async () => {
+    const capture = captureConsole();
+    const logRequests = capture.consoleText.requestLogger({ headers: ['Accept', 'X-Missing'], redactHeaders: [] });
+    const port = await listen((req, res) => logRequests(req, res, () => res.end()));
+
+    await request(port, { headers: { Accept: 'text/plain', Authorization: 'Bearer secret' } });
+
+    expect((await requestRecord(capture)).args[1].req.headers).toEqual({ accept: 'text/plain' });
+  });
+
+  test('should log requests whose client disconnected as aborted', async () => {
+    const capture = captureConsole();
+    const logRequests = capture.consoleText.requestLogger();
+    let received;
+    const handled = new Promise(resolve => {
+      received = resolve;
+    });
+    const port = await listen((req, res) => logRequests(req, res, () => received()));
+
+    const client = http.request({ port, host: '127.0.0.1', path: '/slow' });
+    client.on('error', () => {});
+    client.end();
+    await handled;
+    client.destroy();
+
+    const record = await requestRecord(capture);
+    expect(record.level).toBe('warn');
+    expect(record.message).toMatch(/^GET \/slow aborted/);
+    expect(record.args[1].aborted).toBe(true);
+  });
+
+  test('should support Koa middleware signatures', async () => {
+    const capture = captureConsole();
+    const middleware = capture.consoleText.koaRequestLogger();
+    const port = await listen((req, res) => {
+      const ctx = { req, res, state: {} };
+      middleware(ctx, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        console.info('koa handler', ctx.state.requestId);
+      }).then(() => {
+        res.statusCode = 201;
+        res.end();
+      });
+    });
+
+    const res = await request(port);
+    const record = await requestRecord(capture);
+
+    expect(capture).toHaveLogged({ level: 'info', context: { requestId: res.headers['x-request-id'] }, message: `koa handler ${res.headers['x-request-id']}` });
+    expect(record.message).toMatch(/^GET \/items\?page=2 201/);
+  });
+});
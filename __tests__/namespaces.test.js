@@ -0,0 +1,125 @@
+const ConsoleText = require('../src/ConsoleText');
+const { createNamespaceFilter, formatDelta } = require('../src/utils/namespaces');
+
+describe('namespaces', () => {
+  test('should enable namespaces matching wildcard patterns', () => {
+    const enabled = createNamespaceFilter('db:*, http');
+
+    expect(enabled('db:query')).toBe(true);
+    expect(enabled('db:pool:acquire')).toBe(true);
+    expect(enabled('http')).toBe(true);
+    expect(enabled('http:client')).toBe(false);
+    expect(enabled('dbx')).toBe(false);
+  });
+
+  test('should let skips take precedence over enables', () => {
+    const enabled = createNamespaceFilter('-db:pool,*');
+
+    expect(enabled('db:query')).toBe(true);
+    expect(enabled('db:pool')).toBe(false);
+    expect(enabled.spec).toBe('-db:pool,*');
+  });
+
+  test('should enable nothing without patterns', () => {
+    expect(createNamespaceFilter(null)('db')).toBe(false);
+    expect(createNamespaceFilter('')('db')).toBe(false);
+  });
+
+  test('should treat regular expression characters literally', () => {
+    const enabled = createNamespaceFilter('app.(v2)');
+
+    expect(enabled('app.(v2)')).toBe(true);
+    expect(enabled('appx(v2)')).toBe(false);
+  });
+
+  test('should format deltas', () => {
+    expect(formatDelta(0)).toBe('+0ms');
+    expect(formatDelta(1540)).toBe('+1.5s');
+    expect(formatDelta(180000)).toBe('+3m');
+    expect(formatDelta(7200000)).toBe('+2h');
+  });
+
+  describe('loggers', () => {
+    let transport;
+    let logger;
+    let output;
+
+    beforeEach(() => {
+      transport = { log: jest.fn() };
+      output = jest.fn();
+      logger = new ConsoleText({
+        colorize: false,
+        remoteLevel: 'debug',
+        namespaces: 'db:*,-db:pool',
+        transports: [transport]
+      });
+      logger.originalConsole.log = output;
+      logger.originalConsole.info = jest.fn();
+    });
+
+    test('should only output enabled namespaces', () => {
+      logger.namespace('db:query').log('select');
+      logger.namespace('db:pool').log('acquire');
+      logger.namespace('http').log('get');
+
+      expect(output).toHaveBeenCalledTimes(1);
+      expect(transport.log).toHaveBeenCalledTimes(1);
+      expect(transport.log.mock.calls[0][0]).toMatchObject({ namespace: 'db:query', message: 'select' });
+    });
+
+    test('should print the namespace and the time since its previous message', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const query = logger.namespace('db:query');
+
+      query.log('first');
+      now.mockReturnValue(1250);
+      query.log('second', 2);
+      now.mockRestore();
+
+      expect(output.mock.calls).toEqual([
+        ['db:query', 'first', '+0ms'],
+        ['db:query', 'second', 2, '+250ms']
+      ]);
+    });
+
+    test('should toggle namespaces at runtime', () => {
+      const pool = logger.namespace('db:pool');
+      expect(pool.enabled).toBe(false);
+
+      logger.enableNamespaces('db:pool');
+      expect(pool.enabled).toBe(true);
+      expect(logger.isNamespaceEnabled('db:query')).toBe(false);
+
+      expect(logger.disableNamespaces()).toBe('db:pool');
+      expect(pool.enabled).toBe(false);
+      expect(logger.config.namespaces).toBeNull();
+    });
+
+    test('should keep namespaces across child and extended loggers', () => {
+      const db = logger.namespace('db');
+      const query = db.extend('query').child({ table: 'users' });
+
+      query.info('select');
+
+      expect(query.namespace).toBe('db:query');
+      expect(db.extend('x', '/').namespace).toBe('db/x');
+      expect(logger.child({}).extend('db').namespace).toBe('db');
+      expect(logger.child({}).enabled).toBe(true);
+      expect(transport.log.mock.calls[0][0]).toMatchObject({ namespace: 'db:query', context: { table: 'users' } });
+    });
+
+    test('should default to the CONSOLETEXT_DEBUG environment variable', () => {
+      process.env.CONSOLETEXT_DEBUG = 'http';
+      try {
+        expect(new ConsoleText().isNamespaceEnabled('http')).toBe(true);
+        expect(new ConsoleText({ namespaces: '' }).isNamespaceEnabled('http')).toBe(false);
+      } finally {
+        delete process.env.CONSOLETEXT_DEBUG;
+      }
+    });
+
+    test('should reject empty namespaces', () => {
+      expect(() => logger.namespace('')).toThrow(/namespace must be a non-empty string/);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const { createRedactor } = require('../src/utils/redactor');
+
+describe('redactor', () => {
+  test('should return values untouched when disabled', () => {
+    const value = { password: 'secret' };
+    expect(createRedactor(null)(value)).toBe(value);
+  });
+
+  test('should redact bare keys at any depth', () => {
+    const redact = createRedactor({ paths: ['password'] });
+
+    expect(redact({ password: 'a', nested: { password: 'b', keep: 'c' } })).toEqual({
+      password: '[REDACTED]',
+      nested: { password: '[REDACTED]', keep: 'c' }
+    });
+  });
+
+  test('should redact anchored and wildcard paths', () => {
+    const redact = createRedactor({
+      paths: ['req.headers.authorization', 'users[*].token', 'session.*.secret'],
+      censor: '***'
+    });
+
+    const result = redact({
+      req: { headers: { authorization: 'Bearer abc', host: 'x' } },
+      headers: { authorization: 'kept' },
+      users: [{ token: 't1', name: 'a' }, { token: 't2' }],
+      session: { web: { secret: 's', id: 1 } }
+    });
+
+    expect(result).toEqual({
+      req: { headers: { authorization: '***', host: 'x' } },
+      headers: { authorization: 'kept' },
+      users: [{ token: '***', name: 'a' }, { token: '***' }],
+      session: { web: { secret: '***', id: 1 } }
+    });
+  });
+
+  test('should apply built-in and custom patterns to strings', () => {
+    const redact = createRedactor({ patterns: ['email', 'bearer', 'jwt', 'creditCard', /ssn=\d+/] });
+
+    expect(redact('mail ada@example.com now')).toBe('mail [REDACTED] now');
+    expect(redact('Authorization: Bearer abc.def-123')).toBe('Authorization: [REDACTED]');
+    expect(redact('token eyJhbGciOi.eyJzdWIiOjF9.sig')).toBe('token [REDACTED]');
+    expect(redact('card 4111 1111 1111 1111')).toBe('card [REDACTED]');
+    expect(redact('order 1234567890123456')).toBe('order 1234567890123456');
+    expect(redact('ssn=123456789')).toBe('[REDACTED]');
+  });
+
+  test('should match emails with subdomains and scan long strings in linear time', () => {
+    const redact = createRedactor({ patterns: ['email'] });
+
+    expect(redact('to ada.l+logs@mail.example.co.uk.')).toBe('to [REDACTED].');
+    expect(redact('a@b')).toBe('a@b');
+
+    const start = Date.now();
+    ['a'.repeat(80000) + '@', '@' + 'a'.repeat(80000), 'a@' + 'a.'.repeat(40000), 'x@' + 'a-'.repeat(40000)]
+      .forEach(input => expect(redact(input)).toBe(input));
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  test('should reject unknown pattern names and invalid patterns', () => {
+    expect(() => createRedactor({ patterns: ['phone'] })).toThrow(/unknown redact pattern/);
+    expect(() => createRedactor({ patterns: [42] })).toThrow(TypeError);
+  });
+
+  test('should copy only what changes', () => {
+    const redact = createRedactor({ paths: ['secret'] });
+    const untouched = { a: 1 };
+    const input = { untouched, secret: 'x' };
+
+    const result = redact(input);
+
+    expect(result).not.toBe(input);
+    expect(result.untouched).toBe(untouched);
+    expect(input.secret).toBe('x');
+    expect(redact(untouched)).toBe(untouched);
+  });
+
+  test('should handle Maps, Sets, arrays, errors, frozen objects and cycles', () => {
+    const redact = createRedactor({ paths: ['token'], patterns: ['email'] });
+    const circular = { token: 'x' };
+    circular.self = circular;
+
+    const error = new Error('failed for ada@example.com');
+    error.token = 'abc';
+
+    expect(redact(new Map([['token', 'x'], ['id', 1]]))).toEqual(new Map([['token', '[REDACTED]'], ['id', 1]]));
+    expect(redact(new Set(['ada@example.com', 2]))).toEqual(new Set(['[REDACTED]', 2]));
+    expect(redact(['ada@example.com'])).toEqual(['[REDACTED]']);
+    expect(redact(Object.freeze({ token: 'x' }))).toEqual({ token: '[REDACTED]' });
+
+    const redactedCycle = redact(circular);
+    expect(redactedCycle.token).toBe('[REDACTED]');
+    expect(redactedCycle.self).toBe(circular);
+
+    const redactedError = redact(error);
+    expect(redactedError).toBeInstanceOf(Error);
+    expect(redactedError.message).toBe('failed for [REDACTED]');
+    expect(redactedError.stack).not.toContain('ada@example.com');
+    expect(redactedError.token).toBe('[REDACTED]');
+    expect(error.message).toBe('failed for ada@example.com');
+
+    const date = new Date();
+    expect(redact(date)).toBe(date);
+  });
+});
@@ -0,0 +1,45 @@
+const { retry, backoffDelay, isRetryableError } = require('../src/utils/retry');
+
+describe('retry', () => {
+  test('should classify retryable errors', () => {
+    expect(isRetryableError(null)).toBe(false);
+    expect(isRetryableError(new Error('ECONNRESET'))).toBe(true);
+    expect(isRetryableError({ response: { status: 502 } })).toBe(true);
+    expect(isRetryableError({ response: { status: 429 } })).toBe(true);
+    expect(isRetryableError({ response: { status: 401 } })).toBe(false);
+  });
+
+  test('should grow the backoff exponentially with bounded jitter', () => {
+    const low = () => 0;
+    const high = () => 1;
+
+    expect(backoffDelay(0, { minDelay: 100, random: low })).toBe(50);
+    expect(backoffDelay(0, { minDelay: 100, random: high })).toBe(100);
+    expect(backoffDelay(3, { minDelay: 100, random: high })).toBe(800);
+    expect(backoffDelay(10, { minDelay: 100, maxDelay: 1000, random: high })).toBe(1000);
+    expect(backoffDelay(0)).toBeGreaterThanOrEqual(250);
+  });
+
+  test('should retry until the function succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('network'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(retry(fn, { minDelay: 1 })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('should give up after the configured retries', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('network'));
+
+    await expect(retry(fn, { retries: 2, minDelay: 0 })).rejects.toThrow('network');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not retry when shouldRetry declines', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('fatal'));
+
+    await expect(retry(fn, { shouldRetry: () => false })).rejects.toThrow('fatal');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
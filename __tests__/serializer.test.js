@@ -0,0 +1,92 @@
+const { serialize, formatMessage } = require('../src/utils/serializer');
+
+describe('serializer', () => {
+  test('should pass primitives through', () => {
+    expect(serialize('text')).toBe('text');
+    expect(serialize(42)).toBe(42);
+    expect(serialize(true)).toBe(true);
+    expect(serialize(null)).toBeNull();
+    expect(serialize(undefined)).toBeUndefined();
+    expect(serialize(NaN)).toBe('NaN');
+    expect(serialize(Infinity)).toBe('Infinity');
+  });
+
+  test('should replace circular references', () => {
+    const parent = { name: 'parent', children: [] };
+    parent.children.push({ parent });
+
+    expect(serialize(parent)).toEqual({
+      name: 'parent',
+      children: [{ parent: '[Circular]' }]
+    });
+  });
+
+  test('should keep repeated but non-circular references', () => {
+    const shared = { id: 1 };
+    expect(serialize({ a: shared, b: shared })).toEqual({ a: { id: 1 }, b: { id: 1 } });
+  });
+
+  test('should capture error details, cause and custom properties', () => {
+    const root = new Error('socket closed');
+    const error = new TypeError('request failed');
+    error.cause = root;
+    error.code = 'E_REQUEST';
+
+    const result = serialize(error);
+
+    expect(result).toEqual(expect.objectContaining({
+      name: 'TypeError',
+      message: 'request failed',
+      code: 'E_REQUEST',
+      cause: expect.objectContaining({ name: 'Error', message: 'socket closed' })
+    }));
+    expect(result.stack).toContain('request failed');
+  });
+
+  test('should preserve special types', () => {
+    const result = serialize({
+      map: new Map([['a', 1]]),
+      set: new Set(['x']),
+      big: BigInt(10) ** BigInt(20),
+      buffer: Buffer.from('hi'),
+      typed: new Uint8Array([1, 2]),
+      date: new Date('2024-01-02T03:04:05.000Z'),
+      invalidDate: new Date('nope'),
+      pattern: /ab+c/i,
+      fn: function handler() {},
+      anon: () => {},
+      sym: Symbol('tag')
+    });
+
+    expect(result).toEqual({
+      map: { __type: 'Map', entries: [['a', 1]] },
+      set: { __type: 'Set', values: ['x'] },
+      big: { __type: 'BigInt', value: '100000000000000000000' },
+      buffer: { __type: 'Buffer', length: 2, data: 'aGk=' },
+      typed: { __type: 'Uint8Array', values: [1, 2] },
+      date: '2024-01-02T03:04:05.000Z',
+      invalidDate: 'Invalid Date',
+      pattern: '/ab+c/i',
+      fn: '[Function: handler]',
+      anon: '[Function: anon]',
+      sym: 'Symbol(tag)'
+    });
+  });
+
+  test('should use toJSON when available', () => {
+    expect(serialize({ toJSON: () => ({ safe: true }) })).toEqual({ safe: true });
+  });
+
+  test('should enforce depth and length limits', () => {
+    const deep = { a: { b: { c: { d: 1 } } }, list: [[1]] };
+    expect(serialize(deep, { maxDepth: 2 })).toEqual({ a: { b: '[Object]' }, list: ['[Array]'] });
+
+    expect(serialize('abcdef', { maxStringLength: 3 })).toBe('abc... (3 more characters)');
+    expect(serialize([1, 2, 3], { maxArrayLength: 2 })).toEqual([1, 2, '... 1 more items']);
+  });
+
+  test('should flatten arguments into a message', () => {
+    expect(formatMessage(['count', 3, { ok: true }, new RangeError('out'), null]))
+      .toBe('count 3 {"ok":true} RangeError: out null');
+  });
+});
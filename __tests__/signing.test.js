@@ -0,0 +1,28 @@
+const { signPayload, verifySignature, TIMESTAMP_HEADER, SIGNATURE_HEADER } = require('../src/utils/signing');
+
+describe('signing', () => {
+  const body = '[{"level":"text","message":"hi"}]';
+  // Node lower-cases received header names
+  const received = headers => Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  test('should sign the timestamp together with the body', () => {
+    const headers = signPayload(body, 'secret', 1700000000000);
+
+    expect(headers[TIMESTAMP_HEADER]).toBe('1700000000000');
+    expect(headers[SIGNATURE_HEADER]).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(signPayload(body, 'secret', 1700000000001)[SIGNATURE_HEADER]).not.toBe(headers[SIGNATURE_HEADER]);
+    expect(verifySignature(Buffer.from(body), received(headers), 'secret', { now: 1700000000000 })).toBeNull();
+  });
+
+  test('should reject missing, stale, tampered and foreign signatures', () => {
+    const headers = received(signPayload(body, 'secret', 1700000000000));
+    const now = 1700000000000;
+
+    expect(verifySignature(body, {}, 'secret', { now })).toBe('Missing signature');
+    expect(verifySignature(body, headers, 'secret', { now: now + 300001 })).toBe('Signature timestamp outside the accepted window');
+    expect(verifySignature(body, headers, 'secret', { now: now + 1000, tolerance: 500 })).toBe('Signature timestamp outside the accepted window');
+    expect(verifySignature(body.replace('hi', 'ho'), headers, 'secret', { now })).toBe('Invalid signature');
+    expect(verifySignature(body, headers, 'other', { now })).toBe('Invalid signature');
+    expect(verifySignature(body, Object.assign({}, headers, { 'x-consoletext-signature': 'sha256=00' }), 'secret', { now })).toBe('Invalid signature');
+  });
+});
@@ -0,0 +1,48 @@
+const { tabulate } = require('../src/utils/table');
+
+describe('table', () => {
+  test('should lay out arrays of objects', () => {
+    expect(tabulate([{ a: 1, b: 'x' }, { b: 'y', c: null }, 5])).toEqual({
+      columns: ['(index)', 'a', 'b', 'c', 'Values'],
+      rows: [
+        ['0', 1, 'x', null, null],
+        ['1', null, 'y', null, null],
+        ['2', null, null, null, 5]
+      ]
+    });
+  });
+
+  test('should restrict columns to the requested properties', () => {
+    expect(tabulate({ ada: { age: 36, lang: 'en' } }, ['lang', 'missing'])).toEqual({
+      columns: ['(index)', 'lang', 'missing'],
+      rows: [['ada', 'en', null]]
+    });
+  });
+
+  test('should lay out Maps and Sets', () => {
+    expect(tabulate(new Map([['k', { v: 1 }]]))).toEqual({
+      columns: ['(iteration index)', 'Key', 'Values'],
+      rows: [[0, 'k', { v: 1 }]]
+    });
+    expect(tabulate(new Set(['a', 'b']))).toEqual({
+      columns: ['(iteration index)', 'Values'],
+      rows: [[0, 'a'], [1, 'b']]
+    });
+  });
+
+  test('should serialize cells and cap rows', () => {
+    const table = tabulate([[1, 2], [3, 4], [5, 6]], undefined, { maxArrayLength: 2, maxDepth: 1 });
+
+    expect(table).toEqual({
+      columns: ['(index)', '0', '1'],
+      rows: [['0', 1, 2], ['1', 3, 4]],
+      truncated: 1
+    });
+    expect(tabulate([{ a: { b: 1 } }], undefined, { maxDepth: 0 }).rows).toEqual([['0', '[Object]']]);
+  });
+
+  test('should ignore data that is not tabular', () => {
+    expect(tabulate('text')).toBeNull();
+    expect(tabulate(null)).toBeNull();
+  });
+});
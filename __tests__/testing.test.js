@@ -0,0 +1,67 @@
+const { captureConsole, restoreAll, matchers, ConsoleCapture } = require('../testing');
+const { MemoryTransport } = require('../src/transports');
+
+describe('testing helpers', () => {
+  const originalLog = console.log;
+
+  test('should capture every level and the records sent remotely', () => {
+    const capture = captureConsole({ remoteLevel: 'warn' });
+
+    console.debug('cache miss', { key: 'a' });
+    console.warn('slow query');
+    console.error(new Error('failed'));
+
+    expect(capture).toHaveLogged('debug', 'cache miss');
+    expect(capture).toHaveLogged('debug', /miss \{"key":"a"\}/);
+    expect(capture).not.toHaveSentRemote('debug');
+    expect(capture).toHaveSentRemote('warn', 'slow');
+    expect(capture).toHaveSentRemote({ level: 'error', error: expect.objectContaining({ message: 'failed' }) });
+    expect(capture.sent).toHaveLength(2);
+
+    capture.clear();
+    expect(capture.logged).toEqual([]);
+    expect(capture.sent).toEqual([]);
+  });
+
+  test('should ignore endpoint and file options', () => {
+    const capture = captureConsole({ endpoint: 'https://test.com/logs', file: 'app.log' });
+
+    expect(capture.consoleText.transports).toEqual([capture.transport]);
+    console.text('kept in memory');
+    expect(capture).toHaveSentRemote('text', 'kept in memory');
+  });
+
+  test('should describe failures with the captured records', () => {
+    const capture = captureConsole();
+    console.info('hello');
+
+    expect(() => expect(capture).toHaveLogged('warn', 'hello')).toThrow(/Expected a "warn" record with message containing "hello" to have been logged[\s\S]*info: hello/);
+    expect(() => expect(capture).not.toHaveLogged({ level: 'info' })).toThrow(/not to have been logged/);
+    expect(() => expect(capture).toHaveSentRemote('info')).toThrow(/\(none\)/);
+    expect(() => expect({}).toHaveLogged('info')).toThrow(/expects a capture/);
+    expect(() => expect(capture).toHaveLogged(42)).toThrow(/level name or the fields/);
+  });
+
+  test('should restore leftover captures', async () => {
+    captureConsole();
+    captureConsole();
+    expect(console.log).not.toBe(originalLog);
+
+    await restoreAll();
+    expect(ConsoleCapture.active.size).toBe(0);
+    expect(console.log).toBe(originalLog);
+  });
+
+  test('should leave the console untouched after a test that did not restore', () => {
+    // The previous tests' captures were restored by the afterEach hook
+    expect(console.log).toBe(originalLog);
+    expect(Object.keys(matchers)).toEqual(['toHaveLogged', 'toHaveSentRemote']);
+  });
+
+  test('should cap the records kept by a memory transport', () => {
+    const transport = new MemoryTransport({ maxRecords: 2 });
+    [1, 2, 3].forEach(n => transport.log({ n }));
+
+    expect(transport.records).toEqual([{ n: 2 }, { n: 3 }]);
+  });
+});
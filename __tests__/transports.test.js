@@ -0,0 +1,325 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const axios = require('axios');
+const ConsoleText = require('../src/ConsoleText');
+const { HttpTransport, StdoutTransport, FileTransport } = require('../src/transports');
+const { verifySignature } = require('../src/utils/signing');
+
+jest.mock('axios');
+
+describe('transports', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consoletext-transport-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  describe('StdoutTransport', () => {
+    test('should write one JSON object per line', () => {
+      const stream = { write: jest.fn() };
+      const transport = new StdoutTransport({ stream });
+
+      transport.log({ level: 'text', message: 'hello' });
+
+      expect(stream.write).toHaveBeenCalledWith('{"level":"text","message":"hello"}\n');
+    });
+
+    test('should default to process.stdout', () => {
+      expect(new StdoutTransport().stream).toBe(process.stdout);
+    });
+  });
+
+  describe('FileTransport', () => {
+    test('should require a filename', () => {
+      expect(() => new FileTransport()).toThrow(TypeError);
+    });
+
+    test('should append NDJSON records', async () => {
+      const filename = path.join(dir, 'logs', 'app.ndjson');
+      const transport = new FileTransport({ filename });
+
+      await transport.flush();
+      transport.log({ message: 'one' });
+      transport.log({ message: 'two' });
+      await transport.flush();
+
+      expect(fs.readFileSync(filename, 'utf8')).toBe('{"message":"one"}\n{"message":"two"}\n');
+
+      await transport.close();
+      await transport.close();
+    });
+  });
+
+  describe('FileTransport rotation', () => {
+    const read = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    test('should reject unknown intervals', () => {
+      expect(() => new FileTransport({ filename: 'x.log', interval: 'weekly' })).toThrow(/interval/);
+    });
+
+    test('should rotate by size and keep writing to the original path', async () => {
+      const filename = path.join(dir, 'app.log');
+      const transport = new FileTransport({ filename, maxSize: 40 });
+
+      transport.log({ message: 'first record' });
+      transport.log({ message: 'second record' });
+      transport.log({ message: 'third record' });
+      await transport.close();
+
+      const rotated = transport.listRotated();
+      expect(rotated).toHaveLength(2);
+      expect(read(rotated[0])).toEqual([{ message: 'first record' }]);
+      expect(read(rotated[1])).toEqual([{ message: 'second record' }]);
+      expect(read(filename)).toEqual([{ message: 'third record' }]);
+    });
+
+    test('should rotate when the time period changes', async () => {
+      const filename = path.join(dir, 'app.log');
+      const transport = new FileTransport({ filename, interval: 'daily' });
+
+      transport.log({ message: 'monday' });
+      transport.period = '20000101';
+      transport.log({ message: 'tuesday' });
+      await transport.close();
+
+      expect(transport.listRotated()).toEqual([`${filename}.20000101`]);
+      expect(read(`${filename}.20000101`)).toEqual([{ message: 'monday' }]);
+      expect(read(filename)).toEqual([{ message: 'tuesday' }]);
+    });
+
+    test('should compress rotated files and enforce retention', async () => {
+      const zlib = require('zlib');
+      const filename = path.join(dir, 'app.log');
+      const transport = new FileTransport({ filename, maxFiles: 2, compress: true });
+
+      for (let i = 0; i < 4; i++) {
+        transport.log({ n: i });
+        transport.rotate();
+      }
+      transport.log({ n: 4 });
+      await transport.flush();
+
+      const rotated = transport.listRotated();
+      expect(rotated).toHaveLength(2);
+      expect(rotated.every(file => file.endsWith('.gz'))).toBe(true);
+
+      const last = zlib.gunzipSync(fs.readFileSync(rotated[1])).toString();
+      expect(JSON.parse(last)).toEqual({ n: 3 });
+      expect(read(filename)).toEqual([{ n: 4 }]);
+
+      await transport.close();
+    });
+
+    test('should resume size accounting for an existing file', () => {
+      const filename = path.join(dir, 'app.log');
+      fs.writeFileSync(filename, 'x'.repeat(100));
+      const transport = new FileTransport({ filename, maxSize: 120 });
+
+      transport.log({ message: 'does not fit' });
+
+      expect(transport.listRotated()).toHaveLength(0);
+      expect(transport.size).toBeGreaterThan(100);
+      return transport.close();
+    });
+
+    test('should report rotation failures and keep the current stream', async () => {
+      const onError = jest.fn();
+      const filename = path.join(dir, 'app.log');
+      const transport = new FileTransport({ filename, onError });
+
+      expect(transport.rotate()).toBeNull();
+      transport.log({ n: 1 });
+      await transport.flush();
+      fs.unlinkSync(filename);
+
+      expect(transport.rotate()).toBeNull();
+      expect(onError).toHaveBeenCalledWith(expect.stringContaining('Failed to rotate'));
+      await transport.close();
+    });
+
+    test('should be created from the file option', async () => {
+      const filename = path.join(dir, 'console.log');
+      const logger = new ConsoleText({ silent: true, file: { filename, maxFiles: 3 } }).init();
+
+      console.text('to disk', { id: 1 });
+      await logger.flush();
+
+      expect(read(filename)).toEqual([expect.objectContaining({
+        level: 'text',
+        message: 'to disk {"id":1}',
+        args: ['to disk', { id: 1 }]
+      })]);
+      expect(logger.fileTransport.maxFiles).toBe(3);
+      logger.restore();
+      await logger.fileTransport.close();
+
+      expect(new ConsoleText({ file: filename }).fileTransport.filename).toBe(filename);
+    });
+  });
+
+  describe('HttpTransport', () => {
+    test('should require an endpoint', () => {
+      expect(() => new HttpTransport()).toThrow(TypeError);
+    });
+
+    test('should post batches and stop the timer on close', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      const transport = new HttpTransport({ endpoint: 'https://test.com/logs' });
+
+      transport.log({ message: 'one' });
+      await transport.close();
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://test.com/logs',
+        [{ message: 'one' }],
+        { headers: { 'Content-Type': 'application/json' }, timeout: 10000 }
+      );
+    });
+
+    test('should drop spooled records the server rejects or that cannot be parsed', async () => {
+      fs.writeFileSync(path.join(dir, 'consoletext-spool.ndjson'), '{"message":"rejected"}\n{"message":"cu\n{"message":"kept"}\n');
+      const rejected = Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+      axios.post.mockRejectedValueOnce(rejected).mockResolvedValue({ status: 200 });
+      const onError = jest.fn();
+      const transport = new HttpTransport({ endpoint: 'https://test.com/logs', spoolDir: dir, batchSize: 1, onError });
+
+      transport.log({ message: 'new' });
+      await transport.close();
+
+      expect(axios.post.mock.calls.map(call => call[1][0].message)).toEqual(['rejected', 'kept', 'new']);
+      expect(onError.mock.calls.map(call => call[0])).toEqual([
+        'ConsoleText: Dropped 1 spooled log(s): Request failed with status code 400',
+        expect.stringMatching(/^ConsoleText: Dropped 1 spooled log\(s\): .*JSON/)
+      ]);
+      expect(await transport.spool.size()).toBe(0);
+    });
+  });
+
+  describe('HttpTransport signing and compression', () => {
+    const lowerCase = headers => Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+    test('should sign the body and add custom headers and a timeout', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      const transport = new HttpTransport({
+        endpoint: 'https://test.com/logs',
+        apiKey: 'key',
+        headers: { 'X-Tenant': 'acme', Authorization: 'ignored' },
+        signingSecret: 'secret',
+        timeout: 2500
+      });
+
+      transport.log({ message: 'one' });
+      await transport.close();
+
+      const [, body, options] = axios.post.mock.calls[0];
+      expect(body).toBe('[{"message":"one"}]');
+      expect(options.timeout).toBe(2500);
+      expect(options.headers).toMatchObject({
+        'X-Tenant': 'acme',
+        Authorization: 'Bearer key',
+        'Content-Type': 'application/json'
+      });
+      expect(verifySignature(body, lowerCase(options.headers), 'secret')).toBeNull();
+    });
+
+    test('should compress bodies above the threshold', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      const transport = new HttpTransport({ endpoint: 'https://test.com/logs', compression: 'gzip', compressionThreshold: 100, batchSize: 1 });
+
+      transport.log({ message: 'short' });
+      transport.log({ message: 'x'.repeat(200) });
+      await transport.close();
+
+      const [small, large] = axios.post.mock.calls;
+      expect(small[1]).toBe('[{"message":"short"}]');
+      expect(small[2].headers['Content-Encoding']).toBeUndefined();
+      expect(large[2].headers['Content-Encoding']).toBe('gzip');
+      expect(JSON.parse(zlib.gunzipSync(large[1]))).toEqual([{ message: 'x'.repeat(200) }]);
+
+      axios.post.mockClear();
+      const deflating = new HttpTransport({ endpoint: 'https://test.com/logs', compression: 'deflate', compressionThreshold: 0 });
+      deflating.log({ message: 'one' });
+      await deflating.close();
+      expect(JSON.parse(zlib.inflateSync(axios.post.mock.calls[0][1]))).toEqual([{ message: 'one' }]);
+    });
+
+    test('should reject unknown compressions', () => {
+      expect(() => new HttpTransport({ endpoint: 'https://test.com/logs', compression: 'br' }))
+        .toThrow('HttpTransport: unknown compression "br"');
+    });
+  });
+
+  describe('ConsoleText integration', () => {
+    test('should fan out console.text to every transport', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      const custom = { log: jest.fn(), flush: jest.fn() };
+
+      const logger = new ConsoleText({
+        endpoint: 'https://test.com/logs',
+        silent: true,
+        transports: [custom]
+      }).init();
+
+      console.text('fan out');
+      await logger.flush();
+
+      expect(custom.log).toHaveBeenCalledWith(expect.objectContaining({ level: 'text', message: 'fan out' }));
+      expect(custom.flush).toHaveBeenCalled();
+      expect(axios.post).toHaveBeenCalledTimes(1);
+
+      logger.restore();
+    });
+
+    test('should send to transports without an endpoint', () => {
+      const custom = { log: jest.fn() };
+      const logger = new ConsoleText({ silent: true }).addTransport(custom).init();
+
+      console.text('local only');
+
+      expect(custom.log).toHaveBeenCalledTimes(1);
+      expect(logger.httpTransport).toBeNull();
+      logger.restore();
+    });
+
+    test('should reject objects without log()', () => {
+      expect(() => new ConsoleText({ transports: [{}] })).toThrow(/log\(record\)/);
+    });
+
+    test('should isolate failing transports', async () => {
+      const errorSpy = jest.fn();
+      const broken = {
+        log: () => { throw new Error('disk full'); },
+        flush: () => Promise.reject(new Error('still full'))
+      };
+      const healthy = { log: jest.fn() };
+
+      const logger = new ConsoleText({ silent: true, transports: [broken, healthy] }).init();
+      logger.originalConsole.error = errorSpy;
+
+      console.text('survives');
+      await logger.flush();
+
+      expect(healthy.log).toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalledWith('ConsoleText: Transport failed to log: disk full');
+      expect(errorSpy).toHaveBeenCalledWith('ConsoleText: Transport failed to flush: still full');
+      logger.restore();
+    });
+
+    test('should restore the console and close transports on close()', async () => {
+      const custom = { log: jest.fn(), close: jest.fn() };
+      const logger = new ConsoleText({ transports: [custom] }).init();
+
+      await logger.close();
+
+      expect(console.text).toBeUndefined();
+      expect(custom.close).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then(result => {
+  if (typeof result === 'number') {
+    process.exitCode = result;
+    return;
+  }
+
+  // serve and tail --follow run until interrupted
+  const stop = () => Promise.resolve(result.close()).then(() => process.exit(0));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+});
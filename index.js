@@ -4,6 +4,11 @@
  */
 
 const ConsoleText = require('./src/ConsoleText');
+const transports = require('./src/transports');
+const Logger = require('./src/Logger');
+const Collector = require('./src/Collector');
+const { getContext, runWithContext } = require('./src/utils/context');
+const { createRequestLogger, createKoaRequestLogger } = require('./src/middleware');
 
 /**
  * Create and initialize a new ConsoleText instance
@@ -16,5 +21,12 @@ function createConsoleText(config = {}) {
 
 module.exports = {
   ConsoleText,
-  createConsoleText
+  createConsoleText,
+  transports,
+  Logger,
+  Collector,
+  getContext,
+  runWithContext,
+  createRequestLogger,
+  createKoaRequestLogger
 };
\ No newline at end of file
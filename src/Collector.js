@@ -0,0 +1,338 @@
+/**
+ * Collector - Minimal HTTP server receiving the batches posted by the HTTP and browser transports
+ * @module Collector
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const FileTransport = require('./transports/FileTransport');
+const { verifySignature, DEFAULT_TOLERANCE } = require('./utils/signing');
+
+/**
+ * Largest accepted request body, in bytes
+ */
+const DEFAULT_MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Accepted Content-Encoding values and their decompressors
+ */
+const DECOMPRESSORS = {
+  gzip: zlib.gunzip,
+  deflate: zlib.inflate
+};
+
+/**
+ * Create an error carrying the response status
+ * @private
+ * @param {number} status - Response status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Compare two secrets in constant time, whatever their lengths
+ * @private
+ * @param {string} actual - Received value
+ * @param {string} expected - Configured value
+ * @returns {boolean}
+ */
+function safeEqual(actual, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(actual), digest(expected));
+}
+
+/**
+ * Check that a payload is an array of log records
+ * @private
+ * @param {any} payload - Parsed request body
+ * @returns {boolean}
+ */
+function isRecordBatch(payload) {
+  return Array.isArray(payload) && payload.every(record => record !== null && typeof record === 'object' &&
+    typeof record.level === 'string' && typeof record.message === 'string');
+}
+
+/**
+ * Collector class accepting POSTed JSON arrays of records and appending them to an NDJSON file
+ */
+class Collector {
+  /**
+   * Create a new Collector
+   * @param {Object} [options] - Collector options
+   * @param {number} [options.port=4000] - Port to listen on; 0 picks a free port
+   * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+   * @param {string} [options.path] - Only accept batches posted to this path; any path by default
+   * @param {string} [options.apiKey] - Required Bearer token; requests are not authenticated without it
+   * @param {string} [options.signingSecret] - Require bodies signed with this secret; each signature is accepted once
+   * @param {number} [options.signatureTolerance=300000] - Accepted age of a signature timestamp in milliseconds
+   * @param {string|Object} [options.file] - NDJSON file path, or FileTransport options; records are not stored without it
+   * @param {number} [options.maxBodySize=5242880] - Largest accepted request body in bytes, before and after decompression
+   * @param {boolean} [options.cors=true] - Answer CORS preflight requests so pages can post from any origin
+   * @param {Function} [options.onRecords] - Receives each accepted batch of records
+   * @param {Function} [options.onError] - Receives storage error messages; batches that cannot be stored get a 500
+   */
+  constructor(options = {}) {
+    this.port = options.port != null ? options.port : 4000;
+    this.host = options.host || '127.0.0.1';
+    this.path = options.path || null;
+    this.apiKey = options.apiKey || null;
+    this.signingSecret = options.signingSecret || null;
+    this.signatureTolerance = options.signatureTolerance != null ? options.signatureTolerance : DEFAULT_TOLERANCE;
+    this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    this.cors = options.cors !== false;
+    this.onRecords = options.onRecords || (() => {});
+    this.onError = options.onError || (() => {});
+
+    this.fileTransport = null;
+    if (options.file) {
+      const fileOptions = typeof options.file === 'string' ? { filename: options.file } : options.file;
+      this.fileTransport = new FileTransport(Object.assign({ onError: this.onError }, fileOptions));
+    }
+
+    this.received = 0;
+    // Signatures accepted within the tolerance window, by timestamp, to reject replayed requests
+    this.signatures = new Map();
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} - URL batches can be posted to
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * URL batches can be posted to, once listening
+   * @returns {string|null}
+   */
+  get url() {
+    const address = this.server.address();
+    if (!address || typeof address === 'string') return address || null;
+
+    const host = address.family === 'IPv6' || address.family === 6 ? `[${address.address}]` : address.address;
+    return `http://${host}:${address.port}${this.path || '/'}`;
+  }
+
+  /**
+   * Stop accepting batches and close the NDJSON file
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()))
+      .then(() => (this.fileTransport ? this.fileTransport.close() : undefined));
+  }
+
+  /**
+   * Handle a request
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _handle(req, res) {
+    if (this.cors) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      if (req.method === 'OPTIONS') {
+        res.setHeader('Access-Control-Allow-Methods', 'POST');
+        // Pages may add custom headers to their requests
+        res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Max-Age', '86400');
+        this._reply(res, 204);
+        return;
+      }
+    }
+
+    if (this.path && req.url.split('?')[0] !== this.path) {
+      this._reply(res, 404, 'Not found');
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      this._reply(res, 405, 'Only POST is accepted');
+      return;
+    }
+    if (this.apiKey && !safeEqual(req.headers.authorization || '', `Bearer ${this.apiKey}`)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this._reply(res, 401, 'Invalid or missing API key');
+      return;
+    }
+
+    this._readBody(req, (readError, raw) => {
+      if (readError) {
+        this._reply(res, readError.status, readError.message);
+        return;
+      }
+
+      this._decode(req, raw, (decodeError, body) => {
+        if (decodeError) {
+          this._reply(res, decodeError.status, decodeError.message);
+          return;
+        }
+        this._receive(req, res, body);
+      });
+    });
+  }
+
+  /**
+   * Verify, parse and accept a decompressed body
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Buffer} body - Decompressed body
+   */
+  _receive(req, res, body) {
+    const rejected = this._verify(req, body);
+    if (rejected) {
+      this._reply(res, 401, rejected);
+      return;
+    }
+
+    let records;
+    try {
+      records = JSON.parse(body.toString('utf8'));
+    } catch (parseError) {
+      this._reply(res, 400, `Invalid JSON: ${parseError.message}`);
+      return;
+    }
+    if (!isRecordBatch(records)) {
+      this._reply(res, 400, 'Expected an array of log records');
+      return;
+    }
+
+    if (!this._accept(records)) {
+      this._reply(res, 500, 'Failed to store records');
+      return;
+    }
+    this._reply(res, 204);
+  }
+
+  /**
+   * Read a request body up to maxBodySize
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {Function} callback - Receives (error, body); errors carry the response status
+   */
+  _readBody(req, callback) {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    req.on('data', chunk => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > this.maxBodySize) {
+        failed = true;
+        callback(httpError(413, `Body exceeds ${this.maxBodySize} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!failed) callback(null, Buffer.concat(chunks));
+    });
+  }
+
+  /**
+   * Decompress a request body according to its Content-Encoding
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {Buffer} body - Received body
+   * @param {Function} callback - Receives (error, body); errors carry the response status
+   */
+  _decode(req, body, callback) {
+    const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+    if (encoding === 'identity') {
+      callback(null, body);
+      return;
+    }
+
+    const decompress = DECOMPRESSORS[encoding];
+    if (!decompress) {
+      callback(httpError(415, `Unsupported Content-Encoding "${encoding}"`));
+      return;
+    }
+    decompress(body, { maxOutputLength: this.maxBodySize }, (error, decoded) => {
+      if (!error) {
+        callback(null, decoded);
+      } else if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        callback(httpError(413, `Decompressed body exceeds ${this.maxBodySize} bytes`));
+      } else {
+        callback(httpError(400, `Invalid ${encoding} body`));
+      }
+    });
+  }
+
+  /**
+   * Check the signature of a request body when a signing secret is configured
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {Buffer} body - Decompressed body
+   * @returns {string|null} - Why the request is rejected, or null
+   */
+  _verify(req, body) {
+    if (!this.signingSecret) return null;
+
+    const now = Date.now();
+    const rejected = verifySignature(body, req.headers, this.signingSecret, { tolerance: this.signatureTolerance, now });
+    if (rejected) return rejected;
+
+    this.signatures.forEach((timestamp, signature) => {
+      if (now - timestamp > this.signatureTolerance) this.signatures.delete(signature);
+    });
+    const signature = req.headers['x-consoletext-signature'];
+    if (this.signatures.has(signature)) return 'Replayed request';
+    this.signatures.set(signature, Number(req.headers['x-consoletext-timestamp']));
+    return null;
+  }
+
+  /**
+   * Store and hand on an accepted batch
+   * @private
+   * @param {Array<Object>} records - Log records
+   * @returns {boolean} - False when the file could not be opened or rotated; the error goes to onError
+   */
+  _accept(records) {
+    if (this.fileTransport) {
+      try {
+        records.forEach(record => this.fileTransport.log(record));
+      } catch (error) {
+        this.onError(`ConsoleText: Failed to write ${this.fileTransport.filename}: ${error.message}`);
+        return false;
+      }
+    }
+    this.received += records.length;
+    this.onRecords(records);
+    return true;
+  }
+
+  /**
+   * Send a response, with a JSON error body for failures
+   * @private
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - Status code
+   * @param {string} [error] - Error message
+   */
+  _reply(res, status, error) {
+    if (error) {
+      const body = JSON.stringify({ error });
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+      res.end(body);
+    } else {
+      res.writeHead(status);
+      res.end();
+    }
+  }
+}
+
+module.exports = Collector;
@@ -0,0 +1,86 @@
+/**
+ * ConsoleCapture - Intercepts the console in tests and keeps every record in memory
+ * @module ConsoleCapture
+ */
+
+const ConsoleText = require('./ConsoleText');
+const MemoryTransport = require('./transports/MemoryTransport');
+
+/**
+ * Records kept of every level, whatever the thresholds
+ */
+const DEFAULT_HISTORY_SIZE = 10000;
+
+/**
+ * Options delivering records outside the process, ignored by captures
+ */
+const DELIVERY_OPTIONS = ['endpoint', 'file', 'syslog', 'otlp'];
+
+/**
+ * ConsoleCapture class wrapping an initialized ConsoleText instance whose remote records
+ * stay in memory instead of reaching an endpoint, a log file or an exporter
+ */
+class ConsoleCapture {
+  /**
+   * Create a capture and start intercepting the console
+   * @param {Object} [config] - ConsoleText options; endpoint, file, syslog and otlp are ignored
+   * @param {number} [config.historySize=10000] - Logged records kept
+   * @param {boolean} [config.silent=true] - Whether to suppress console output
+   */
+  constructor(config = {}) {
+    this.transport = new MemoryTransport();
+
+    const options = Object.assign({ silent: true, historySize: DEFAULT_HISTORY_SIZE, configFile: false }, config);
+    options.transports = [this.transport].concat(config.transports || []);
+    DELIVERY_OPTIONS.forEach(key => delete options[key]);
+
+    this.consoleText = new ConsoleText(options);
+    // CONSOLETEXT_ENDPOINT and the like must not leak records out of a test either
+    this.consoleText.configure(DELIVERY_OPTIONS.reduce((reset, key) => Object.assign(reset, { [key]: null }), {}));
+    this.consoleText.init();
+
+    ConsoleCapture.active.add(this);
+  }
+
+  /**
+   * Every record logged through the console or a logger, of any level, oldest first
+   * @returns {Array<Object>}
+   */
+  get logged() {
+    return this.consoleText.getHistory();
+  }
+
+  /**
+   * Records handed to the transports, i.e. what would have been sent remotely
+   * @returns {Array<Object>}
+   */
+  get sent() {
+    return this.transport.records;
+  }
+
+  /**
+   * Forget logged and sent records
+   * @returns {ConsoleCapture} - The current capture for chaining
+   */
+  clear() {
+    this.consoleText.clearHistory();
+    this.transport.clear();
+    return this;
+  }
+
+  /**
+   * Stop intercepting the console
+   * @returns {Promise<void>} - Resolves once the instance has been closed
+   */
+  restore() {
+    ConsoleCapture.active.delete(this);
+    return this.consoleText.close();
+  }
+}
+
+/**
+ * Captures that have not been restored yet
+ */
+ConsoleCapture.active = new Set();
+
+module.exports = ConsoleCapture;
@@ -0,0 +1,159 @@
+/**
+ * ConsoleRegistry - Layers console interception of several ConsoleText instances
+ * @module ConsoleRegistry
+ */
+
+/**
+ * Key under which the shared registry lives on the global object, so that separate
+ * copies of the package (e.g. one bundled by a library) still stack with each other
+ */
+const GLOBAL_KEY = Symbol.for('consoletext.registry');
+
+/**
+ * ConsoleRegistry class keeping a stack of layers over the real console methods
+ * Each layer's output goes to the layer installed before it, so layers can be
+ * removed in any order without unhooking the others.
+ */
+class ConsoleRegistry {
+  /**
+   * Create a new ConsoleRegistry
+   * @param {Object} [target=console] - Console object whose methods are replaced
+   */
+  constructor(target = console) {
+    this.target = target;
+    this.layers = [];
+    this.base = null;
+  }
+
+  /**
+   * Registry shared by every ConsoleText instance in the process or page
+   * @returns {ConsoleRegistry}
+   */
+  static shared() {
+    if (!globalThis[GLOBAL_KEY]) {
+      globalThis[GLOBAL_KEY] = new ConsoleRegistry();
+    }
+    return globalThis[GLOBAL_KEY];
+  }
+
+  /**
+   * Number of installed layers
+   * @returns {number}
+   */
+  get size() {
+    return this.layers.length;
+  }
+
+  /**
+   * Install a layer on top, or replace the handlers of an installed owner in place
+   * @param {Object} owner - Instance owning the layer
+   * @param {Object} handlers - Console method name to replacement function
+   */
+  install(owner, handlers) {
+    if (this.layers.length === 0) {
+      this.base = {};
+    }
+    // Methods seen for the first time are saved before any layer replaces them
+    Object.keys(handlers).forEach(method => {
+      if (!(method in this.base)) this.base[method] = this.target[method];
+    });
+
+    const layer = this.layers.find(entry => entry.owner === owner);
+    if (layer) {
+      layer.handlers = handlers;
+    } else {
+      this.layers.push({ owner, handlers });
+    }
+    this._apply();
+  }
+
+  /**
+   * Remove an owner's layer; the console is restored once the last layer is gone
+   * @param {Object} owner - Instance owning the layer
+   * @returns {boolean} - False if the owner had no layer
+   */
+  uninstall(owner) {
+    const index = this.layers.findIndex(entry => entry.owner === owner);
+    if (index === -1) return false;
+
+    this.layers.splice(index, 1);
+    this._apply();
+    if (this.layers.length === 0) {
+      this.base = null;
+    }
+    return true;
+  }
+
+  /**
+   * Remove every layer and restore the real console methods, e.g. between tests
+   * that leave instances installed
+   */
+  reset() {
+    if (this.layers.length === 0) return;
+
+    this.layers = [];
+    this._apply();
+    this.base = null;
+  }
+
+  /**
+   * Check whether an owner has an installed layer
+   * @param {Object} owner - Instance owning the layer
+   * @returns {boolean}
+   */
+  has(owner) {
+    return this.layers.some(entry => entry.owner === owner);
+  }
+
+  /**
+   * Resolve where an owner's output for a method goes: the nearest layer below it
+   * handling the method, or the real console method. Owners without a layer write
+   * to the real console.
+   * @param {Object} owner - Instance producing output
+   * @param {string} method - Console method
+   * @returns {Function}
+   */
+  below(owner, method) {
+    const index = this.layers.findIndex(entry => entry.owner === owner);
+    for (let i = index - 1; i >= 0; i--) {
+      const handler = this.layers[i].handlers[method];
+      if (handler) return handler;
+    }
+    return this._real(method);
+  }
+
+  /**
+   * The real console method underneath every layer
+   * @private
+   * @param {string} method - Console method
+   * @returns {Function}
+   */
+  _real(method) {
+    const real = this.base && method in this.base ? this.base[method] : this.target[method];
+    // console.text and other additions fall back to console.log
+    return typeof real === 'function' || method === 'log' ? real : this._real('log');
+  }
+
+  /**
+   * Point every console method at the topmost layer handling it
+   * @private
+   */
+  _apply() {
+    Object.keys(this.base).forEach(method => {
+      let handler;
+      for (let i = this.layers.length - 1; i >= 0 && !handler; i--) {
+        handler = this.layers[i].handlers[method];
+      }
+
+      if (handler) {
+        this.target[method] = handler;
+      } else if (this.base[method] === undefined) {
+        delete this.target[method];
+      } else {
+        this.target[method] = this.base[method];
+      }
+    });
+  }
+}
+
+module.exports = ConsoleRegistry;
@@ -3,9 +3,65 @@
  * @module ConsoleText
  */
 
-const axios = require('axios');
+const { inspect } = require('./utils/inspect');
 const chalk = require('chalk');
-const { applyColor } = require('./utils/colorizer');
+const { createColorizer } = require('./utils/colorizer');
+const { LOG_METHODS, OTHER_METHODS, resolveLevels } = require('./utils/levels');
+const { serialize, formatMessage } = require('./utils/serializer');
+const { createRedactor } = require('./utils/redactor');
+const { createFormatter, createInfo, externalFrames, parseStack } = require('./utils/formatter');
+const { tabulate } = require('./utils/table');
+const { getContext, runWithContext } = require('./utils/context');
+const { createNamespaceFilter, formatDelta } = require('./utils/namespaces');
+const { loadConfig, validateOptions, defaultValue } = require('./utils/config');
+const Logger = require('./Logger');
+const { createRequestLogger, createKoaRequestLogger } = require('./middleware');
+const ConsoleRegistry = require('./ConsoleRegistry');
+const Throttle = require('./Throttle');
+const Metrics = require('./Metrics');
+const FlightRecorder = require('./FlightRecorder');
+const HttpTransport = require('./transports/HttpTransport');
+const BrowserTransport = require('./transports/BrowserTransport');
+
+/**
+ * Options of the built-in HTTP transport; changing any of them replaces the transport
+ */
+const HTTP_OPTIONS = ['endpoint', 'apiKey', 'headers', 'signingSecret', 'compression', 'compressionThreshold', 'timeout',
+  'batchSize', 'flushInterval', 'maxBufferSize', 'dropPolicy', 'retries', 'retryDelay', 'retryMaxDelay', 'spoolDir', 'maxSpoolSize'];
+
+/**
+ * Options of the throttle; changing any of them replaces the throttle
+ */
+const THROTTLE_OPTIONS = ['sampling', 'rateLimit', 'dedupeWindow', 'reportInterval'];
+
+/**
+ * Methods written to stderr by Node's console
+ */
+const STDERR_METHODS = ['warn', 'error', 'trace'];
+
+/**
+ * Methods Node's console.table and console.trace print through, on the patched console
+ */
+const RENDER_METHODS = ['log', 'error'];
+
+/**
+ * Timer and counter methods tracked by ConsoleText
+ */
+const METRIC_METHODS = ['time', 'timeLog', 'timeEnd', 'count', 'countReset'];
+
+/**
+ * Replacement for console methods whose level is disabled everywhere
+ */
+function noop() {}
+
+/**
+ * Check for Node's process object, missing in browsers
+ * @private
+ * @returns {boolean}
+ */
+function hasProcess() {
+  return typeof process !== 'undefined' && typeof process.on === 'function';
+}
 
 /**
  * ConsoleText class for enhancing and extending console functionality
@@ -13,34 +69,108 @@ const { applyColor } = require('./utils/colorizer');
 class ConsoleText {
   /**
    * Create a new ConsoleText instance
+   * Options not passed here are read from CONSOLETEXT_* environment variables, then from
+   * consoletext.config.json or .consoletextrc in the working directory, then the defaults.
    * @param {Object} config - Configuration options
+   * @param {string|boolean} [config.configFile] - Config file path (default: CONSOLETEXT_CONFIG or a file found in cwd), or false to ignore config files
    * @param {string} [config.endpoint] - URL endpoint for remote logging
    * @param {string} [config.apiKey] - API key for authentication with remote endpoint
-   * @param {boolean} [config.colorize=true] - Whether to colorize console output
+   * @param {boolean} [config.colorize=true] - Whether to colorize console output when the terminal supports it
+   * @param {Object} [config.theme] - Per-level color overrides (color, bgColor, bold, dim, italic, underline, label)
+   * @param {boolean} [config.badges=false] - Prefix console output with a colored level badge
+   * @param {string|Function} [config.format] - Line template such as '{time} {LEVEL} {location}', or formatter function
+   * @param {string} [config.name] - Logger name available to formats as {name}
+   * @param {string} [config.mode='pretty'] - 'pretty' for human-readable output, 'json' for one JSON object per line
+   * @param {Object} [config.sampling] - Fraction of remote records kept per level, e.g. { debug: 0.1 }
+   * @param {Object} [config.rateLimit] - Token bucket for remote records: { rate, interval = 1000, burst = rate }
+   * @param {number} [config.dedupeWindow=0] - Milliseconds within which identical consecutive remote records are collapsed
+   * @param {number} [config.reportInterval=60000] - Milliseconds between reports of shed remote records
+   * @param {boolean} [config.metrics=false] - Send console.timeEnd/timeLog/count results to transports as metric records
+   * @param {boolean} [config.captureExceptions=false] - Record uncaught exceptions and unhandled rejections
+   * @param {boolean} [config.exitOnError=true] - Exit with code 1 after a captured crash, as Node does
+   * @param {number} [config.exitTimeout=2000] - Milliseconds spent flushing transports before exiting
+   * @param {number} [config.historySize=0] - Records of every level kept in memory by the flight recorder; 0 disables it
+   * @param {boolean} [config.attachHistory=false] - Send the flight recorder's records along with each error and crash record
+   * @param {string} [config.namespaces] - Enabled namespace patterns such as 'db:*,-db:pool', read from CONSOLETEXT_DEBUG
    * @param {boolean} [config.silent=false] - Whether to suppress console output
+   * @param {number} [config.batchSize=10] - Number of buffered records that triggers a remote send
+   * @param {number} [config.flushInterval=1000] - Milliseconds before a partial batch is sent
+   * @param {number} [config.maxBufferSize=1000] - Maximum number of records waiting for delivery
+   * @param {string} [config.dropPolicy='oldest'] - Record discarded when the buffer is full ('oldest' or 'newest')
+   * @param {number} [config.retries=3] - Retries for network errors and 5xx/429 responses
+   * @param {number} [config.retryDelay=500] - Base backoff delay in milliseconds
+   * @param {number} [config.retryMaxDelay=30000] - Maximum backoff delay in milliseconds
+   * @param {string} [config.spoolDir] - Directory where undeliverable records are persisted for replay
+   * @param {number} [config.maxSpoolSize=10000] - Maximum number of spooled records
+   * @param {Object} [config.headers] - Static headers added to every remote request
+   * @param {string} [config.signingSecret] - Sign remote request bodies with HMAC-SHA256 and a timestamp (Node only)
+   * @param {string} [config.compression] - Compress large remote request bodies: 'gzip' or 'deflate' (Node only)
+   * @param {number} [config.compressionThreshold=1024] - Bodies of at least this many bytes are compressed
+   * @param {number} [config.timeout=10000] - Milliseconds before a remote request is aborted; 0 waits indefinitely
+   * @param {string|Object} [config.file] - Log file path, or FileTransport options (filename, maxSize, interval, maxFiles, compress)
+   * @param {string|Object} [config.syslog] - Syslog server as 'udp://host:port' or 'tcp://host:port', or SyslogTransport options
+   * @param {string|Object} [config.otlp] - OTLP/HTTP logs endpoint, or OtlpTransport options
+   * @param {Array<Object>} [config.transports] - Additional transports implementing log(record) and optionally flush()/close()
+   * @param {string|Array<string>} [config.consoleLevel='debug'] - Minimum level, or list of levels, printed locally
+   * @param {string|Array<string>} [config.remoteLevel=['text']] - Minimum level, or list of levels, sent to transports
+   * @param {Array<string>} [config.remoteMethods=[]] - Non-level methods sent to transports ('dir', 'table', 'trace')
+   * @param {number} [config.maxDepth=10] - Nesting depth kept when serializing arguments
+   * @param {number} [config.maxStringLength=10000] - Characters kept per serialized string
+   * @param {number} [config.maxArrayLength=100] - Items kept per serialized array, Set or Map
+   * @param {Object} [config.redact] - Redaction of secrets before output and transmission
+   * @param {Array<string>} [config.redact.paths] - Key paths such as 'password', 'req.headers.authorization' or 'users[*].token'
+   * @param {Array<string|RegExp>} [config.redact.patterns] - Regular expressions or built-in names ('email', 'bearer', 'jwt', 'creditCard')
+   * @param {string} [config.redact.censor='[REDACTED]'] - Replacement for redacted values
    */
   constructor(config = {}) {
-    this.config = {
-      endpoint: config.endpoint || null,
-      apiKey: config.apiKey || null,
-      colorize: config.colorize !== false,
-      silent: config.silent || false
-    };
+    this.config = loadConfig(config);
+
+    this.startTime = Date.now();
+    // Time of the previous message of each namespace, for the +delta suffix
+    this.namespaceTimes = new Map();
+    this.initialized = false;
 
-    // Store original console methods
-    this.originalConsole = {
-      log: console.log,
-      info: console.info,
-      warn: console.warn,
-      error: console.error,
-      debug: console.debug,
-      dir: console.dir,
-      table: console.table,
-      time: console.time,
-      timeEnd: console.timeEnd,
-      trace: console.trace,
-      text: console.log // Add text method mapping to log
+    this.transports = [];
+    this.httpTransport = null;
+    this.fileTransport = null;
+    this.syslogTransport = null;
+    this.otlpTransport = null;
+    this.spool = null;
+    this.throttle = null;
+    this.recorder = null;
+    // Set while the console below renders dir, table or trace
+    this._rendering = false;
+    // Buffered records are flushed before exit whenever there are transports, with or without init()
+    this._onBeforeExit = () => this.flush();
+    this._watchingExit = false;
+    this._applyConfig(null);
+
+    if (config.transports != null && !Array.isArray(config.transports)) {
+      throw new TypeError('ConsoleText: transports must be an array');
+    }
+    (config.transports || []).forEach(transport => this.addTransport(transport));
+
+    this.metrics = new Metrics();
+
+    this._onUncaughtException = error => this._handleCrash(error, 'uncaughtException');
+    this._onUnhandledRejection = reason => this._handleCrash(reason, 'unhandledRejection');
+    this._onWindowError = event => {
+      this._handleCrash(event.error instanceof Error ? event.error : new Error(event.message), 'error');
     };
+    this._onWindowRejection = event => this._handleCrash(event.reason, 'unhandledrejection');
+    this._exiting = false;
+
+    // Output goes to whatever sits below this instance when it is called: the layer
+    // of an instance initialized earlier, or the real console
+    this.registry = ConsoleRegistry.shared();
+    this.originalConsole = {};
+    [...LOG_METHODS, ...OTHER_METHODS, ...METRIC_METHODS].forEach(method => {
+      this.originalConsole[method] = (...args) => this.registry.below(this, method)(...args);
+    });
+    this.originalConsole.text = this.originalConsole.log; // Add text method mapping to log
+
+    // Logger that works without patching the global console
+    this.logger = new Logger(this);
   }
 
   /**
@@ -48,46 +178,716 @@ class ConsoleText {
    * @returns {ConsoleText} - The current instance for chaining
    */
   init() {
-    // Override standard console methods
-    const standardMethods = ['log', 'info', 'warn', 'error', 'debug'];
-    standardMethods.forEach(method => {
-      console[method] = (...args) => this._handleLog(method, args);
+    // Override standard console methods, including the custom text method
+    this._installLogMethods();
+
+    this._watchExit(true);
+    if (this.config.captureExceptions) {
+      this._watchCrashes(true);
+    }
+    this.initialized = true;
+
+    return this;
+  }
+
+  /**
+   * Change options at runtime; outputs are rewired in place, without calling init() again
+   * Transports and the throttle are only replaced when their own options change, and replaced
+   * transports are closed after flushing. A null value restores an option's default.
+   * @param {Object} options - Options to change, same names as the constructor's
+   * @returns {ConsoleText} - The current instance for chaining
+   */
+  configure(options) {
+    if (!options || typeof options !== 'object') {
+      throw new TypeError('ConsoleText: configure() expects an options object');
+    }
+    validateOptions(options);
+
+    const previous = this.config;
+    this.config = Object.assign({}, previous);
+    Object.keys(options).forEach(key => {
+      this.config[key] = options[key] == null ? defaultValue(key) : options[key];
     });
 
-    // Add support for other console methods without server logging
-    const otherMethods = ['dir', 'table', 'time', 'timeEnd', 'trace'];
-    otherMethods.forEach(method => {
-      console[method] = (...args) => {
-        if (!this.config.silent) {
-          this.originalConsole[method](...args);
-        }
-      };
+    try {
+      this._applyConfig(previous);
+    } catch (error) {
+      this.config = previous;
+      throw error;
+    }
+
+    if (this.initialized) {
+      this._installLogMethods();
+      if (previous.captureExceptions !== this.config.captureExceptions) {
+        this._watchCrashes(this.config.captureExceptions);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Build the formatter, colorizers, redactor, levels, built-in transports and throttle from the configuration
+   * Everything is constructed before anything is swapped, so a failure leaves the instance unchanged.
+   * @private
+   * @param {Object|null} previous - Configuration they were built from, or null on construction
+   */
+  _applyConfig(previous) {
+    const config = this.config;
+    const changed = keys => !previous || keys.some(key => previous[key] !== config[key]);
+
+    const formatter = config.format ? createFormatter(config.format) : null;
+
+    // warn and error are written to stderr, which may be redirected separately
+    const colorizers = {};
+    ['stdout', 'stderr'].forEach(name => {
+      colorizers[name] = createColorizer({
+        theme: config.theme,
+        badges: config.badges,
+        colorLevel: config.colorize ? undefined : 0,
+        stream: hasProcess() ? process[name] : null
+      });
     });
 
-    // Add custom text method (only this sends to server)
-    console.text = (...args) => {
-      if (this.config.endpoint) {
-        this._sendToServer('text', args);
+    const redact = createRedactor(config.redact);
+    const levels = {
+      console: resolveLevels(config.consoleLevel),
+      remote: resolveLevels(config.remoteLevel)
+    };
+
+    let throttle = this.throttle;
+    if (changed(THROTTLE_OPTIONS)) {
+      throttle = null;
+      if (config.sampling || config.rateLimit || config.dedupeWindow) {
+        throttle = new Throttle({
+          emit: record => this._fanOut(record),
+          sampling: config.sampling,
+          rateLimit: config.rateLimit,
+          dedupeWindow: config.dedupeWindow,
+          reportInterval: config.reportInterval
+        });
       }
-      if (!this.config.silent) {
-        this._applyColorAndLog('text', ...args);
+    }
+
+    // file maps onto the built-in file transport; it and the exporters are Node only and loaded
+    // only when configured, so browsers never need fs, net or dgram
+    let fileTransport = this.fileTransport;
+    if (changed(['file'])) {
+      fileTransport = null;
+      if (config.file) {
+        const FileTransport = require('./transports/FileTransport');
+        const fileOptions = typeof config.file === 'string' ? { filename: config.file } : config.file;
+        fileTransport = new FileTransport(Object.assign({
+          onError: message => this.originalConsole.error(message)
+        }, fileOptions));
       }
-    };
+    }
+
+    // endpoint/apiKey map onto the built-in HTTP transport, or its fetch-based variant in browsers
+    let httpTransport = this.httpTransport;
+    if (changed(HTTP_OPTIONS)) {
+      httpTransport = null;
+      if (config.endpoint) {
+        const Transport = BrowserTransport.isSupported() ? BrowserTransport : HttpTransport;
+        httpTransport = new Transport({
+          endpoint: config.endpoint,
+          apiKey: config.apiKey,
+          headers: config.headers,
+          signingSecret: config.signingSecret,
+          compression: config.compression,
+          compressionThreshold: config.compressionThreshold,
+          timeout: config.timeout,
+          batchSize: config.batchSize,
+          flushInterval: config.flushInterval,
+          maxBufferSize: config.maxBufferSize,
+          dropPolicy: config.dropPolicy,
+          retries: config.retries,
+          retryDelay: config.retryDelay,
+          retryMaxDelay: config.retryMaxDelay,
+          spoolDir: config.spoolDir,
+          maxSpoolSize: config.maxSpoolSize,
+          maxQueueSize: config.maxSpoolSize,
+          onError: message => this.originalConsole.error(message)
+        });
+      }
+    }
+
+    // syslog and otlp map onto the exporters; name is their default application and service name
+    let syslogTransport = this.syslogTransport;
+    if (changed(['syslog', 'name'])) {
+      syslogTransport = null;
+      if (config.syslog) {
+        const SyslogTransport = require('./transports/SyslogTransport');
+        const syslogOptions = typeof config.syslog === 'string' ? { url: config.syslog } : config.syslog;
+        syslogTransport = new SyslogTransport(Object.assign({
+          appName: config.name || undefined,
+          onError: message => this.originalConsole.error(message)
+        }, syslogOptions));
+      }
+    }
+
+    let otlpTransport = this.otlpTransport;
+    if (changed(['otlp', 'name'])) {
+      otlpTransport = null;
+      if (config.otlp) {
+        const OtlpTransport = require('./transports/OtlpTransport');
+        const otlpOptions = typeof config.otlp === 'string' ? { endpoint: config.otlp } : config.otlp;
+        otlpTransport = new OtlpTransport(Object.assign({
+          serviceName: config.name || undefined,
+          onError: message => this.originalConsole.error(message)
+        }, otlpOptions));
+      }
+    }
+
+    let recorder = this.recorder;
+    if (changed(['historySize'])) {
+      recorder = config.historySize ? new FlightRecorder({ size: config.historySize }) : null;
+      // Resizing keeps the latest records
+      if (recorder && this.recorder) {
+        this.recorder.records({ limit: config.historySize }).forEach(record => recorder.push(record));
+      }
+    }
+
+    this.formatter = formatter;
+    this.colorizers = colorizers;
+    this.recorder = recorder;
+    this.redact = redact;
+    this.levels = levels;
+    if (changed(['namespaces'])) {
+      this.namespaceFilter = createNamespaceFilter(config.namespaces);
+    }
 
+    if (throttle !== this.throttle) {
+      if (this.throttle) {
+        this.throttle.flush();
+        this.throttle.stop();
+      }
+      this.throttle = throttle;
+    }
+
+    if (httpTransport !== this.httpTransport) {
+      this._replaceTransport(this.httpTransport, httpTransport);
+      this.httpTransport = httpTransport;
+      this.spool = httpTransport ? httpTransport.spool : null;
+    }
+    if (fileTransport !== this.fileTransport) {
+      this._replaceTransport(this.fileTransport, fileTransport);
+      this.fileTransport = fileTransport;
+    }
+    if (syslogTransport !== this.syslogTransport) {
+      this._replaceTransport(this.syslogTransport, syslogTransport);
+      this.syslogTransport = syslogTransport;
+    }
+    if (otlpTransport !== this.otlpTransport) {
+      this._replaceTransport(this.otlpTransport, otlpTransport);
+      this.otlpTransport = otlpTransport;
+    }
+  }
+
+  /**
+   * Swap a built-in transport for another in the same position, closing the old one
+   * @private
+   * @param {Object|null} current - Transport being replaced
+   * @param {Object|null} next - Replacement, or null to remove the transport
+   */
+  _replaceTransport(current, next) {
+    const index = this.transports.indexOf(current);
+    if (next) {
+      this._watchExit(true);
+    }
+    if (index === -1) {
+      if (next) this.transports.push(next);
+      return;
+    }
+
+    if (next) {
+      this.transports[index] = next;
+    } else {
+      this.transports.splice(index, 1);
+    }
+    if (typeof current.close === 'function') {
+      Promise.resolve()
+        .then(() => current.close())
+        .catch(error => {
+          this.originalConsole.error(`ConsoleText: Transport failed to close: ${error.message}`);
+        });
+    }
+  }
+
+  /**
+   * Add or remove the beforeExit listener flushing buffered records
+   * @private
+   * @param {boolean} enable - True to add the listener, false to remove it
+   */
+  _watchExit(enable) {
+    if (this._watchingExit === enable || !hasProcess()) return;
+    this._watchingExit = enable;
+
+    if (enable) {
+      process.on('beforeExit', this._onBeforeExit);
+    } else {
+      process.removeListener('beforeExit', this._onBeforeExit);
+    }
+  }
+
+  /**
+   * Add or remove the uncaught exception and unhandled rejection listeners
+   * @private
+   * @param {boolean} enable - True to add the listeners, false to remove them
+   */
+  _watchCrashes(enable) {
+    if (hasProcess()) {
+      const method = enable ? 'on' : 'removeListener';
+      process[method]('uncaughtException', this._onUncaughtException);
+      process[method]('unhandledRejection', this._onUnhandledRejection);
+    }
+
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      const method = enable ? 'addEventListener' : 'removeEventListener';
+      window[method]('error', this._onWindowError);
+      window[method]('unhandledrejection', this._onWindowRejection);
+    }
+  }
+
+  /**
+   * Change the console or remote level threshold at runtime
+   * @param {string|Array<string>} level - Minimum level name, or an explicit list of levels
+   * @param {string} [target='console'] - 'console', 'remote' or 'all'
+   * @returns {ConsoleText} - The current instance for chaining
+   */
+  setLevel(level, target = 'console') {
+    if (!['console', 'remote', 'all'].includes(target)) {
+      throw new TypeError(`ConsoleText: unknown level target "${target}"`);
+    }
+
+    const levels = resolveLevels(level);
+    if (target !== 'remote') {
+      this.config.consoleLevel = level;
+      this.levels.console = levels;
+    }
+    if (target !== 'console') {
+      this.config.remoteLevel = level;
+      this.levels.remote = levels;
+    }
+
+    if (this.initialized) {
+      this._installLogMethods();
+    }
     return this;
   }
 
   /**
-   * Handle log output (without server sending)
+   * Create a logger whose records carry the given bindings
+   * @param {Object} bindings - Fields such as service or userId
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger(this, bindings);
+  }
+
+  /**
+   * Create a logger for a namespace, printed only while the namespace is enabled
+   * @param {string} name - Namespace such as 'db:query'
+   * @returns {Logger}
+   */
+  namespace(name) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('ConsoleText: namespace must be a non-empty string');
+    }
+    return new Logger(this, {}, name);
+  }
+
+  /**
+   * Replace the enabled namespace patterns at runtime
+   * @param {string} spec - Patterns such as 'db:*,-db:pool'
+   * @returns {ConsoleText} - The current instance for chaining
+   */
+  enableNamespaces(spec) {
+    this.config.namespaces = spec || null;
+    this.namespaceFilter = createNamespaceFilter(spec);
+    return this;
+  }
+
+  /**
+   * Disable every namespace
+   * @returns {string} - The patterns that were enabled, for a later enableNamespaces()
+   */
+  disableNamespaces() {
+    const previous = this.namespaceFilter.spec;
+    this.enableNamespaces(null);
+    return previous;
+  }
+
+  /**
+   * Check whether a namespace matches the enabled patterns
+   * @param {string} name - Namespace
+   * @returns {boolean}
+   */
+  isNamespaceEnabled(name) {
+    return this.namespaceFilter(name);
+  }
+
+  /**
+   * Run a function with context attached to every record logged inside its async flow
+   * @param {Object} context - Fields such as requestId or userId
+   * @param {Function} fn - Function to run, may be async
+   * @returns {any} - The return value of fn
+   */
+  runWithContext(context, fn) {
+    return runWithContext(context, fn);
+  }
+
+  /**
+   * Create middleware logging each request for Express, Connect or a plain http server
+   * Responses carry an X-Request-Id that is bound as context for everything logged while handling the request.
+   * @param {Object} [options] - Middleware options (header, generateId, trustRequestId, level, headers, redactHeaders)
+   * @returns {Function} - Middleware (req, res, next)
+   */
+  requestLogger(options) {
+    return createRequestLogger(this, options);
+  }
+
+  /**
+   * Create middleware logging each request for Koa
+   * @param {Object} [options] - Same options as requestLogger()
+   * @returns {Function} - Middleware (ctx, next)
+   */
+  koaRequestLogger(options) {
+    return createKoaRequestLogger(this, options);
+  }
+
+  /**
+   * Check whether a level is enabled for a destination
+   * @param {string} level - Log level
+   * @param {string} [target='console'] - 'console' or 'remote'
+   * @returns {boolean}
+   */
+  isLevelEnabled(level, target = 'console') {
+    return this.levels[target].has(level);
+  }
+
+  /**
+   * Install this instance's console layer, replacing levels disabled everywhere with a no-op
+   * @private
+   */
+  _installLogMethods() {
+    const handlers = {};
+    LOG_METHODS.forEach(method => {
+      const enabled = this.levels.console.has(method) || this.levels.remote.has(method) || this.recorder !== null;
+      const handle = enabled ? (...args) => this._handleLog(method, args) : noop;
+      // Output of the real table and trace only passes through, even when the level is disabled
+      handlers[method] = RENDER_METHODS.includes(method)
+        ? (...args) => (this._rendering ? this.originalConsole[method](...args) : handle(...args))
+        : handle;
+    });
+
+    // Non-level methods reach the transports only when listed in remoteMethods
+    OTHER_METHODS.forEach(method => {
+      handlers[method] = (...args) => this._handleOther(method, args);
+    });
+
+    METRIC_METHODS.forEach(method => {
+      handlers[method] = (...args) => this._handleMetric(method, args);
+    });
+
+    this.registry.install(this, handlers);
+  }
+
+  /**
+   * Route a log call to the transports and the local console according to the levels
    * @private
    * @param {string} level - Log level
-   * @param {Array} args - Arguments to log
+   * @param {Array} rawArgs - Arguments to log, redacted before any output
+   * @param {Object} [bindings] - Fields of the logger that made the call
+   * @param {string} [namespace] - Namespace of the logger that made the call
+   */
+  _handleLog(level, rawArgs, bindings, namespace) {
+    if (namespace && !this.namespaceFilter(namespace)) return;
+
+    const remote = this.transports.length > 0 && this.levels.remote.has(level);
+    const local = !this.config.silent && this.levels.console.has(level);
+    // The flight recorder keeps records of every level, whatever the thresholds
+    if (!remote && !local && !this.recorder) return;
+
+    const args = rawArgs.map(arg => this.redact(arg));
+    const json = this.config.mode === 'json';
+
+    // One record serves every destination
+    const record = remote || json || this.recorder ? this._createRecord(level, args, bindings, namespace) : null;
+    const outgoing = this.recorder ? this._remember(record) : record;
+
+    if (remote) this._dispatch(outgoing);
+    if (!local) return;
+
+    if (json) {
+      this._writeJson(record);
+    } else {
+      const line = this._formatLine(level, args, bindings);
+      this._applyColorAndLog(level, ...(namespace ? this._decorateNamespace(level, namespace, line) : line));
+    }
+  }
+
+  /**
+   * Keep a record in the flight recorder
+   * @private
+   * @param {Object} record - Log record
+   * @returns {Object} - Record for the transports; errors carry the preceding records as history when attachHistory is set
+   */
+  _remember(record) {
+    const history = this.config.attachHistory && record.level === 'error' ? this.recorder.records() : null;
+    this.recorder.push(record);
+    return history ? Object.assign({}, record, { history }) : record;
+  }
+
+  /**
+   * Surround a console line with its colored namespace and the time since the namespace's previous message
+   * @private
+   * @param {string} level - Log level
+   * @param {string} namespace - Namespace of the logger that made the call
+   * @param {Array} line - Arguments to print
+   * @returns {Array} - Arguments to print
+   */
+  _decorateNamespace(level, namespace, line) {
+    const now = Date.now();
+    const previous = this.namespaceTimes.get(namespace);
+    this.namespaceTimes.set(namespace, now);
+
+    const colorizer = STDERR_METHODS.includes(level) ? this.colorizers.stderr : this.colorizers.stdout;
+    const delta = formatDelta(previous === undefined ? 0 : now - previous);
+    return [colorizer.paintNamespace(namespace, namespace), ...line, colorizer.paintNamespace(namespace, delta)];
+  }
+
+  /**
+   * Handle console methods that are not log levels (dir, table, trace)
+   * Local output is rendered from the redacted arguments by the original console method;
+   * records are built only when needed.
+   * @private
+   * @param {string} method - Console method
+   * @param {Array} args - Arguments passed to the method
+   */
+  _handleOther(method, args) {
+    const remote = this.config.remoteMethods.includes(method) && this.transports.length > 0;
+    const local = !this.config.silent;
+    if (!remote && !local) return;
+
+    const json = this.config.mode === 'json';
+    const record = remote || json ? this._createOtherRecord(method, args) : null;
+
+    if (remote) this._dispatch(record);
+    if (!local) return;
+
+    if (json) {
+      this._writeJson(record);
+      return;
+    }
+
+    this._rendering = true;
+    try {
+      this.originalConsole[method](...args.map(arg => this.redact(arg)));
+    } finally {
+      this._rendering = false;
+    }
+  }
+
+  /**
+   * Build a structured record for dir, table or trace
+   * @private
+   * @param {string} method - 'dir', 'table' or 'trace'
+   * @param {Array} rawArgs - Arguments passed to the method, redacted before use
+   * @returns {Object} - Record with table rows/columns, a depth-limited dir object or parsed trace frames
    */
-  _handleLog(level, args) {
-    // Output to console only
+  _createOtherRecord(method, rawArgs) {
+    const args = rawArgs.map(arg => this.redact(arg));
+    const limits = this._limits();
+
+    if (method === 'dir') {
+      // console.dir(object, options): Node's depth counts levels below the top-level properties
+      const options = rawArgs[1] || {};
+      const depth = options.depth === undefined ? 2 : options.depth;
+      const maxDepth = depth === null || depth === Infinity ? limits.maxDepth : Math.min(depth + 1, limits.maxDepth);
+
+      const record = this._createRecord(method, args.slice(0, 1));
+      record.message = inspect(args[0], Object.assign({}, options, { colors: false }));
+      record.args = [serialize(args[0], Object.assign({}, limits, { maxDepth }))];
+      return record;
+    }
+
+    const record = this._createRecord(method, args);
+    if (method === 'table') {
+      const table = tabulate(args[0], Array.isArray(args[1]) ? args[1] : undefined, limits);
+      if (table) record.table = table;
+    } else if (method === 'trace') {
+      const callSite = new Error();
+      record.stack = externalFrames(callSite);
+      record.frames = parseStack(callSite);
+    }
+    return record;
+  }
+
+  /**
+   * Track timers and counters, printing results the way Node's console does
+   * @private
+   * @param {string} method - 'time', 'timeLog', 'timeEnd', 'count' or 'countReset'
+   * @param {Array} args - Label followed by extra data for timeLog
+   */
+  _handleMetric(method, args) {
+    const label = args[0] === undefined ? 'default' : `${args[0]}`;
+    const data = args.slice(1);
+
+    if (method === 'time') {
+      if (!this.metrics.time(label)) {
+        this._warn(`Label '${label}' already exists for console.time()`);
+      }
+      return;
+    }
+
+    if (method === 'countReset') {
+      if (!this.metrics.countReset(label)) {
+        this._warn(`Count for '${label}' does not exist`);
+      }
+      return;
+    }
+
+    if (method === 'count') {
+      const value = this.metrics.count(label);
+      this._emitMetric({ type: 'counter', label, value }, `${label}: ${value}`, []);
+      return;
+    }
+
+    const duration = this.metrics[method](label);
+    if (duration === null) {
+      this._warn(`No such label '${label}' for console.${method}()`);
+      return;
+    }
+    this._emitMetric({ type: 'timer', label, duration }, `${label}: ${Metrics.formatDuration(duration)}`, data);
+  }
+
+  /**
+   * Report misuse of a timer or counter the way the console does: a process warning in Node, a console warning elsewhere
+   * @private
+   * @param {string} message - Warning message
+   */
+  _warn(message) {
+    if (hasProcess() && typeof process.emitWarning === 'function') {
+      process.emitWarning(message);
+    } else {
+      this.originalConsole.warn(`Warning: ${message}`);
+    }
+  }
+
+  /**
+   * Print a timer or counter result and hand it to the transports when metrics are enabled
+   * @private
+   * @param {Object} metric - { type, label, duration } or { type, label, value }
+   * @param {string} text - Line printed by Node's console, such as 'query: 12.5ms'
+   * @param {Array} data - Extra arguments passed to timeLog
+   */
+  _emitMetric(metric, text, data) {
+    const remote = this.config.metrics && this.transports.length > 0;
+    const local = !this.config.silent;
+    if (!remote && !local) return;
+
+    const json = this.config.mode === 'json';
+    const args = [text, ...data.map(arg => this.redact(arg))];
+    const record = remote || json ? Object.assign(this._createRecord('metric', args), { metric }) : null;
+
+    if (remote) this._dispatch(record);
+    if (!local) return;
+
+    if (json) {
+      this._writeJson(record);
+    } else {
+      this.originalConsole.log(...args);
+    }
+  }
+
+  /**
+   * Record an uncaught exception or unhandled rejection, then flush and exit like Node would
+   * Crash records bypass levels, sampling and rate limits. Page errors are only recorded,
+   * since browsers print them and keep the page running, and the process is left running
+   * when the application has its own listener for the event.
+   * @private
+   * @param {any} reason - Thrown value or rejection reason
+   * @param {string} origin - 'uncaughtException' or 'unhandledRejection', or the window event 'error' or 'unhandledrejection'
+   */
+  _handleCrash(reason, origin) {
+    const thrown = !(reason instanceof Error);
+    let error = reason;
+    if (thrown && (origin === 'unhandledRejection' || origin === 'unhandledrejection')) {
+      // Same error Node raises for rejections with non-Error reasons
+      error = new Error('This error originated either by throwing inside of an async function without a catch block, ' +
+        `or by rejecting a promise which was not handled with .catch(). The promise rejected with the reason "${inspect(reason)}".`);
+      error.code = 'ERR_UNHANDLED_REJECTION';
+    } else if (thrown) {
+      error = new Error(inspect(reason));
+    }
+
+    const record = this._createRecord('error', [this.redact(error)]);
+    record.origin = origin;
+    if (thrown) {
+      // The value that was thrown or rejected, as opposed to the Error wrapping it
+      record.reason = serialize(this.redact(reason), this._limits());
+    }
+    this._fanOut(this.recorder ? this._remember(record) : record);
+
+    if (origin === 'error' || origin === 'unhandledrejection') return;
+
     if (!this.config.silent) {
-      this._applyColorAndLog(level, ...args);
+      if (this.config.mode === 'json') {
+        this._writeJson(record);
+      } else {
+        this.originalConsole.error(error);
+      }
     }
+
+    // Other listeners mean the application decides whether to exit, as Node lets it
+    if (!this.config.exitOnError || this._exiting || process.listenerCount(origin) > 1) return;
+    this._exiting = true;
+
+    // Give transports a bounded amount of time, then exit with Node's crash code
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, this.config.exitTimeout);
+    });
+    Promise.race([this.flush(), timeout]).then(() => {
+      clearTimeout(timer);
+      if (hasProcess()) process.exit(1);
+    });
+  }
+
+  /**
+   * Write a record as a single JSON line to stdout, or stderr for warnings and errors
+   * Without process streams, as in browsers, the line goes to console.log or console.error.
+   * @private
+   * @param {Object} record - Log record
+   */
+  _writeJson(record) {
+    const stderr = STDERR_METHODS.includes(record.level);
+    if (!hasProcess() || !process.stdout) {
+      this.originalConsole[stderr ? 'error' : 'log'](JSON.stringify(record));
+      return;
+    }
+    (stderr ? process.stderr : process.stdout).write(JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Apply the configured line format to console arguments
+   * @private
+   * @param {string} level - Log level
+   * @param {Array} args - Arguments to log
+   * @param {Object} [bindings] - Fields of the logger that made the call
+   * @returns {Array} - Arguments to print
+   */
+  _formatLine(level, args, bindings) {
+    if (!this.formatter) return args;
+
+    return this.formatter(createInfo({
+      level,
+      args,
+      name: (bindings && bindings.name) || this.config.name,
+      startTime: this.startTime,
+      // Captured here, parsed only if a format asks for the location
+      callSite: this.formatter.needsLocation ? new Error() : null
+    }));
   }
 
   /**
@@ -97,45 +897,216 @@ class ConsoleText {
    * @param {...any} args - Arguments to log
    */
   _applyColorAndLog(level, ...args) {
-    if (!this.config.colorize) {
-      this.originalConsole[level === 'text' ? 'log' : level](...args);
-      return;
+    const method = level === 'text' ? 'log' : level;
+    const colorizer = STDERR_METHODS.includes(method) ? this.colorizers.stderr : this.colorizers.stdout;
+
+    this.originalConsole[method](...colorizer.applyColor(level, args));
+  }
+
+  /**
+   * Register an additional transport
+   * @param {Object} transport - Object implementing log(record) and optionally flush()/close()
+   * @returns {ConsoleText} - The current instance for chaining
+   */
+  addTransport(transport) {
+    if (!transport || typeof transport.log !== 'function') {
+      throw new TypeError('ConsoleText: transport must implement log(record)');
     }
+    this.transports.push(transport);
+    this._watchExit(true);
+    return this;
+  }
 
-    const colorized = applyColor(level, args);
-    this.originalConsole[level === 'text' ? 'log' : level](...colorized);
+  /**
+   * Hand a record to the transports, through the throttle when one is configured
+   * @private
+   * @param {Object} record - Log record
+   */
+  _dispatch(record) {
+    if (this.throttle) {
+      this.throttle.push(record);
+    } else {
+      this._fanOut(record);
+    }
   }
 
   /**
-   * Send logs to server (only for text method)
+   * Hand a record to every transport, isolating transport failures
+   * @private
+   * @param {Object} record - Log record
+   */
+  _fanOut(record) {
+    this.transports.forEach(transport => {
+      try {
+        transport.log(record);
+      } catch (error) {
+        this.originalConsole.error(`ConsoleText: Transport failed to log: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Build a structured record from log arguments
    * @private
    * @param {string} level - Log level
    * @param {Array} args - Arguments to log
-   * @returns {Promise<void>}
+   * @param {Object} [bindings] - Fields of the logger that made the call
+   * @param {string} [namespace] - Namespace of the logger that made the call
+   * @returns {Object} - Record with a flattened message, serialized args and context
    */
-  async _sendToServer(level, args) {
-    if (!this.config.endpoint) return;
+  _createRecord(level, args, bindings, namespace) {
+    const limits = this._limits();
 
-    const logData = {
+    const record = {
       level,
-      message: args.map(arg => typeof arg === 'object' ? JSON.stringify(arg) : arg).join(' '),
-      timestamp: new Date().toISOString()
+      message: formatMessage(args, limits),
+      timestamp: new Date().toISOString(),
+      args: args.map(arg => serialize(arg, limits))
     };
 
-    try {
-      const headers = {
-        'Content-Type': 'application/json'
-      };
+    if (namespace) {
+      record.namespace = namespace;
+    }
 
-      if (this.config.apiKey) {
-        headers['Authorization'] = `Bearer ${this.config.apiKey}`;
-      }
+    const error = args.find(arg => arg instanceof Error);
+    if (error) {
+      record.error = serialize(error, limits);
+    }
 
-      await axios.post(this.config.endpoint, logData, { headers });
-    } catch (error) {
-      // Silently fail or log error to original console
-      this.originalConsole.error(`ConsoleText: Failed to send log: ${error.message}`);
+    // Async context first so logger bindings win on conflicts
+    const context = Object.assign({}, getContext(), bindings);
+    if (Object.keys(context).length > 0) {
+      record.context = serialize(this.redact(context), limits);
+    }
+
+    return record;
+  }
+
+  /**
+   * Serialization limits from the configuration
+   * @private
+   * @returns {{maxDepth: number, maxStringLength: number, maxArrayLength: number}}
+   */
+  _limits() {
+    return {
+      maxDepth: this.config.maxDepth,
+      maxStringLength: this.config.maxStringLength,
+      maxArrayLength: this.config.maxArrayLength
+    };
+  }
+
+  /**
+   * Replay spooled records in order until the spool is empty or a send fails
+   * @returns {Promise<number>} - Number of records delivered
+   */
+  drainSpool() {
+    return this.httpTransport ? this.httpTransport.drainSpool() : Promise.resolve(0);
+  }
+
+  /**
+   * Flush every transport
+   * @returns {Promise<void>} - Resolves once buffered records have been delivered
+   */
+  flush() {
+    if (this.throttle) {
+      this.throttle.flush();
+    }
+    return this._eachTransport('flush');
+  }
+
+  /**
+   * Counts of remote records shed by sampling, rate limiting and deduplication
+   * @returns {{sampled: number, rateLimited: number, deduplicated: number}}
+   */
+  getStats() {
+    const stats = this.throttle ? this.throttle.stats : { sampled: 0, rateLimited: 0, deduplicated: 0 };
+    return Object.assign({}, stats);
+  }
+
+  /**
+   * Timer summaries and counter values collected from console.timeEnd and console.count
+   * @returns {{timers: Object, counters: Object}} - Summaries ({ count, min, max, mean, p50, p90, p95, p99 }) per timer label and values per counter label
+   */
+  getMetrics() {
+    return this.metrics.snapshot();
+  }
+
+  /**
+   * Summarize the durations recorded for one timer label
+   * @param {string} [label='default'] - Timer label
+   * @returns {Object|null} - { count, min, max, mean, p50, p90, p95, p99 } in milliseconds, or null if never timed
+   */
+  getTiming(label = 'default') {
+    return this.metrics.summary(label);
+  }
+
+  /**
+   * Records held by the flight recorder, oldest first
+   * @param {Object} [filter] - { level, namespace, since, limit }
+   * @returns {Array<Object>} - Records, or an empty array when historySize is 0
+   */
+  getHistory(filter) {
+    return this.recorder ? this.recorder.records(filter) : [];
+  }
+
+  /**
+   * Flight recorder records as newline-delimited JSON, e.g. for a bug report
+   * @param {Object} [filter] - { level, namespace, since, limit }
+   * @returns {string}
+   */
+  exportHistory(filter) {
+    return this.recorder ? this.recorder.toNDJSON(filter) : '';
+  }
+
+  /**
+   * Forget the records held by the flight recorder
+   * @returns {ConsoleText} - The current instance for chaining
+   */
+  clearHistory() {
+    if (this.recorder) {
+      this.recorder.clear();
+    }
+    return this;
+  }
+
+  /**
+   * Forget recorded durations and counters
+   * @returns {ConsoleText} - The current instance for chaining
+   */
+  resetMetrics() {
+    this.metrics.reset();
+    return this;
+  }
+
+  /**
+   * Restore the console and close every transport
+   * @returns {Promise<void>} - Resolves once every transport has been closed
+   */
+  close() {
+    this.restore();
+    this._watchExit(false);
+    if (this.throttle) {
+      this.throttle.stop();
     }
+    return this._eachTransport('close');
+  }
+
+  /**
+   * Call an optional transport method on every transport, reporting failures
+   * @private
+   * @param {string} method - 'flush' or 'close'
+   * @returns {Promise<void>}
+   */
+  _eachTransport(method) {
+    return Promise.all(this.transports.map(transport => {
+      if (typeof transport[method] !== 'function') return undefined;
+
+      return Promise.resolve()
+        .then(() => transport[method]())
+        .catch(error => {
+          this.originalConsole.error(`ConsoleText: Transport failed to ${method}: ${error.message}`);
+        });
+    })).then(() => {});
   }
 
   /**
@@ -143,13 +1114,19 @@ class ConsoleText {
    * @returns {ConsoleText} - The current instance for chaining
    */
   restore() {
-    // Restore all original methods
-    Object.keys(this.originalConsole).forEach(method => {
-      console[method] = this.originalConsole[method];
-    });
-    
-    // Remove custom methods
-    delete console.text;
+    // Remove this instance's layer; other instances keep theirs, and the original
+    // methods (without console.text) come back with the last one
+    this.registry.uninstall(this);
+
+    // Transports stay usable through `logger`, so their records are still flushed on exit until close()
+    if (this.transports.length === 0) {
+      this._watchExit(false);
+    }
+    if (this.initialized && this.config.captureExceptions) {
+      this._watchCrashes(false);
+    }
+    this.initialized = false;
+    this.flush();
     
     return this;
   }
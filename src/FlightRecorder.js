@@ -0,0 +1,91 @@
+/**
+ * FlightRecorder - Keeps the most recent log records in memory for post-mortem inspection
+ * @module FlightRecorder
+ */
+
+const { resolveLevels } = require('./utils/levels');
+
+/**
+ * FlightRecorder class holding the latest records in a ring buffer
+ */
+class FlightRecorder {
+  /**
+   * Create a new FlightRecorder
+   * @param {Object} [options] - Recorder options
+   * @param {number} [options.size=100] - Number of records kept; older records are overwritten
+   */
+  constructor(options = {}) {
+    this.size = options.size || 100;
+    this.buffer = [];
+    this.next = 0;
+  }
+
+  /**
+   * Number of records currently held
+   * @returns {number}
+   */
+  get length() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Add a record, overwriting the oldest one when full
+   * @param {Object} record - Log record
+   */
+  push(record) {
+    if (this.buffer.length < this.size) {
+      this.buffer.push(record);
+    } else {
+      this.buffer[this.next] = record;
+      this.next = (this.next + 1) % this.size;
+    }
+  }
+
+  /**
+   * Held records from oldest to newest, optionally filtered
+   * @param {Object} [filter] - Record filter
+   * @param {string|Array<string>} [filter.level] - Minimum level name, or an explicit list of levels
+   * @param {string} [filter.namespace] - Namespace the records were logged under
+   * @param {Date|string|number} [filter.since] - Earliest timestamp
+   * @param {number} [filter.limit] - Keep only the latest `limit` matching records
+   * @returns {Array<Object>}
+   */
+  records(filter = {}) {
+    let records = this.buffer.slice(this.next).concat(this.buffer.slice(0, this.next));
+
+    if (filter.level) {
+      const levels = resolveLevels(filter.level);
+      records = records.filter(record => levels.has(record.level));
+    }
+    if (filter.namespace) {
+      records = records.filter(record => record.namespace === filter.namespace);
+    }
+    if (filter.since != null) {
+      const since = new Date(filter.since).getTime();
+      records = records.filter(record => Date.parse(record.timestamp) >= since);
+    }
+    if (filter.limit != null) {
+      records = filter.limit > 0 ? records.slice(-filter.limit) : [];
+    }
+    return records;
+  }
+
+  /**
+   * Held records as newline-delimited JSON, the format of log files and the offline spool
+   * @param {Object} [filter] - Record filter, see records()
+   * @returns {string}
+   */
+  toNDJSON(filter) {
+    return this.records(filter).map(record => JSON.stringify(record) + '\n').join('');
+  }
+
+  /**
+   * Forget every held record
+   */
+  clear() {
+    this.buffer = [];
+    this.next = 0;
+  }
+}
+
+module.exports = FlightRecorder;
@@ -0,0 +1,138 @@
+/**
+ * LogBuffer - Accumulates log records and delivers them in batches
+ * @module LogBuffer
+ */
+
+/**
+ * Policies applied when a record arrives while the buffer is full
+ */
+const DROP_POLICIES = ['oldest', 'newest'];
+
+/**
+ * LogBuffer class for batching records before remote delivery
+ */
+class LogBuffer {
+  /**
+   * Create a new LogBuffer
+   * @param {Object} options - Buffer options
+   * @param {Function} options.send - Async function receiving an array of records
+   * @param {number} [options.batchSize=10] - Number of records that triggers a flush
+   * @param {number} [options.flushInterval=1000] - Milliseconds to wait before flushing a partial batch (0 disables the timer)
+   * @param {number} [options.maxBufferSize=1000] - Maximum number of records held in memory
+   * @param {string} [options.dropPolicy='oldest'] - Which record to discard on overflow ('oldest' or 'newest')
+   * @param {Function} [options.onDrop] - Called with the dropped record when the buffer overflows
+   */
+  constructor(options = {}) {
+    if (typeof options.send !== 'function') {
+      throw new TypeError('LogBuffer: options.send must be a function');
+    }
+    if (options.dropPolicy && !DROP_POLICIES.includes(options.dropPolicy)) {
+      throw new TypeError(`LogBuffer: unknown dropPolicy "${options.dropPolicy}"`);
+    }
+
+    this.send = options.send;
+    this.batchSize = Math.max(1, options.batchSize || 10);
+    this.flushInterval = options.flushInterval != null ? options.flushInterval : 1000;
+    this.maxBufferSize = Math.max(this.batchSize, options.maxBufferSize || 1000);
+    this.dropPolicy = options.dropPolicy || 'oldest';
+    this.onDrop = options.onDrop || null;
+
+    this.records = [];
+    this.dropped = 0;
+    this._timer = null;
+    this._pending = Promise.resolve();
+  }
+
+  /**
+   * Number of records currently waiting for delivery
+   * @returns {number}
+   */
+  get size() {
+    return this.records.length;
+  }
+
+  /**
+   * Add a record to the buffer, flushing when the batch size is reached
+   * @param {Object} record - Log record
+   */
+  push(record) {
+    if (this.records.length >= this.maxBufferSize) {
+      this.dropped++;
+      const discarded = this.dropPolicy === 'newest' ? record : this.records.shift();
+      if (this.onDrop) {
+        this.onDrop(discarded);
+      }
+      if (this.dropPolicy === 'newest') {
+        return;
+      }
+    }
+
+    this.records.push(record);
+
+    if (this.records.length >= this.batchSize) {
+      this.flush();
+    } else {
+      this._schedule();
+    }
+  }
+
+  /**
+   * Deliver every buffered record
+   * @returns {Promise<void>} - Resolves once all records buffered so far were handed to send()
+   */
+  flush() {
+    this._cancel();
+
+    this._pending = this._pending.then(async () => {
+      while (this.records.length > 0) {
+        const batch = this.records.splice(0, this.batchSize);
+        try {
+          await this.send(batch);
+        } catch (error) {
+          // send() is responsible for its own error reporting
+        }
+      }
+    });
+
+    return this._pending;
+  }
+
+  /**
+   * Stop the flush timer without delivering buffered records
+   */
+  stop() {
+    this._cancel();
+  }
+
+  /**
+   * Arm the interval timer for a partially filled batch
+   * @private
+   */
+  _schedule() {
+    if (this._timer || this.flushInterval <= 0) return;
+
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flush();
+    }, this.flushInterval);
+
+    if (typeof this._timer.unref === 'function') {
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * Clear the interval timer
+   * @private
+   */
+  _cancel() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+}
+
+LogBuffer.DROP_POLICIES = DROP_POLICIES;
+
+module.exports = LogBuffer;
@@ -0,0 +1,57 @@
+/**
+ * Logger - Logger bound to a set of contextual fields
+ * @module Logger
+ */
+
+const { LOG_METHODS } = require('./utils/levels');
+
+/**
+ * Logger class whose records carry its bindings and optional namespace
+ */
+class Logger {
+  /**
+   * Create a new Logger
+   * @param {ConsoleText} owner - ConsoleText instance handling output and transports
+   * @param {Object} [bindings] - Fields merged into every record
+   * @param {string} [namespace] - Namespace such as 'db:query', output only while enabled
+   */
+  constructor(owner, bindings = {}, namespace = null) {
+    this.owner = owner;
+    this.bindings = Object.assign({}, bindings);
+    this.namespace = namespace;
+
+    LOG_METHODS.forEach(method => {
+      this[method] = (...args) => this.owner._handleLog(method, args, this.bindings, this.namespace);
+    });
+  }
+
+  /**
+   * Whether the logger's namespace is currently enabled; loggers without a namespace always are
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.namespace === null || this.owner.isNamespaceEnabled(this.namespace);
+  }
+
+  /**
+   * Create a logger with additional bindings
+   * @param {Object} bindings - Fields merged over the current bindings
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger(this.owner, Object.assign({}, this.bindings, bindings), this.namespace);
+  }
+
+  /**
+   * Create a logger in a sub-namespace, e.g. 'db' extended with 'query' becomes 'db:query'
+   * @param {string} name - Sub-namespace
+   * @param {string} [delimiter=':'] - Separator between the namespaces
+   * @returns {Logger}
+   */
+  extend(name, delimiter = ':') {
+    const namespace = this.namespace === null ? name : `${this.namespace}${delimiter}${name}`;
+    return new Logger(this.owner, this.bindings, namespace);
+  }
+}
+
+module.exports = Logger;
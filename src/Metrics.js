@@ -0,0 +1,205 @@
+/**
+ * Metrics - Timers and counters behind console.time and console.count
+ * @module Metrics
+ */
+
+// Browser bundles replace perf_hooks with an empty module; pages have a global performance
+const performance = require('perf_hooks').performance || globalThis.performance;
+
+/**
+ * Percentiles included in timer summaries
+ */
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Format a duration the way Node's console.timeEnd does
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Such as '12.345ms', '1.500s' or '1:02.000 (m:ss.mmm)'
+ */
+function formatDuration(ms) {
+  const pad = value => String(value).padStart(2, '0');
+  let hours = 0;
+  let minutes = 0;
+  let seconds = 0;
+  let rest = ms;
+
+  if (rest >= 1000) {
+    if (rest >= 60000) {
+      if (rest >= 3600000) {
+        hours = Math.floor(rest / 3600000);
+        rest %= 3600000;
+      }
+      minutes = Math.floor(rest / 60000);
+      rest %= 60000;
+    }
+    seconds = rest / 1000;
+  }
+
+  if (hours !== 0 || minutes !== 0) {
+    const [whole, fraction] = seconds.toFixed(3).split('.');
+    const prefix = hours !== 0 ? `${hours}:${pad(minutes)}` : minutes;
+    return `${prefix}:${pad(whole)}.${fraction} (${hours !== 0 ? 'h:m' : ''}m:ss.mmm)`;
+  }
+  if (seconds !== 0) return `${seconds.toFixed(3)}s`;
+  return `${Number(rest.toFixed(3))}ms`;
+}
+
+/**
+ * Metrics class keeping running timers, counters and duration statistics per label
+ */
+class Metrics {
+  /**
+   * Create a new Metrics store
+   * @param {Object} [options] - Metrics options
+   * @param {number} [options.maxSamples=1000] - Durations kept per label for percentiles
+   * @param {Function} [options.now=performance.now] - High resolution clock in milliseconds
+   */
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples || 1000;
+    this.now = options.now || (() => performance.now());
+
+    this.timers = new Map();
+    this.counters = new Map();
+    this.timings = new Map();
+  }
+
+  /**
+   * Start a timer
+   * @param {string} label - Timer label
+   * @returns {boolean} - False if a timer with this label is already running
+   */
+  time(label) {
+    if (this.timers.has(label)) return false;
+    this.timers.set(label, this.now());
+    return true;
+  }
+
+  /**
+   * Read a running timer without stopping it
+   * @param {string} label - Timer label
+   * @returns {number|null} - Elapsed milliseconds, or null if no such timer is running
+   */
+  timeLog(label) {
+    if (!this.timers.has(label)) return null;
+    return this.now() - this.timers.get(label);
+  }
+
+  /**
+   * Stop a timer and record its duration
+   * @param {string} label - Timer label
+   * @returns {number|null} - Elapsed milliseconds, or null if no such timer is running
+   */
+  timeEnd(label) {
+    const duration = this.timeLog(label);
+    if (duration === null) return null;
+
+    this.timers.delete(label);
+    this._record(label, duration);
+    return duration;
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} label - Counter label
+   * @returns {number} - New count
+   */
+  count(label) {
+    const value = (this.counters.get(label) || 0) + 1;
+    this.counters.set(label, value);
+    return value;
+  }
+
+  /**
+   * Reset a counter
+   * @param {string} label - Counter label
+   * @returns {boolean} - False if the counter did not exist
+   */
+  countReset(label) {
+    if (!this.counters.has(label)) return false;
+    this.counters.set(label, 0);
+    return true;
+  }
+
+  /**
+   * Summarize the durations recorded for a label
+   * Count, min, max and mean cover every duration; percentiles cover the latest maxSamples.
+   * @param {string} label - Timer label
+   * @returns {{count: number, min: number, max: number, mean: number, p50: number, p90: number, p95: number, p99: number}|null}
+   */
+  summary(label) {
+    const timing = this.timings.get(label);
+    if (!timing) return null;
+
+    const sorted = timing.samples.slice().sort((a, b) => a - b);
+    const summary = {
+      count: timing.count,
+      min: timing.min,
+      max: timing.max,
+      mean: timing.sum / timing.count
+    };
+    PERCENTILES.forEach(percentile => {
+      // Nearest-rank percentile
+      const rank = Math.ceil((percentile / 100) * sorted.length);
+      summary[`p${percentile}`] = sorted[Math.max(0, rank - 1)];
+    });
+    return summary;
+  }
+
+  /**
+   * Summaries of every timer label and the value of every counter
+   * @returns {{timers: Object, counters: Object}}
+   */
+  snapshot() {
+    const timers = {};
+    this.timings.forEach((timing, label) => {
+      timers[label] = this.summary(label);
+    });
+
+    const counters = {};
+    this.counters.forEach((value, label) => {
+      counters[label] = value;
+    });
+
+    return { timers, counters };
+  }
+
+  /**
+   * Forget recorded durations and counters; running timers keep running
+   */
+  reset() {
+    this.timings.clear();
+    this.counters.clear();
+  }
+
+  /**
+   * Add a duration to a label's statistics
+   * @private
+   * @param {string} label - Timer label
+   * @param {number} duration - Elapsed milliseconds
+   */
+  _record(label, duration) {
+    let timing = this.timings.get(label);
+    if (!timing) {
+      timing = { count: 0, sum: 0, min: Infinity, max: -Infinity, samples: [], next: 0 };
+      this.timings.set(label, timing);
+    }
+
+    timing.count++;
+    timing.sum += duration;
+    timing.min = Math.min(timing.min, duration);
+    timing.max = Math.max(timing.max, duration);
+
+    // Ring buffer of the latest samples
+    if (timing.samples.length < this.maxSamples) {
+      timing.samples.push(duration);
+    } else {
+      timing.samples[timing.next] = duration;
+      timing.next = (timing.next + 1) % this.maxSamples;
+    }
+  }
+}
+
+Metrics.formatDuration = formatDuration;
+Metrics.PERCENTILES = PERCENTILES;
+
+module.exports = Metrics;
@@ -0,0 +1,238 @@
+/**
+ * OfflineQueue - Persists undeliverable records to disk for later replay
+ * @module OfflineQueue
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * OfflineQueue class storing records as NDJSON in a spool directory
+ */
+class OfflineQueue {
+  /**
+   * Create a new OfflineQueue
+   * @param {Object} options - Queue options
+   * @param {string} options.dir - Spool directory
+   * @param {number} [options.maxRecords=10000] - Maximum records kept; the oldest are discarded beyond it
+   * @param {string} [options.filename='consoletext-spool.ndjson'] - Spool file name
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new TypeError('OfflineQueue: options.dir is required');
+    }
+
+    this.dir = options.dir;
+    this.file = path.join(this.dir, options.filename || 'consoletext-spool.ndjson');
+    this.maxRecords = options.maxRecords || 10000;
+    this.dropped = 0;
+    // Records in the spool file, read from disk on first use and kept up to date afterwards;
+    // _version is the file's size and mtime when _count was taken, so writes by other queues
+    // on the same file (cluster workers, a replaced transport) are noticed
+    this._count = null;
+    this._version = null;
+    this._pending = Promise.resolve();
+  }
+
+  /**
+   * Append records to the spool, trimming the oldest beyond maxRecords
+   * @param {Array<Object>} records - Records to persist
+   * @returns {Promise<void>}
+   */
+  enqueue(records) {
+    return this._serialize(async () => {
+      if (records.length === 0) return;
+
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const total = (await this._size()) + records.length;
+
+      if (total > this.maxRecords) {
+        const lines = (await this._readLines()).concat(records.map(record => JSON.stringify(record)));
+        this.dropped += total - this.maxRecords;
+        await this._writeLines(lines.slice(total - this.maxRecords));
+        return;
+      }
+
+      const data = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+      await fs.promises.appendFile(this.file, data);
+      this._count = total;
+      this._version = await this._stat();
+    });
+  }
+
+  /**
+   * Read every spooled record in insertion order without removing them, skipping lines that are not valid JSON
+   * @returns {Promise<Array<Object>>}
+   */
+  read() {
+    return this._serialize(async () => {
+      const lines = await this._readLines();
+      return lines.reduce((records, line) => {
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // drain() drops these lines
+        }
+        return records;
+      }, []);
+    });
+  }
+
+  /**
+   * Number of spooled records
+   * @returns {Promise<number>}
+   */
+  size() {
+    return this._serialize(() => this._size());
+  }
+
+  /**
+   * Replay spooled records in order, removing delivered batches once sending stops
+   * Stops at the first batch failing with a retryable error, leaving it and later records in the spool;
+   * batches failing otherwise and lines that are not valid JSON are dropped and reported to onDrop.
+   * The spool file is rewritten once per drain, so a crash while draining replays the delivered batches again.
+   * @param {Function} send - Async function receiving an array of records
+   * @param {number} [batchSize=10] - Records per send() call
+   * @param {Object} [options] - Drain options
+   * @param {Function} [options.isRetryable] - Receives a send() error, true to keep the batch for a later drain (default: always)
+   * @param {Function} [options.onDrop] - Receives the number of dropped records and the error that caused it
+   * @returns {Promise<number>} - Number of records delivered
+   */
+  drain(send, batchSize = 10, options = {}) {
+    const isRetryable = options.isRetryable || (() => true);
+    const onDrop = options.onDrop || (() => {});
+
+    return this._serialize(async () => {
+      const lines = await this._readLines();
+      let consumed = 0;
+      let delivered = 0;
+
+      while (consumed < lines.length) {
+        const batch = lines.slice(consumed, consumed + batchSize);
+        const records = [];
+        batch.forEach(line => {
+          try {
+            records.push(JSON.parse(line));
+          } catch (error) {
+            // A line cut short by a crash must not hold back the records after it
+            onDrop(1, error);
+          }
+        });
+
+        if (records.length > 0) {
+          try {
+            await send(records);
+            delivered += records.length;
+          } catch (error) {
+            if (isRetryable(error)) break;
+            onDrop(records.length, error);
+          }
+        }
+        consumed += batch.length;
+      }
+
+      if (consumed > 0) {
+        await this._writeLines(lines.slice(consumed));
+      }
+      return delivered;
+    });
+  }
+
+  /**
+   * Remove every spooled record
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this._serialize(() => this._writeLines([]));
+  }
+
+  /**
+   * Run an operation after every previously queued one has finished
+   * @private
+   * @param {Function} operation - Async operation
+   * @returns {Promise<any>}
+   */
+  _serialize(operation) {
+    const result = this._pending.then(operation);
+    this._pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Number of spooled records, reading the spool file only when it changed since it was last counted
+   * @private
+   * @returns {Promise<number>}
+   */
+  async _size() {
+    const version = await this._stat();
+    const unchanged = this._version === version ||
+      (this._version && version && this._version.size === version.size && this._version.mtimeMs === version.mtimeMs);
+
+    if (this._count === null || !unchanged) {
+      await this._readLines();
+    }
+    return this._count;
+  }
+
+  /**
+   * Size and modification time of the spool file
+   * @private
+   * @returns {Promise<{size: number, mtimeMs: number}|null>} - Null if the file does not exist
+   */
+  async _stat() {
+    try {
+      const stats = await fs.promises.stat(this.file);
+      return { size: stats.size, mtimeMs: stats.mtimeMs };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Read non-empty lines of the spool file, refreshing the record count
+   * @private
+   * @returns {Promise<Array<string>>}
+   */
+  async _readLines() {
+    // Taken before reading, so a write landing in between makes the next _size() read again
+    this._version = await this._stat();
+    try {
+      const content = await fs.promises.readFile(this.file, 'utf8');
+      const lines = content.split('\n').filter(line => line.trim() !== '');
+      this._count = lines.length;
+      return lines;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this._count = 0;
+      return [];
+    }
+  }
+
+  /**
+   * Atomically replace the spool file contents
+   * @private
+   * @param {Array<string>} lines - NDJSON lines to keep
+   * @returns {Promise<void>}
+   */
+  async _writeLines(lines) {
+    if (lines.length === 0) {
+      try {
+        await fs.promises.unlink(this.file);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this._count = 0;
+      this._version = null;
+      return;
+    }
+
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, lines.join('\n') + '\n');
+    await fs.promises.rename(tmp, this.file);
+    this._count = lines.length;
+    this._version = await this._stat();
+  }
+}
+
+module.exports = OfflineQueue;
@@ -0,0 +1,148 @@
+/**
+ * StorageQueue - Persists undeliverable records in Web Storage for replay after a reload
+ * @module StorageQueue
+ */
+
+/**
+ * StorageQueue class storing records as a JSON array under one storage key
+ * Writes happen synchronously so records survive a page being unloaded right after enqueue().
+ */
+class StorageQueue {
+  /**
+   * Create a new StorageQueue
+   * @param {Object} options - Queue options
+   * @param {Storage} options.storage - Web Storage area such as window.localStorage
+   * @param {string} [options.key='consoletext-queue'] - Storage key
+   * @param {number} [options.maxRecords=1000] - Maximum records kept; the oldest are discarded beyond it
+   */
+  constructor(options = {}) {
+    if (!options.storage) {
+      throw new TypeError('StorageQueue: options.storage is required');
+    }
+
+    this.storage = options.storage;
+    this.key = options.key || 'consoletext-queue';
+    this.maxRecords = options.maxRecords || 1000;
+    this.dropped = 0;
+    this._pending = Promise.resolve();
+  }
+
+  /**
+   * Append records to the queue, trimming the oldest beyond maxRecords
+   * @param {Array<Object>} records - Records to persist
+   * @returns {Promise<void>} - Settles once written, rejects if the storage is full or unavailable
+   */
+  enqueue(records) {
+    try {
+      this.enqueueSync(records);
+      return Promise.resolve();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Append records immediately, for page unload handlers that cannot wait
+   * @param {Array<Object>} records - Records to persist
+   */
+  enqueueSync(records) {
+    if (records.length === 0) return;
+
+    const queued = this._read().concat(records);
+    if (queued.length > this.maxRecords) {
+      this.dropped += queued.length - this.maxRecords;
+      queued.splice(0, queued.length - this.maxRecords);
+    }
+    this._write(queued);
+  }
+
+  /**
+   * Read every queued record in insertion order without removing them
+   * @returns {Promise<Array<Object>>}
+   */
+  read() {
+    return Promise.resolve(this._read());
+  }
+
+  /**
+   * Number of queued records
+   * @returns {Promise<number>}
+   */
+  size() {
+    return Promise.resolve(this._read().length);
+  }
+
+  /**
+   * Replay queued records in order, removing each batch once it is delivered
+   * Stops at the first batch failing with a retryable error, leaving it and later records queued;
+   * batches failing otherwise are dropped and reported to onDrop.
+   * @param {Function} send - Async function receiving an array of records
+   * @param {number} [batchSize=10] - Records per send() call
+   * @param {Object} [options] - Drain options
+   * @param {Function} [options.isRetryable] - Receives a send() error, true to keep the batch for a later drain (default: always)
+   * @param {Function} [options.onDrop] - Receives the number of dropped records and the error that caused it
+   * @returns {Promise<number>} - Number of records delivered
+   */
+  drain(send, batchSize = 10, options = {}) {
+    const isRetryable = options.isRetryable || (() => true);
+    const onDrop = options.onDrop || (() => {});
+
+    const result = this._pending.then(async () => {
+      let delivered = 0;
+
+      for (let batch = this._read().slice(0, batchSize); batch.length > 0; batch = this._read().slice(0, batchSize)) {
+        try {
+          await send(batch);
+          delivered += batch.length;
+        } catch (error) {
+          if (isRetryable(error)) break;
+          onDrop(batch.length, error);
+        }
+        // Re-read so records enqueued while sending are kept
+        this._write(this._read().slice(batch.length));
+      }
+
+      return delivered;
+    });
+    this._pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Remove every queued record
+   * @returns {Promise<void>}
+   */
+  clear() {
+    this._write([]);
+    return Promise.resolve();
+  }
+
+  /**
+   * Parse the stored array, treating missing or corrupt data as empty
+   * @private
+   * @returns {Array<Object>}
+   */
+  _read() {
+    try {
+      const records = JSON.parse(this.storage.getItem(this.key));
+      return Array.isArray(records) ? records : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Replace the stored array
+   * @private
+   * @param {Array<Object>} records - Records to keep
+   */
+  _write(records) {
+    if (records.length === 0) {
+      this.storage.removeItem(this.key);
+    } else {
+      this.storage.setItem(this.key, JSON.stringify(records));
+    }
+  }
+}
+
+module.exports = StorageQueue;
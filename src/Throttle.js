@@ -0,0 +1,218 @@
+/**
+ * Throttle - Sampling, rate limiting and duplicate suppression for remote records
+ * @module Throttle
+ */
+
+/**
+ * Throttle class deciding which records reach the transports
+ */
+class Throttle {
+  /**
+   * Create a new Throttle
+   * @param {Object} options - Throttle options
+   * @param {Function} options.emit - Receives every record that passes
+   * @param {Object} [options.sampling] - Fraction of records kept per level, e.g. { debug: 0.1 }
+   * @param {Object} [options.rateLimit] - Token bucket: { rate, interval = 1000, burst = rate }
+   * @param {number} [options.dedupeWindow=0] - Milliseconds within which identical consecutive records are collapsed
+   * @param {number} [options.reportInterval=60000] - Milliseconds between reports of shed records (0 disables)
+   * @param {Function} [options.random=Math.random] - Random source used for sampling
+   * @param {Function} [options.now=Date.now] - Clock
+   */
+  constructor(options = {}) {
+    if (typeof options.emit !== 'function') {
+      throw new TypeError('Throttle: options.emit must be a function');
+    }
+
+    this.emit = options.emit;
+    this.sampling = options.sampling || {};
+    this.dedupeWindow = options.dedupeWindow || 0;
+    this.reportInterval = options.reportInterval != null ? options.reportInterval : 60000;
+    this.random = options.random || Math.random;
+    this.now = options.now || Date.now;
+
+    Object.keys(this.sampling).forEach(level => {
+      const rate = this.sampling[level];
+      if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+        throw new TypeError(`Throttle: sampling rate for "${level}" must be between 0 and 1`);
+      }
+    });
+
+    this.bucket = null;
+    if (options.rateLimit) {
+      const { rate, interval = 1000, burst = rate } = options.rateLimit;
+      if (!(rate > 0)) {
+        throw new TypeError('Throttle: rateLimit.rate must be a positive number');
+      }
+      this.bucket = { rate, interval, capacity: burst, tokens: burst, refilled: this.now() };
+    }
+
+    this.stats = { sampled: 0, rateLimited: 0, deduplicated: 0 };
+    this._unreported = { sampled: 0, rateLimited: 0, deduplicated: 0 };
+    this._last = null;
+    this._dedupeTimer = null;
+    this._reportTimer = null;
+  }
+
+  /**
+   * Offer a record; it is emitted unless deduplicated, sampled out or rate limited
+   * @param {Object} record - Log record
+   */
+  push(record) {
+    if (this.dedupeWindow > 0 && this._isDuplicate(record)) {
+      this._shed('deduplicated');
+      return;
+    }
+
+    const rate = this.sampling[record.level];
+    if (rate !== undefined && this.random() >= rate) {
+      this._shed('sampled');
+      return;
+    }
+
+    if (this.bucket && !this._takeToken()) {
+      this._shed('rateLimited');
+      return;
+    }
+
+    this.emit(record);
+  }
+
+  /**
+   * Emit the pending repeat summary, if any
+   */
+  flush() {
+    this._emitRepeats();
+  }
+
+  /**
+   * Emit pending records and stop all timers
+   */
+  stop() {
+    this.flush();
+    this.report();
+    if (this._reportTimer) {
+      clearInterval(this._reportTimer);
+      this._reportTimer = null;
+    }
+  }
+
+  /**
+   * Emit a warning record describing records shed since the last report
+   * @returns {boolean} - Whether a report was emitted
+   */
+  report() {
+    const shed = this._unreported;
+    const total = shed.sampled + shed.rateLimited + shed.deduplicated;
+    if (total === 0) return false;
+
+    this._unreported = { sampled: 0, rateLimited: 0, deduplicated: 0 };
+    this.emit({
+      level: 'warn',
+      message: `ConsoleText: shed ${total} record(s) (sampled: ${shed.sampled}, rate limited: ${shed.rateLimited}, deduplicated: ${shed.deduplicated})`,
+      timestamp: new Date(this.now()).toISOString(),
+      shed
+    });
+    return true;
+  }
+
+  /**
+   * Track identical consecutive records
+   * Repeats are summarized once per window, anchored at the first repeat, so a steady flood still produces a
+   * summary every dedupeWindow milliseconds. A repeat arriving more than dedupeWindow after the previous one
+   * starts over.
+   * @private
+   * @param {Object} record - Log record
+   * @returns {boolean} - True if the record repeats the previous one within the window
+   */
+  _isDuplicate(record) {
+    const key = `${record.level}\u0000${record.namespace || ''}\u0000${record.message}\u0000${JSON.stringify(record.context || null)}`;
+    const now = this.now();
+    const last = this._last;
+
+    if (last && last.key === key && now - last.time <= this.dedupeWindow) {
+      if (now - last.start >= this.dedupeWindow) {
+        this._emitRepeats();
+        last.start = now;
+      }
+      last.count++;
+      last.time = now;
+      this._armDedupeTimer(last.start + this.dedupeWindow - now);
+      return true;
+    }
+
+    this._emitRepeats();
+    this._last = { key, record, count: 0, start: now, time: now };
+    return false;
+  }
+
+  /**
+   * Emit a summary for collapsed repeats of the previous record
+   * @private
+   */
+  _emitRepeats() {
+    if (this._dedupeTimer) {
+      clearTimeout(this._dedupeTimer);
+      this._dedupeTimer = null;
+    }
+
+    const last = this._last;
+    if (!last || last.count === 0) return;
+
+    const repeated = last.count;
+    last.count = 0;
+    this.emit(Object.assign({}, last.record, {
+      message: `${last.record.message} (message repeated ${repeated} times)`,
+      timestamp: new Date(last.time).toISOString(),
+      repeated
+    }));
+  }
+
+  /**
+   * Emit the repeat summary when the current window closes
+   * @private
+   * @param {number} delay - Milliseconds until the window closes
+   */
+  _armDedupeTimer(delay) {
+    if (this._dedupeTimer) return;
+    this._dedupeTimer = setTimeout(() => {
+      this._dedupeTimer = null;
+      this._emitRepeats();
+    }, delay);
+    if (typeof this._dedupeTimer.unref === 'function') this._dedupeTimer.unref();
+  }
+
+  /**
+   * Refill the token bucket and take one token
+   * @private
+   * @returns {boolean} - Whether a token was available
+   */
+  _takeToken() {
+    const bucket = this.bucket;
+    const now = this.now();
+    const refill = ((now - bucket.refilled) / bucket.interval) * bucket.rate;
+
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + refill);
+    bucket.refilled = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Count a shed record and make sure it gets reported
+   * @private
+   * @param {string} reason - 'sampled', 'rateLimited' or 'deduplicated'
+   */
+  _shed(reason) {
+    this.stats[reason]++;
+    this._unreported[reason]++;
+
+    if (!this._reportTimer && this.reportInterval > 0) {
+      this._reportTimer = setInterval(() => this.report(), this.reportInterval);
+      if (typeof this._reportTimer.unref === 'function') this._reportTimer.unref();
+    }
+  }
+}
+
+module.exports = Throttle;
@@ -0,0 +1,312 @@
+/**
+ * Command line interface: `consoletext serve` runs a collector, `consoletext tail` prints stored records
+ * @module cli
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const Collector = require('./Collector');
+const { createColorizer } = require('./utils/colorizer');
+const { resolveLevels } = require('./utils/levels');
+const { formatRecord, createRecordFilter } = require('./utils/pretty');
+
+/**
+ * NDJSON file written by serve and read by tail
+ */
+const DEFAULT_FILE = 'consoletext.ndjson';
+
+/**
+ * Milliseconds between checks for appended records in follow mode
+ */
+const FOLLOW_INTERVAL = 250;
+
+const USAGE = `Usage: consoletext <command> [options]
+
+Commands:
+  serve               Receive records posted by ConsoleText and append them to an NDJSON file
+  tail [file]         Print records from an NDJSON file (default: ${DEFAULT_FILE})
+
+Options for serve:
+  --port <port>       Port to listen on (default: 4000)
+  --host <host>       Interface to listen on (default: 127.0.0.1)
+  --path <path>       Only accept batches posted to this path
+  --file <file>       File records are appended to (default: ${DEFAULT_FILE})
+  --api-key <key>     Required Bearer token (default: CONSOLETEXT_API_KEY)
+  --signing-secret <secret>
+                      Require signed requests (default: CONSOLETEXT_SIGNING_SECRET)
+  --quiet             Do not print received records
+
+Options for tail:
+  -n, --lines <n>     Records printed before following (default: 10)
+  -f, --follow        Keep printing records as they are appended
+  --level <level>     Minimum level, or a comma separated list of levels
+  --grep <text>       Only records whose message or context contains the text
+  --json              Print records as JSON lines
+
+  --no-color          Disable colors
+`;
+
+/**
+ * Options accepted by each command, with their types
+ */
+const COMMANDS = {
+  serve: { port: 'number', host: 'string', path: 'string', file: 'string', 'api-key': 'string', 'signing-secret': 'string', quiet: 'boolean', color: 'boolean' },
+  tail: { lines: 'number', follow: 'boolean', level: 'string', grep: 'string', json: 'boolean', color: 'boolean' }
+};
+
+/**
+ * Single-letter option aliases
+ */
+const ALIASES = { n: 'lines', f: 'follow' };
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {{command: string, options: Object, positionals: Array<string>}}
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!command || ['help', '--help', '-h'].includes(command)) {
+    return { command: 'help', options: {}, positionals: [] };
+  }
+
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new TypeError(`unknown command "${command}"`);
+  }
+
+  const options = {};
+  const positionals = [];
+  for (let i = 0; i < rest.length; i++) {
+    const match = /^--?([^=]+)(?:=(.*))?$/.exec(rest[i]);
+    if (!match) {
+      positionals.push(rest[i]);
+      continue;
+    }
+
+    const name = ALIASES[match[1]] || match[1];
+    if (name === 'help') {
+      return { command: 'help', options: {}, positionals: [] };
+    }
+    if (name.startsWith('no-') && spec[name.slice(3)] === 'boolean') {
+      options[name.slice(3)] = false;
+      continue;
+    }
+
+    const type = spec[name];
+    if (!type) {
+      throw new TypeError(`unknown option "${rest[i]}" for ${command}`);
+    }
+    if (type === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+
+    let value = match[2];
+    if (value === undefined) {
+      value = rest[++i];
+      if (value === undefined) {
+        throw new TypeError(`option --${name} requires a value`);
+      }
+    }
+    if (type === 'number') {
+      if (!/^\d+$/.test(value)) {
+        throw new TypeError(`option --${name} must be a non-negative integer, got "${value}"`);
+      }
+      value = Number(value);
+    }
+    options[name] = value;
+  }
+
+  return { command, options, positionals };
+}
+
+/**
+ * Run the collector until it is closed
+ * @private
+ * @param {Object} options - Parsed options
+ * @param {Object} io - { stdout, stderr, env }
+ * @returns {Promise<Collector>} - The listening collector
+ */
+async function serve(options, io) {
+  const colorizer = createColorizer({ colorLevel: options.color === false ? 0 : undefined, stream: io.stdout });
+  const file = path.resolve(options.file || DEFAULT_FILE);
+
+  const collector = new Collector({
+    port: options.port,
+    host: options.host,
+    path: options.path,
+    apiKey: options['api-key'] || io.env.CONSOLETEXT_API_KEY,
+    signingSecret: options['signing-secret'] || io.env.CONSOLETEXT_SIGNING_SECRET,
+    file,
+    onRecords: options.quiet ? null : records => {
+      records.forEach(record => io.stdout.write(formatRecord(record, colorizer) + '\n'));
+    },
+    onError: message => io.stderr.write(message + '\n')
+  });
+
+  const url = await collector.listen();
+  io.stdout.write(`Collecting logs at ${url}, appending to ${file}${collector.apiKey ? '' : ' (no API key required)'}\n`);
+  return collector;
+}
+
+/**
+ * Print the last records of an NDJSON file, then optionally follow it
+ * @private
+ * @param {Object} options - Parsed options
+ * @param {Array<string>} positionals - File name
+ * @param {Object} io - { stdout, stderr, env }
+ * @returns {Promise<Object|null>} - { close() } when following, otherwise null
+ */
+async function tail(options, positionals, io) {
+  const file = path.resolve(positionals[0] || DEFAULT_FILE);
+  const colorizer = createColorizer({ colorLevel: options.color === false ? 0 : undefined, stream: io.stdout });
+  const matches = createRecordFilter({
+    levels: options.level ? resolveLevels(options.level.includes(',') ? options.level.split(',').map(level => level.trim()) : options.level) : null,
+    grep: options.grep
+  });
+  const filtering = Boolean(options.level || options.grep);
+
+  // Lines that are not records are only shown when nothing is filtered
+  const format = line => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      return filtering || line.trim() === '' ? null : line;
+    }
+    if (!record || typeof record !== 'object' || !matches(record)) return null;
+    return options.json ? JSON.stringify(record) : formatRecord(record, colorizer);
+  };
+
+  const size = (await fs.promises.stat(file)).size;
+  const count = options.lines != null ? options.lines : 10;
+  const last = [];
+  if (size > 0 && count > 0) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file, { end: size - 1 }), crlfDelay: Infinity });
+    for await (const line of lines) {
+      const output = format(line);
+      if (output === null) continue;
+      last.push(output);
+      if (last.length > count) last.shift();
+    }
+  }
+  last.forEach(output => io.stdout.write(output + '\n'));
+
+  if (!options.follow) return null;
+  return follow(file, size, line => {
+    const output = format(line);
+    if (output !== null) io.stdout.write(output + '\n');
+  });
+}
+
+/**
+ * Watch a file for appended lines, starting over when it is truncated or replaced by rotation
+ * @private
+ * @param {string} file - File to watch
+ * @param {number} position - Byte offset already read
+ * @param {Function} onLine - Receives each complete appended line
+ * @returns {{close: Function}}
+ */
+function follow(file, position, onLine) {
+  let inode = null;
+  let decoder = new StringDecoder('utf8');
+  let remainder = '';
+  let reading = false;
+  let pending = false;
+
+  const check = () => {
+    if (reading) {
+      pending = true;
+      return;
+    }
+
+    fs.stat(file, (statError, stats) => {
+      // A rotated file may be missing for a moment
+      if (statError) return;
+
+      if ((inode !== null && stats.ino !== inode) || stats.size < position) {
+        position = 0;
+        decoder = new StringDecoder('utf8');
+        remainder = '';
+      }
+      inode = stats.ino;
+      if (stats.size === position) return;
+
+      reading = true;
+      const stream = fs.createReadStream(file, { start: position, end: stats.size - 1 });
+      stream.on('data', chunk => {
+        position += chunk.length;
+        const lines = (remainder + decoder.write(chunk)).split('\n');
+        remainder = lines.pop();
+        lines.forEach(onLine);
+      });
+      stream.on('close', () => {
+        reading = false;
+        if (pending) {
+          pending = false;
+          check();
+        }
+      });
+      stream.on('error', () => {});
+    });
+  };
+
+  fs.watchFile(file, { interval: FOLLOW_INTERVAL }, check);
+  check();
+
+  return {
+    close() {
+      fs.unwatchFile(file, check);
+    }
+  };
+}
+
+/**
+ * Run a command
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {Object} [io] - Streams and environment, for tests
+ * @param {stream.Writable} [io.stdout=process.stdout] - Output stream
+ * @param {stream.Writable} [io.stderr=process.stderr] - Error stream
+ * @param {Object} [io.env=process.env] - Environment variables
+ * @returns {Promise<number|Object>} - Exit code, or a handle with close() for commands that keep running
+ */
+async function run(argv, io = {}) {
+  io = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    env: io.env || process.env
+  };
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    io.stderr.write(`consoletext: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    if (parsed.command === 'help') {
+      io.stdout.write(USAGE);
+      return 0;
+    }
+    if (parsed.command === 'serve') {
+      return await serve(parsed.options, io);
+    }
+
+    const handle = await tail(parsed.options, parsed.positionals, io);
+    return handle || 0;
+  } catch (error) {
+    io.stderr.write(`consoletext: ${error.message.replace(/^ConsoleText: /, '')}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  DEFAULT_FILE
+};
@@ -0,0 +1,197 @@
+/**
+ * Request logging middleware for Node's http module, Express/Connect and Koa
+ * @module middleware
+ */
+
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const { runWithContext } = require('./utils/context');
+const { LOG_METHODS } = require('./utils/levels');
+const { DEFAULT_CENSOR } = require('./utils/redactor');
+
+/**
+ * Headers whose values never reach the logs when request headers are logged
+ */
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+
+/**
+ * Incoming request ids are only propagated when they look like ids, so they cannot inject text into logs
+ */
+const REQUEST_ID_PATTERN = /^[\w\-.:]{1,128}$/;
+
+/**
+ * Level of a request record by response status: error for 5xx, warn for 4xx, info otherwise
+ * @param {number} statusCode - Response status code
+ * @returns {string} - Log level
+ */
+function requestLevel(statusCode) {
+  if (statusCode >= 500) return 'error';
+  if (statusCode >= 400) return 'warn';
+  return 'info';
+}
+
+/**
+ * Generate a request id
+ * @private
+ * @returns {string}
+ */
+function generateRequestId() {
+  return typeof crypto.randomUUID === 'function' ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Normalize request logger options
+ * @private
+ * @param {Object} options - Options passed to a middleware factory
+ * @returns {Object}
+ */
+function resolveOptions(options) {
+  if (options.level != null && typeof options.level !== 'function') {
+    throw new TypeError('ConsoleText: requestLogger level must be a function of the status code');
+  }
+
+  return {
+    header: (options.header || 'x-request-id').toLowerCase(),
+    generateId: options.generateId || generateRequestId,
+    trustRequestId: options.trustRequestId !== false,
+    level: options.level || requestLevel,
+    headers: options.headers || false,
+    redactHeaders: (options.redactHeaders || SENSITIVE_HEADERS).map(name => name.toLowerCase())
+  };
+}
+
+/**
+ * Copy request headers for logging, censoring sensitive ones
+ * @private
+ * @param {Object} headers - Request headers
+ * @param {Object} options - Resolved options
+ * @param {string} censor - Replacement for censored values
+ * @returns {Object}
+ */
+function pickHeaders(headers, options, censor) {
+  const names = Array.isArray(options.headers) ? options.headers.map(name => name.toLowerCase()) : Object.keys(headers);
+  const picked = {};
+  names.forEach(name => {
+    if (headers[name] === undefined) return;
+    picked[name] = options.redactHeaders.includes(name) ? censor : headers[name];
+  });
+  return picked;
+}
+
+/**
+ * Assign a request id and log the request once its response has finished or the connection closed
+ * @private
+ * @param {ConsoleText} consoleText - Instance producing the records
+ * @param {Object} options - Resolved options
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {string} - Request id
+ */
+function trackRequest(consoleText, options, req, res) {
+  const incoming = req.headers[options.header];
+  const requestId = options.trustRequestId && typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : options.generateId(req);
+  res.setHeader(options.header, requestId);
+
+  const start = performance.now();
+  const method = req.method;
+  // Routers rewrite req.url while dispatching; originalUrl keeps what the client asked for
+  const url = req.originalUrl || req.url;
+
+  let logged = false;
+  const done = () => {
+    if (logged) return;
+    logged = true;
+    res.removeListener('finish', done);
+    res.removeListener('close', done);
+
+    const duration = Number((performance.now() - start).toFixed(3));
+    // 'close' before 'finish' means the client went away before the response was sent
+    const aborted = !res.writableFinished;
+    const statusCode = res.statusCode;
+
+    const details = {
+      req: { method, url },
+      res: { statusCode },
+      duration
+    };
+    if (req.headers['user-agent'] !== undefined) {
+      details.req.userAgent = req.headers['user-agent'];
+    }
+    if (res.getHeader('content-length') !== undefined) {
+      details.res.contentLength = Number(res.getHeader('content-length'));
+    }
+    if (options.headers) {
+      const censor = (consoleText.config.redact && consoleText.config.redact.censor) || DEFAULT_CENSOR;
+      details.req.headers = pickHeaders(req.headers, options, censor);
+    }
+    if (aborted) {
+      details.aborted = true;
+    }
+
+    let level = 'warn';
+    if (!aborted) {
+      // A level the logger has no method for falls back to the status code default
+      level = options.level(statusCode, req);
+      if (!LOG_METHODS.includes(level)) level = requestLevel(statusCode);
+    }
+    const message = `${method} ${url} ${aborted ? 'aborted' : statusCode} ${duration}ms`;
+    consoleText.child({ requestId })[level](message, details);
+  };
+  res.on('finish', done);
+  res.on('close', done);
+
+  return requestId;
+}
+
+/**
+ * Create request logging middleware for Express, Connect or a plain http server
+ * With http.createServer, call it with the handler as `next`:
+ * `(req, res) => logRequests(req, res, () => handler(req, res))`.
+ * @param {ConsoleText} consoleText - Instance producing the records
+ * @param {Object} [options] - Middleware options
+ * @param {string} [options.header='x-request-id'] - Header carrying the request id in both directions
+ * @param {Function} [options.generateId] - Returns a new request id, receives the request; random UUID by default
+ * @param {boolean} [options.trustRequestId=true] - Reuse a well-formed id sent by the client or a proxy
+ * @param {Function} [options.level] - Level for a status code; error for 5xx, warn for 4xx, info otherwise by default, and for unknown levels
+ * @param {boolean|Array<string>} [options.headers=false] - Log all request headers, or the listed ones
+ * @param {Array<string>} [options.redactHeaders] - Headers whose values are censored; authorization, cookies and API keys by default
+ * @returns {Function} - Middleware (req, res, next)
+ */
+function createRequestLogger(consoleText, options = {}) {
+  const resolved = resolveOptions(options);
+
+  return function requestLogger(req, res, next) {
+    const requestId = trackRequest(consoleText, resolved, req, res);
+    req.id = requestId;
+
+    // Everything logged by later middleware and the handler carries the id
+    return runWithContext({ requestId }, () => next());
+  };
+}
+
+/**
+ * Create request logging middleware for Koa
+ * The request id is also available as ctx.state.requestId.
+ * @param {ConsoleText} consoleText - Instance producing the records
+ * @param {Object} [options] - Same options as createRequestLogger()
+ * @returns {Function} - Middleware (ctx, next)
+ */
+function createKoaRequestLogger(consoleText, options = {}) {
+  const resolved = resolveOptions(options);
+
+  return function koaRequestLogger(ctx, next) {
+    const requestId = trackRequest(consoleText, resolved, ctx.req, ctx.res);
+    ctx.state.requestId = requestId;
+
+    return runWithContext({ requestId }, () => next());
+  };
+}
+
+module.exports = {
+  createRequestLogger,
+  createKoaRequestLogger,
+  requestLevel,
+  SENSITIVE_HEADERS
+};
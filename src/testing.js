@@ -0,0 +1,109 @@
+/**
+ * Helpers for asserting on console output in tests
+ * @module testing
+ */
+
+/* global expect, afterEach */
+
+const ConsoleCapture = require('./ConsoleCapture');
+const MemoryTransport = require('./transports/MemoryTransport');
+
+/**
+ * Start capturing the console
+ * @param {Object} [config] - ConsoleText options; endpoint and file are ignored
+ * @returns {ConsoleCapture}
+ */
+function captureConsole(config) {
+  return new ConsoleCapture(config);
+}
+
+/**
+ * Restore every capture that is still active
+ * @returns {Promise<void>}
+ */
+function restoreAll() {
+  return Promise.all(Array.from(ConsoleCapture.active, capture => capture.restore())).then(() => {});
+}
+
+/**
+ * Describe what a matcher looks for
+ * @private
+ * @param {string|Object} expected - Level name, or fields the record must have
+ * @param {string|RegExp} [message] - Substring of, or pattern for, the message
+ * @returns {string}
+ */
+function describeExpected(expected, message) {
+  const what = typeof expected === 'string' ? `a "${expected}" record` : `a record matching ${JSON.stringify(expected)}`;
+  if (message === undefined) return what;
+  return `${what} with message ${message instanceof RegExp ? `matching ${message}` : `containing "${message}"`}`;
+}
+
+/**
+ * Create a matcher asserting that a capture holds a matching record
+ * @private
+ * @param {string} name - Matcher name
+ * @param {string} property - 'logged' or 'sent'
+ * @param {string} verb - Past participle used in failure messages
+ * @returns {Function}
+ */
+function createRecordMatcher(name, property, verb) {
+  return function (received, expected, message) {
+    if (!(received instanceof ConsoleCapture)) {
+      throw new TypeError(`${name}() expects a capture created by captureConsole()`);
+    }
+    if (typeof expected !== 'string' && (!expected || typeof expected !== 'object')) {
+      throw new TypeError(`${name}() expects a level name or the fields of a record`);
+    }
+
+    const matches = record => {
+      if (typeof expected === 'string') {
+        if (record.level !== expected) return false;
+      } else if (!Object.keys(expected).every(key => this.equals(record[key], expected[key]))) {
+        return false;
+      }
+
+      if (message === undefined) return true;
+      if (message instanceof RegExp) return message.test(record.message);
+      return String(record.message).includes(message);
+    };
+
+    const records = received[property];
+    const pass = records.some(matches);
+    const listed = records.length > 0
+      ? records.map(record => `  ${record.level}: ${record.message}`).join('\n')
+      : '  (none)';
+
+    return {
+      pass,
+      message: () => `${this.utils.matcherHint(name, 'capture', undefined, { isNot: this.isNot })}\n\n` +
+        `Expected ${describeExpected(expected, message)} ${pass ? 'not ' : ''}to have been ${verb}.\n\n` +
+        `Records ${verb}:\n${listed}`
+    };
+  };
+}
+
+/**
+ * Jest matchers for captures
+ * toHaveLogged(level, message) covers every record logged, toHaveSentRemote(level, message) those
+ * handed to the transports. Instead of a level, an object lists fields the record must have.
+ */
+const matchers = {
+  toHaveLogged: createRecordMatcher('toHaveLogged', 'logged', 'logged'),
+  toHaveSentRemote: createRecordMatcher('toHaveSentRemote', 'sent', 'sent remotely')
+};
+
+// Inside Jest, register the matchers and restore leftover captures after each test
+if (typeof expect !== 'undefined' && typeof expect.extend === 'function') {
+  expect.extend(matchers);
+}
+if (typeof afterEach === 'function') {
+  afterEach(() => restoreAll());
+}
+
+module.exports = {
+  captureConsole,
+  restoreAll,
+  matchers,
+  ConsoleCapture,
+  MemoryTransport
+};
@@ -0,0 +1,273 @@
+/**
+ * BrowserTransport - Batched delivery of log records from a web page
+ * @module BrowserTransport
+ */
+
+const LogBuffer = require('../LogBuffer');
+const StorageQueue = require('../StorageQueue');
+const { retry, isRetryableError } = require('../utils/retry');
+
+/**
+ * Browsers reject keepalive requests whose bodies exceed 64 KiB in total
+ */
+const KEEPALIVE_LIMIT = 60000;
+
+/**
+ * Check whether the code runs in a page with fetch
+ * @returns {boolean}
+ */
+function isSupported() {
+  return typeof window !== 'undefined' && typeof window.document !== 'undefined' && typeof window.fetch === 'function';
+}
+
+/**
+ * BrowserTransport class posting batches with fetch and handing the rest to sendBeacon when the page is hidden
+ */
+class BrowserTransport {
+  /**
+   * Create a new BrowserTransport
+   * @param {Object} options - Transport options
+   * @param {string} options.endpoint - URL endpoint for remote logging
+   * @param {string} [options.apiKey] - API key sent as a Bearer token
+   * @param {Object} [options.headers] - Static headers added to every request
+   * @param {number} [options.timeout=10000] - Milliseconds before a request is aborted; 0 waits indefinitely
+   * @param {number} [options.batchSize=10] - Number of buffered records that triggers a send
+   * @param {number} [options.flushInterval=1000] - Milliseconds before a partial batch is sent
+   * @param {number} [options.maxBufferSize=1000] - Maximum number of records waiting for delivery
+   * @param {string} [options.dropPolicy='oldest'] - Record discarded when the buffer is full
+   * @param {number} [options.retries=3] - Retries for network errors and 5xx/429 responses
+   * @param {number} [options.retryDelay=500] - Base backoff delay in milliseconds
+   * @param {number} [options.retryMaxDelay=30000] - Maximum backoff delay in milliseconds
+   * @param {string} [options.storageKey='consoletext-queue'] - localStorage key for undeliverable records
+   * @param {number} [options.maxQueueSize=1000] - Maximum number of queued records
+   * @param {Window} [options.window=window] - Window whose fetch, navigator, storage and events are used
+   * @param {Function} [options.onError] - Receives delivery error messages
+   */
+  constructor(options = {}) {
+    if (!options.endpoint) {
+      throw new TypeError('BrowserTransport: options.endpoint is required');
+    }
+
+    this.endpoint = options.endpoint;
+    this.apiKey = options.apiKey || null;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout != null ? options.timeout : 10000;
+    this.batchSize = options.batchSize || 10;
+    this.retries = options.retries != null ? options.retries : 3;
+    this.retryDelay = options.retryDelay != null ? options.retryDelay : 500;
+    this.retryMaxDelay = options.retryMaxDelay != null ? options.retryMaxDelay : 30000;
+    this.window = options.window || (typeof window !== 'undefined' ? window : null);
+    this.onError = options.onError || (() => {});
+
+    if (!this.window || typeof this.window.fetch !== 'function') {
+      throw new TypeError('BrowserTransport: fetch is not available');
+    }
+
+    this.buffer = new LogBuffer({
+      send: records => this._postRecords(records),
+      batchSize: this.batchSize,
+      flushInterval: options.flushInterval,
+      maxBufferSize: options.maxBufferSize,
+      dropPolicy: options.dropPolicy
+    });
+
+    const storage = this._localStorage();
+    this.spool = storage
+      ? new StorageQueue({ storage, key: options.storageKey, maxRecords: options.maxQueueSize })
+      : null;
+
+    this._replay = null;
+
+    this._onVisibilityChange = () => {
+      if (this.window.document && this.window.document.visibilityState === 'hidden') this._unload();
+    };
+    this._onPageHide = () => this._unload();
+    this._onOnline = () => this.drainSpool();
+
+    this.window.addEventListener('visibilitychange', this._onVisibilityChange);
+    this.window.addEventListener('pagehide', this._onPageHide);
+    this.window.addEventListener('online', this._onOnline);
+  }
+
+  /**
+   * Queue a record for delivery
+   * @param {Object} record - Log record
+   */
+  log(record) {
+    this._startReplay();
+    this.buffer.push(record);
+  }
+
+  /**
+   * Send every buffered record
+   * @returns {Promise<void>} - Resolves once the buffered records have been delivered or queued
+   */
+  flush() {
+    return Promise.all([this._startReplay(), this.buffer.flush()]).then(() => {});
+  }
+
+  /**
+   * Flush buffered records, stop the flush timer and detach the page listeners
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.window.removeEventListener('visibilitychange', this._onVisibilityChange);
+    this.window.removeEventListener('pagehide', this._onPageHide);
+    this.window.removeEventListener('online', this._onOnline);
+    return this.flush().then(() => this.buffer.stop());
+  }
+
+  /**
+   * Replay queued records in order until the queue is empty or a send fails with a retryable error
+   * Records the server rejects are dropped and reported to onError.
+   * @returns {Promise<number>} - Number of records delivered
+   */
+  drainSpool() {
+    if (!this.spool) return Promise.resolve(0);
+
+    return this.spool.drain(records => this._post(records), this.batchSize, {
+      isRetryable: isRetryableError,
+      onDrop: (count, error) => this.onError(`ConsoleText: Dropped ${count} queued log(s): ${error.message}`)
+    });
+  }
+
+  /**
+   * Replay records left over from a previous page load, once per transport
+   * @private
+   * @returns {Promise<void>}
+   */
+  _startReplay() {
+    if (!this._replay) {
+      this._replay = this.drainSpool().catch(error => {
+        this.onError(`ConsoleText: Failed to replay queued logs: ${error.message}`);
+      });
+    }
+    return this._replay;
+  }
+
+  /**
+   * Deliver a batch, retrying transient failures and queueing what cannot be sent
+   * @private
+   * @param {Array<Object>} records - Records to deliver
+   * @returns {Promise<void>}
+   */
+  async _postRecords(records) {
+    try {
+      await retry(() => this._post(records), {
+        retries: this.retries,
+        minDelay: this.retryDelay,
+        maxDelay: this.retryMaxDelay
+      });
+    } catch (error) {
+      if (this.spool && isRetryableError(error)) {
+        await this.spool.enqueue(records).catch(queueError => {
+          this.onError(`ConsoleText: Failed to queue ${records.length} log(s): ${queueError.message}`);
+        });
+        return;
+      }
+      this.onError(`ConsoleText: Failed to send ${records.length} log(s): ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a batch of records with fetch; keepalive lets the request outlive the page
+   * @private
+   * @param {Array<Object>} records - Records to deliver
+   * @returns {Promise<void>}
+   */
+  async _post(records) {
+    const body = JSON.stringify(records);
+    const Controller = this.window.AbortController;
+    const controller = this.timeout > 0 && typeof Controller === 'function' ? new Controller() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+    let response;
+    try {
+      response = await this.window.fetch(this.endpoint, {
+        method: 'POST',
+        headers: this._headers(),
+        body,
+        keepalive: body.length <= KEEPALIVE_LIMIT,
+        signal: controller ? controller.signal : undefined
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      // Shaped like an axios error so isRetryableError can classify it
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = { status: response.status };
+      throw error;
+    }
+  }
+
+  /**
+   * Hand buffered records to the browser before the page goes away
+   * sendBeacon cannot carry headers, so keepalive fetch is used when an apiKey or custom headers are set.
+   * Records the browser refuses are queued in localStorage for the next page load.
+   * @private
+   */
+  _unload() {
+    const records = this.buffer.records.splice(0);
+    if (records.length === 0) return;
+
+    const body = JSON.stringify(records);
+    const navigator = this.window.navigator;
+    let handed = false;
+
+    const plain = !this.apiKey && Object.keys(this.headers).length === 0;
+    if (plain && navigator && typeof navigator.sendBeacon === 'function') {
+      try {
+        handed = navigator.sendBeacon(this.endpoint, new this.window.Blob([body], { type: 'application/json' }));
+      } catch (error) {
+        handed = false;
+      }
+    } else if (body.length <= KEEPALIVE_LIMIT) {
+      this.window.fetch(this.endpoint, { method: 'POST', headers: this._headers(), body, keepalive: true })
+        .catch(() => {});
+      handed = true;
+    }
+
+    if (!handed && this.spool) {
+      try {
+        this.spool.enqueueSync(records);
+      } catch (error) {
+        this.onError(`ConsoleText: Failed to queue ${records.length} log(s): ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Request headers
+   * @private
+   * @returns {Object}
+   */
+  _headers() {
+    const headers = Object.assign({}, this.headers, {
+      'Content-Type': 'application/json'
+    });
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Access localStorage, which throws in some privacy modes
+   * @private
+   * @returns {Storage|null}
+   */
+  _localStorage() {
+    try {
+      return this.window.localStorage || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+BrowserTransport.isSupported = isSupported;
+
+module.exports = BrowserTransport;
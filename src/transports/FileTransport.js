@@ -0,0 +1,278 @@
+/**
+ * FileTransport - Appends log records to a file as NDJSON, with optional rotation
+ * @module FileTransport
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+/**
+ * Supported time-based rotation intervals
+ */
+const INTERVALS = ['hourly', 'daily'];
+
+/**
+ * Format a date as a sortable UTC stamp for rotated file names
+ * @private
+ * @param {Date} date - Date to format
+ * @param {string} [interval] - Rotation interval; truncates the stamp to its period
+ * @returns {string}
+ */
+function formatStamp(date, interval) {
+  const iso = date.toISOString();
+  const day = iso.slice(0, 10).replace(/-/g, '');
+  if (interval === 'daily') return day;
+  if (interval === 'hourly') return `${day}-${iso.slice(11, 13)}`;
+  return `${day}-${iso.slice(11, 19).replace(/:/g, '')}`;
+}
+
+/**
+ * Suffix of rotated files: stamp, optional collision counter, optional .gz
+ */
+const ROTATED_SUFFIX = /^(\d{8}(?:-\d{2,6})?)(?:\.(\d+))?(?:\.gz)?$/;
+
+/**
+ * FileTransport class writing one JSON object per line through a write stream
+ */
+class FileTransport {
+  /**
+   * Create a new FileTransport
+   * @param {Object} options - Transport options
+   * @param {string} options.filename - Path of the log file, created if missing
+   * @param {number} [options.maxSize] - Rotate once the file would exceed this many bytes
+   * @param {string} [options.interval] - Rotate at UTC period boundaries ('hourly' or 'daily')
+   * @param {number} [options.maxFiles] - Number of rotated files to keep; older ones are deleted
+   * @param {boolean} [options.compress=false] - Gzip rotated files
+   * @param {Function} [options.onError] - Receives rotation error messages
+   */
+  constructor(options = {}) {
+    if (!options.filename) {
+      throw new TypeError('FileTransport: options.filename is required');
+    }
+    if (options.interval && !INTERVALS.includes(options.interval)) {
+      throw new TypeError(`FileTransport: unknown interval "${options.interval}"`);
+    }
+
+    this.filename = path.resolve(options.filename);
+    this.maxSize = options.maxSize || 0;
+    this.interval = options.interval || null;
+    this.maxFiles = options.maxFiles || 0;
+    this.compress = options.compress || false;
+    this.onError = options.onError || (() => {});
+
+    this.stream = null;
+    this.size = 0;
+    this.period = null;
+    this._tasks = new Set();
+    this._processing = Promise.resolve();
+  }
+
+  /**
+   * Append a record as a single JSON line, rotating first when a threshold is reached
+   * @param {Object} record - Log record
+   */
+  log(record) {
+    const line = JSON.stringify(record) + '\n';
+    const bytes = Buffer.byteLength(line);
+    const now = new Date();
+
+    if (this.stream && this._shouldRotate(bytes, now)) {
+      this.rotate();
+    }
+
+    this._open(now).write(line);
+    this.size += bytes;
+  }
+
+  /**
+   * Wait until every record written so far has reached the file and
+   * background compression and cleanup have finished
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const written = this.stream
+      ? new Promise((resolve, reject) => {
+        // An empty write is acknowledged only after the writes queued before it
+        this.stream.write('', error => (error ? reject(error) : resolve()));
+      })
+      : Promise.resolve();
+
+    return Promise.all([written, ...this._tasks]).then(() => {});
+  }
+
+  /**
+   * Flush and close the underlying stream
+   * @returns {Promise<void>}
+   */
+  close() {
+    const stream = this.stream;
+    this.stream = null;
+
+    const ended = stream ? new Promise(resolve => stream.end(resolve)) : Promise.resolve();
+    return Promise.all([ended, ...this._tasks]).then(() => {});
+  }
+
+  /**
+   * Move the current file aside and continue in a fresh one
+   * Pending writes of the old stream still land in the rotated file.
+   * @returns {string|null} - Path of the rotated file, or null if nothing was written yet
+   */
+  rotate() {
+    if (!this.stream) return null;
+
+    const rotated = this._rotatedName();
+    const stream = this.stream;
+    this.stream = null;
+
+    try {
+      fs.renameSync(this.filename, rotated);
+    } catch (error) {
+      this.onError(`ConsoleText: Failed to rotate ${this.filename}: ${error.message}`);
+      this.stream = stream;
+      return null;
+    }
+
+    const ended = new Promise(resolve => stream.end(resolve));
+
+    // Rotated files are compressed and pruned one at a time, oldest first
+    this._processing = this._processing
+      .then(() => ended)
+      .then(() => (this.compress ? this._compress(rotated) : null))
+      .then(() => this._prune())
+      .catch(error => {
+        this.onError(`ConsoleText: Failed to process rotated log ${rotated}: ${error.message}`);
+      });
+    this._track(this._processing);
+
+    return rotated;
+  }
+
+  /**
+   * List rotated files belonging to this transport, oldest first
+   * @returns {Array<string>} - Absolute paths
+   */
+  listRotated() {
+    const dir = path.dirname(this.filename);
+    const prefix = `${path.basename(this.filename)}.`;
+
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch (error) {
+      return [];
+    }
+
+    return names
+      .filter(name => name.startsWith(prefix))
+      .map(name => ({ name, match: ROTATED_SUFFIX.exec(name.slice(prefix.length)) }))
+      .filter(entry => entry.match)
+      .sort((a, b) => {
+        if (a.match[1] !== b.match[1]) return a.match[1] < b.match[1] ? -1 : 1;
+        return Number(a.match[2] || 0) - Number(b.match[2] || 0);
+      })
+      .map(entry => path.join(dir, entry.name));
+  }
+
+  /**
+   * Check the size and time thresholds
+   * @private
+   * @param {number} bytes - Size of the next line
+   * @param {Date} now - Time of the next line
+   * @returns {boolean}
+   */
+  _shouldRotate(bytes, now) {
+    if (this.maxSize && this.size > 0 && this.size + bytes > this.maxSize) return true;
+    return Boolean(this.interval) && formatStamp(now, this.interval) !== this.period;
+  }
+
+  /**
+   * Pick an unused name for the file being rotated
+   * @private
+   * @returns {string}
+   */
+  _rotatedName() {
+    const base = `${this.filename}.${this.interval ? this.period : formatStamp(new Date())}`;
+    const taken = name => fs.existsSync(name) || fs.existsSync(`${name}.gz`);
+
+    let candidate = base;
+    for (let n = 1; taken(candidate); n++) {
+      candidate = `${base}.${n}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Lazily open the append stream
+   * @private
+   * @param {Date} now - Time of the record being written
+   * @returns {fs.WriteStream}
+   */
+  _open(now) {
+    if (!this.stream) {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+
+      let stat = null;
+      try {
+        stat = fs.statSync(this.filename);
+      } catch (error) {
+        // A missing file starts empty
+      }
+
+      this.size = stat ? stat.size : 0;
+      // An existing file keeps the period it was last written in
+      this.period = this.interval ? formatStamp(stat ? stat.mtime : now, this.interval) : null;
+      // Open synchronously so the file exists before any rotation renames it
+      this.stream = fs.createWriteStream(null, { fd: fs.openSync(this.filename, 'a') });
+      this.stream.on('error', error => {
+        this.onError(`ConsoleText: Failed to write ${this.filename}: ${error.message}`);
+      });
+    }
+    return this.stream;
+  }
+
+  /**
+   * Gzip a rotated file and remove the uncompressed copy
+   * @private
+   * @param {string} file - Rotated file
+   * @returns {Promise<void>}
+   */
+  _compress(file) {
+    return new Promise((resolve, reject) => {
+      pipeline(
+        fs.createReadStream(file),
+        zlib.createGzip(),
+        fs.createWriteStream(`${file}.gz`),
+        error => (error ? reject(error) : resolve())
+      );
+    }).then(() => fs.promises.unlink(file));
+  }
+
+  /**
+   * Delete rotated files beyond the retention count
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _prune() {
+    if (!this.maxFiles) return;
+
+    const rotated = this.listRotated();
+    const expired = rotated.slice(0, Math.max(0, rotated.length - this.maxFiles));
+    await Promise.all(expired.map(file => fs.promises.unlink(file).catch(() => {})));
+  }
+
+  /**
+   * Keep track of a background task until it settles
+   * @private
+   * @param {Promise} task - Background task
+   */
+  _track(task) {
+    this._tasks.add(task);
+    task.then(() => this._tasks.delete(task));
+  }
+}
+
+FileTransport.INTERVALS = INTERVALS;
+
+module.exports = FileTransport;
@@ -0,0 +1,216 @@
+/**
+ * HttpTransport - Batched delivery of log records to a remote HTTP endpoint
+ * @module HttpTransport
+ */
+
+const zlib = require('zlib');
+const util = require('util');
+const axios = require('axios');
+const LogBuffer = require('../LogBuffer');
+const OfflineQueue = require('../OfflineQueue');
+const { retry, isRetryableError } = require('../utils/retry');
+const { signPayload } = require('../utils/signing');
+
+/**
+ * Supported Content-Encoding values and their compressors; none in browser bundles, where zlib is an empty module
+ */
+const COMPRESSORS = typeof zlib.gzip === 'function' ? {
+  gzip: util.promisify(zlib.gzip),
+  deflate: util.promisify(zlib.deflate)
+} : {};
+
+/**
+ * HttpTransport class posting batches of records as JSON arrays
+ */
+class HttpTransport {
+  /**
+   * Create a new HttpTransport
+   * @param {Object} options - Transport options
+   * @param {string} options.endpoint - URL endpoint for remote logging
+   * @param {string} [options.apiKey] - API key sent as a Bearer token
+   * @param {Object} [options.headers] - Static headers added to every request
+   * @param {string} [options.signingSecret] - Secret for the HMAC-SHA256 signature and timestamp headers
+   * @param {string} [options.compression] - Content-Encoding of large bodies: 'gzip' or 'deflate'
+   * @param {number} [options.compressionThreshold=1024] - Bodies of at least this many bytes are compressed
+   * @param {number} [options.timeout=10000] - Milliseconds before a request is aborted; 0 waits indefinitely
+   * @param {number} [options.batchSize=10] - Number of buffered records that triggers a send
+   * @param {number} [options.flushInterval=1000] - Milliseconds before a partial batch is sent
+   * @param {number} [options.maxBufferSize=1000] - Maximum number of records waiting for delivery
+   * @param {string} [options.dropPolicy='oldest'] - Record discarded when the buffer is full
+   * @param {number} [options.retries=3] - Retries for network errors and 5xx/429 responses
+   * @param {number} [options.retryDelay=500] - Base backoff delay in milliseconds
+   * @param {number} [options.retryMaxDelay=30000] - Maximum backoff delay in milliseconds
+   * @param {string} [options.spoolDir] - Directory where undeliverable records are persisted
+   * @param {number} [options.maxSpoolSize=10000] - Maximum number of spooled records
+   * @param {Function} [options.onError] - Receives delivery error messages
+   */
+  constructor(options = {}) {
+    if (!options.endpoint) {
+      throw new TypeError('HttpTransport: options.endpoint is required');
+    }
+
+    if (options.compression && !COMPRESSORS[options.compression]) {
+      throw new TypeError(`HttpTransport: unknown compression "${options.compression}"`);
+    }
+
+    this.endpoint = options.endpoint;
+    this.apiKey = options.apiKey || null;
+    this.headers = options.headers || {};
+    this.signingSecret = options.signingSecret || null;
+    this.compression = options.compression || null;
+    this.compressionThreshold = options.compressionThreshold != null ? options.compressionThreshold : 1024;
+    this.timeout = options.timeout != null ? options.timeout : 10000;
+    this.batchSize = options.batchSize || 10;
+    this.retries = options.retries != null ? options.retries : 3;
+    this.retryDelay = options.retryDelay != null ? options.retryDelay : 500;
+    this.retryMaxDelay = options.retryMaxDelay != null ? options.retryMaxDelay : 30000;
+    this.onError = options.onError || (() => {});
+
+    this.buffer = new LogBuffer({
+      send: records => this._postRecords(records),
+      batchSize: this.batchSize,
+      flushInterval: options.flushInterval,
+      maxBufferSize: options.maxBufferSize,
+      dropPolicy: options.dropPolicy
+    });
+
+    this.spool = options.spoolDir
+      ? new OfflineQueue({ dir: options.spoolDir, maxRecords: options.maxSpoolSize })
+      : null;
+
+    this._replay = null;
+  }
+
+  /**
+   * Queue a record for delivery
+   * @param {Object} record - Log record
+   */
+  log(record) {
+    this._startReplay();
+    this.buffer.push(record);
+  }
+
+  /**
+   * Send every buffered record
+   * @returns {Promise<void>} - Resolves once the buffered records have been delivered
+   */
+  flush() {
+    return Promise.all([this._startReplay(), this.buffer.flush()]).then(() => {});
+  }
+
+  /**
+   * Flush buffered records and stop the flush timer
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.flush().then(() => this.buffer.stop());
+  }
+
+  /**
+   * Replay spooled records in order until the spool is empty or a send fails with a retryable error
+   * Records the server rejects or that cannot be parsed are dropped and reported to onError.
+   * @returns {Promise<number>} - Number of records delivered
+   */
+  drainSpool() {
+    if (!this.spool) return Promise.resolve(0);
+
+    return this.spool.drain(records => this._post(records), this.batchSize, {
+      isRetryable: isRetryableError,
+      onDrop: (count, error) => this.onError(`ConsoleText: Dropped ${count} spooled log(s): ${error.message}`)
+    });
+  }
+
+  /**
+   * Replay records left over from a previous run, once per transport
+   * @private
+   * @returns {Promise<void>}
+   */
+  _startReplay() {
+    if (!this._replay) {
+      this._replay = this.drainSpool().catch(error => {
+        this.onError(`ConsoleText: Failed to replay spooled logs: ${error.message}`);
+      });
+    }
+    return this._replay;
+  }
+
+  /**
+   * Deliver a batch, retrying transient failures and spooling what cannot be sent
+   * @private
+   * @param {Array<Object>} records - Records to deliver
+   * @returns {Promise<void>}
+   */
+  async _postRecords(records) {
+    try {
+      if (this.spool && await this.spool.size() > 0) {
+        // Older spooled records must reach the server first; new ones wait behind
+        // them only while the endpoint is unreachable
+        await this.drainSpool();
+        if (await this.spool.size() > 0) {
+          await this.spool.enqueue(records);
+          return;
+        }
+      }
+
+      await retry(() => this._post(records), {
+        retries: this.retries,
+        minDelay: this.retryDelay,
+        maxDelay: this.retryMaxDelay
+      });
+    } catch (error) {
+      if (this.spool && isRetryableError(error)) {
+        await this.spool.enqueue(records).catch(spoolError => {
+          this.onError(`ConsoleText: Failed to spool ${records.length} log(s): ${spoolError.message}`);
+        });
+        return;
+      }
+      this.onError(`ConsoleText: Failed to send ${records.length} log(s): ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a batch of records to the server as a single array payload
+   * Signing covers the uncompressed body and is redone on every attempt, so retries carry a fresh timestamp.
+   * @private
+   * @param {Array<Object>} records - Records to deliver
+   * @returns {Promise<void>}
+   */
+  async _post(records) {
+    const headers = Object.assign({}, this.headers, {
+      'Content-Type': 'application/json'
+    });
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const payload = this._encode(records);
+    let data = payload;
+    if (this.signingSecret || this.compression) {
+      const body = JSON.stringify(payload);
+      data = body;
+
+      if (this.signingSecret) {
+        Object.assign(headers, signPayload(body, this.signingSecret));
+      }
+      if (this.compression && Buffer.byteLength(body) >= this.compressionThreshold) {
+        data = await COMPRESSORS[this.compression](body);
+        headers['Content-Encoding'] = this.compression;
+      }
+    }
+
+    await axios.post(this.endpoint, data, { headers, timeout: this.timeout });
+  }
+
+  /**
+   * Build the request payload of a batch; subclasses posting other formats override it
+   * @private
+   * @param {Array<Object>} records - Records to deliver
+   * @returns {any} - Value serialized as the JSON body
+   */
+  _encode(records) {
+    return records;
+  }
+}
+
+module.exports = HttpTransport;
@@ -0,0 +1,39 @@
+/**
+ * MemoryTransport - Keeps log records in an array, for tests and inspection
+ * @module MemoryTransport
+ */
+
+/**
+ * MemoryTransport class collecting every record it receives
+ */
+class MemoryTransport {
+  /**
+   * Create a new MemoryTransport
+   * @param {Object} [options] - Transport options
+   * @param {number} [options.maxRecords=Infinity] - Records kept; the oldest are discarded beyond it
+   */
+  constructor(options = {}) {
+    this.maxRecords = options.maxRecords || Infinity;
+    this.records = [];
+  }
+
+  /**
+   * Keep a record
+   * @param {Object} record - Log record
+   */
+  log(record) {
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) {
+      this.records.shift();
+    }
+  }
+
+  /**
+   * Forget every kept record
+   */
+  clear() {
+    this.records = [];
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,175 @@
+/**
+ * OtlpTransport - Export of log records to an OpenTelemetry collector over OTLP/HTTP with JSON encoding
+ * @module OtlpTransport
+ */
+
+const os = require('os');
+const HttpTransport = require('./HttpTransport');
+const { version } = require('../../package.json');
+
+/**
+ * Default logs endpoint of an OpenTelemetry collector
+ */
+const DEFAULT_ENDPOINT = 'http://localhost:4318/v1/logs';
+
+/**
+ * OpenTelemetry severity numbers by ConsoleText level
+ * debug is DEBUG, log and info are INFO, text is INFO2, warn is WARN and error is ERROR.
+ */
+const SEVERITY_NUMBERS = {
+  debug: 5,
+  log: 9,
+  info: 9,
+  text: 10,
+  warn: 13,
+  error: 17
+};
+
+/**
+ * Context keys carrying the trace and span ids of a record, in order of preference
+ */
+const TRACE_KEYS = ['traceId', 'trace_id'];
+const SPAN_KEYS = ['spanId', 'span_id'];
+
+/**
+ * Encode a value as an OTLP AnyValue
+ * @param {any} value - Serialized value
+ * @returns {Object}
+ */
+function toAnyValue(value) {
+  if (value === null || value === undefined) return {};
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    // 64-bit integers are strings in the JSON encoding
+    return Number.isSafeInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (typeof value === 'object') return { kvlistValue: { values: toAttributes(value) } };
+  return { stringValue: String(value) };
+}
+
+/**
+ * Encode an object as a list of OTLP KeyValue attributes
+ * @param {Object} object - Attribute values by key
+ * @returns {Array<Object>}
+ */
+function toAttributes(object) {
+  return Object.keys(object)
+    .filter(key => object[key] !== undefined)
+    .map(key => ({ key, value: toAnyValue(object[key]) }));
+}
+
+/**
+ * Read a hex id of the given length from the first matching context key
+ * @private
+ * @param {Object} context - Record context
+ * @param {Array<string>} keys - Candidate keys
+ * @param {number} length - Number of hex digits
+ * @returns {{key: string, id: string}|null}
+ */
+function findId(context, keys, length) {
+  const pattern = new RegExp(`^[0-9a-f]{${length}}$`, 'i');
+  const key = keys.find(candidate => typeof context[candidate] === 'string' && pattern.test(context[candidate]));
+  return key ? { key, id: context[key].toLowerCase() } : null;
+}
+
+/**
+ * Convert an ISO timestamp to nanoseconds since the epoch
+ * @private
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {string}
+ */
+function toUnixNano(timestamp) {
+  const millis = Date.parse(timestamp);
+  return Number.isNaN(millis) ? '0' : (BigInt(millis) * 1000000n).toString();
+}
+
+/**
+ * Convert a ConsoleText record to an OTLP LogRecord
+ * Context becomes attributes, except trace and span ids which fill their own fields.
+ * @param {Object} record - Log record
+ * @returns {Object}
+ */
+function toLogRecord(record) {
+  const context = Object.assign({}, record.context);
+  const trace = findId(context, TRACE_KEYS, 32);
+  const span = findId(context, SPAN_KEYS, 16);
+  if (trace) delete context[trace.key];
+  if (span) delete context[span.key];
+
+  if (record.namespace) {
+    context['consoletext.namespace'] = record.namespace;
+  }
+  if (record.error) {
+    context['exception.type'] = record.error.name;
+    context['exception.message'] = record.error.message;
+    context['exception.stacktrace'] = record.error.stack;
+  }
+  if (record.history) {
+    context['consoletext.history'] = record.history.map(entry => `${entry.timestamp} ${entry.level} ${entry.message}`);
+  }
+
+  const timeUnixNano = toUnixNano(record.timestamp);
+  const logRecord = {
+    timeUnixNano,
+    observedTimeUnixNano: timeUnixNano,
+    severityNumber: SEVERITY_NUMBERS[record.level] || SEVERITY_NUMBERS.info,
+    severityText: String(record.level).toUpperCase(),
+    body: { stringValue: String(record.message) },
+    attributes: toAttributes(context)
+  };
+  if (trace) logRecord.traceId = trace.id;
+  if (span) logRecord.spanId = span.id;
+  return logRecord;
+}
+
+/**
+ * OtlpTransport class posting batches as OTLP ExportLogsServiceRequest JSON
+ * Batching, retries, spooling, signing, compression, headers and timeouts work as in HttpTransport.
+ */
+class OtlpTransport extends HttpTransport {
+  /**
+   * Create a new OtlpTransport
+   * @param {Object} [options] - Transport options, plus those of HttpTransport
+   * @param {string} [options.endpoint='http://localhost:4318/v1/logs'] - OTLP/HTTP logs endpoint
+   * @param {string} [options.serviceName] - service.name resource attribute; OTEL_SERVICE_NAME or 'unknown_service:node' by default
+   * @param {Object} [options.resource] - Additional resource attributes, such as { 'deployment.environment': 'prod' }
+   */
+  constructor(options = {}) {
+    super(Object.assign({}, options, { endpoint: options.endpoint || DEFAULT_ENDPOINT }));
+
+    this.resource = {
+      attributes: toAttributes(Object.assign({
+        'service.name': options.serviceName || process.env.OTEL_SERVICE_NAME || 'unknown_service:node',
+        'host.name': os.hostname(),
+        'process.pid': process.pid,
+        'process.runtime.name': 'nodejs',
+        'process.runtime.version': process.versions.node
+      }, options.resource))
+    };
+  }
+
+  /**
+   * Wrap a batch in a single resource and instrumentation scope
+   * @private
+   * @param {Array<Object>} records - Records to deliver
+   * @returns {Object} - ExportLogsServiceRequest
+   */
+  _encode(records) {
+    return {
+      resourceLogs: [{
+        resource: this.resource,
+        scopeLogs: [{
+          scope: { name: 'consoletext', version },
+          logRecords: records.map(toLogRecord)
+        }]
+      }]
+    };
+  }
+}
+
+OtlpTransport.toLogRecord = toLogRecord;
+OtlpTransport.SEVERITY_NUMBERS = SEVERITY_NUMBERS;
+
+module.exports = OtlpTransport;
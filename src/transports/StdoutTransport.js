@@ -0,0 +1,28 @@
+/**
+ * StdoutTransport - Writes log records to a stream as NDJSON
+ * @module StdoutTransport
+ */
+
+/**
+ * StdoutTransport class emitting one JSON object per line
+ */
+class StdoutTransport {
+  /**
+   * Create a new StdoutTransport
+   * @param {Object} [options] - Transport options
+   * @param {stream.Writable} [options.stream=process.stdout] - Destination stream
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stdout;
+  }
+
+  /**
+   * Write a record as a single JSON line
+   * @param {Object} record - Log record
+   */
+  log(record) {
+    this.stream.write(JSON.stringify(record) + '\n');
+  }
+}
+
+module.exports = StdoutTransport;
@@ -0,0 +1,306 @@
+/**
+ * SyslogTransport - Delivery of log records as RFC 5424 syslog messages over UDP or TCP
+ * @module SyslogTransport
+ */
+
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const dgram = require('dgram');
+
+/**
+ * Syslog severities by ConsoleText level
+ * debug is Debug, log and info are Informational, text is Notice, warn is Warning and error is Error.
+ */
+const SEVERITIES = {
+  debug: 7,
+  log: 6,
+  info: 6,
+  text: 5,
+  warn: 4,
+  error: 3
+};
+
+/**
+ * Facility names and codes
+ */
+const FACILITIES = {
+  kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+  uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+/**
+ * Default ports: 514 for UDP (RFC 5426) and 601 for TCP (RFC 6587)
+ */
+const DEFAULT_PORTS = { udp: 514, tcp: 601 };
+
+/**
+ * Structured data id of the record context, under the enterprise number reserved for documentation
+ */
+const DEFAULT_SD_ID = 'context@32473';
+
+/**
+ * Make a header field printable US-ASCII without spaces, as RFC 5424 requires
+ * @private
+ * @param {any} value - Field value
+ * @param {number} maxLength - Longest allowed field
+ * @returns {string} - The field, or '-' when empty
+ */
+function headerField(value, maxLength) {
+  const text = value == null ? '' : String(value).replace(/[^\x21-\x7e]/g, '_').slice(0, maxLength);
+  return text || '-';
+}
+
+/**
+ * Make a structured data parameter name valid: no '=', space, ']' or '"', at most 32 characters
+ * @private
+ * @param {string} name - Parameter name
+ * @returns {string}
+ */
+function paramName(name) {
+  return headerField(name.replace(/[=\]"]/g, '_'), 32);
+}
+
+/**
+ * Escape a structured data parameter value
+ * @private
+ * @param {any} value - Parameter value
+ * @returns {string}
+ */
+function paramValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return String(text).replace(/["\\\]]/g, match => `\\${match}`);
+}
+
+/**
+ * Parse a syslog URL such as 'udp://logs.internal:514' or 'tcp://127.0.0.1:601'
+ * @private
+ * @param {string} url - Syslog URL
+ * @returns {{protocol: string, host: string, port: number}}
+ */
+function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new TypeError(`SyslogTransport: invalid url "${url}"`);
+  }
+
+  const protocol = parsed.protocol.slice(0, -1);
+  if (!DEFAULT_PORTS[protocol]) {
+    throw new TypeError(`SyslogTransport: url must start with udp:// or tcp://, got "${url}"`);
+  }
+  return {
+    protocol,
+    host: parsed.hostname.replace(/^\[|\]$/g, ''),
+    port: parsed.port ? Number(parsed.port) : DEFAULT_PORTS[protocol]
+  };
+}
+
+/**
+ * SyslogTransport class sending one RFC 5424 message per record
+ */
+class SyslogTransport {
+  /**
+   * Create a new SyslogTransport
+   * @param {Object} [options] - Transport options
+   * @param {string} [options.url] - Server as 'udp://host:port' or 'tcp://host:port', instead of protocol, host and port
+   * @param {string} [options.protocol='udp'] - 'udp' or 'tcp'
+   * @param {string} [options.host='127.0.0.1'] - Syslog server
+   * @param {number} [options.port] - 514 for UDP, 601 for TCP by default
+   * @param {string|number} [options.facility='user'] - Facility name or code
+   * @param {string} [options.appName] - APP-NAME field; the script name by default
+   * @param {string} [options.hostname] - HOSTNAME field; os.hostname() by default
+   * @param {string} [options.sdId='context@32473'] - Structured data id of the record context; null leaves context out
+   * @param {string} [options.framing='octet-counting'] - TCP framing: 'octet-counting' or 'newline'
+   * @param {number} [options.maxMessageSize=2048] - UDP datagrams are truncated to this many bytes
+   * @param {Function} [options.onError] - Receives delivery error messages
+   */
+  constructor(options = {}) {
+    const target = options.url ? parseUrl(options.url) : {};
+    this.protocol = target.protocol || options.protocol || 'udp';
+    if (!DEFAULT_PORTS[this.protocol]) {
+      throw new TypeError(`SyslogTransport: unknown protocol "${this.protocol}"`);
+    }
+
+    const facility = typeof options.facility === 'string' ? FACILITIES[options.facility] : options.facility;
+    if (facility === undefined && options.facility !== undefined) {
+      throw new TypeError(`SyslogTransport: unknown facility "${options.facility}"`);
+    }
+    if (options.framing && !['octet-counting', 'newline'].includes(options.framing)) {
+      throw new TypeError(`SyslogTransport: unknown framing "${options.framing}"`);
+    }
+
+    this.host = target.host || options.host || '127.0.0.1';
+    this.port = target.port || options.port || DEFAULT_PORTS[this.protocol];
+    this.facility = facility !== undefined ? facility : FACILITIES.user;
+    this.appName = headerField(options.appName || (process.argv[1] ? path.basename(process.argv[1], '.js') : 'node'), 48);
+    this.hostname = headerField(options.hostname || os.hostname(), 255);
+    this.sdId = options.sdId !== undefined ? options.sdId : DEFAULT_SD_ID;
+    this.framing = options.framing || 'octet-counting';
+    this.maxMessageSize = options.maxMessageSize || 2048;
+    this.onError = options.onError || (() => {});
+
+    this.socket = null;
+    this.unsettled = null;
+    this.pending = new Set();
+  }
+
+  /**
+   * Send a record
+   * @param {Object} record - Log record
+   */
+  log(record) {
+    const message = Buffer.from(this.format(record));
+    const sent = (this.protocol === 'udp' ? this._sendDatagram(message) : this._sendStream(message))
+      .catch(error => this.onError(`ConsoleText: Failed to send log to syslog ${this.host}:${this.port}: ${error.message}`));
+
+    this.pending.add(sent);
+    sent.then(() => this.pending.delete(sent));
+  }
+
+  /**
+   * Format a record as an RFC 5424 message
+   * @param {Object} record - Log record
+   * @returns {string} - Such as '<14>1 2026-10-19T12:30:05.123Z web-1 api 4242 db [context@32473 requestId="r1"] connected'
+   */
+  format(record) {
+    const severity = SEVERITIES[record.level] !== undefined ? SEVERITIES[record.level] : SEVERITIES.info;
+    const header = [
+      `<${this.facility * 8 + severity}>1`,
+      headerField(record.timestamp, 32),
+      this.hostname,
+      this.appName,
+      headerField(process.pid, 128),
+      headerField(record.namespace, 32)
+    ].join(' ');
+
+    let message = String(record.message);
+    if (record.error && typeof record.error.stack === 'string') {
+      // The first stack line repeats the message
+      const frames = record.error.stack.split('\n').slice(1);
+      if (frames.length > 0) message += '\n' + frames.join('\n');
+    }
+    return `${header} ${this._structuredData(record.context)} ${message}`;
+  }
+
+  /**
+   * Wait until every record logged so far has been handed to the network
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return Promise.all(Array.from(this.pending)).then(() => {});
+  }
+
+  /**
+   * Flush and close the socket
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.flush().then(() => {
+      const socket = this.socket;
+      this.socket = null;
+      if (!socket) return undefined;
+
+      return new Promise(resolve => {
+        if (this.protocol === 'udp') {
+          socket.close(() => resolve());
+        } else if (socket.destroyed) {
+          resolve();
+        } else {
+          socket.end(() => resolve());
+        }
+      });
+    });
+  }
+
+  /**
+   * Encode the record context as one structured data element
+   * @private
+   * @param {Object} [context] - Record context
+   * @returns {string} - Element, or '-' when there is nothing to send
+   */
+  _structuredData(context) {
+    if (!this.sdId || !context || Object.keys(context).length === 0) return '-';
+
+    const params = Object.keys(context)
+      .filter(key => context[key] !== undefined)
+      .map(key => `${paramName(key)}="${paramValue(context[key])}"`);
+    return `[${headerField(this.sdId, 32)}${params.length ? ' ' + params.join(' ') : ''}]`;
+  }
+
+  /**
+   * Send a message as a single datagram
+   * @private
+   * @param {Buffer} message - Formatted message
+   * @returns {Promise<void>}
+   */
+  _sendDatagram(message) {
+    if (!this.socket) {
+      this.socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+      this.socket.on('error', error => this.onError(`ConsoleText: Syslog socket error: ${error.message}`));
+      this.socket.unref();
+    }
+
+    const datagram = message.length > this.maxMessageSize ? message.subarray(0, this.maxMessageSize) : message;
+    return new Promise((resolve, reject) => {
+      this.socket.send(datagram, this.port, this.host, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Write a framed message to the TCP connection, connecting first when needed
+   * @private
+   * @param {Buffer} message - Formatted message
+   * @returns {Promise<void>} - Resolves once written or failed; connection errors are reported by the socket
+   */
+  _sendStream(message) {
+    const framed = this.framing === 'newline'
+      ? Buffer.concat([message, Buffer.from('\n')])
+      : Buffer.concat([Buffer.from(`${message.length} `), message]);
+
+    if (!this.socket) {
+      this._connect();
+    }
+    const socket = this.socket;
+    const unsettled = this.unsettled;
+    return new Promise(resolve => {
+      // Node 12 never calls back writes queued on a connection that is refused; closing settles them instead
+      const settle = () => {
+        unsettled.delete(settle);
+        resolve();
+      };
+      unsettled.add(settle);
+      // Writes before the connection is established are queued by the socket
+      socket.write(framed, settle);
+    });
+  }
+
+  /**
+   * Open the TCP connection; a broken connection is replaced on the next record
+   * Records written to a connection that fails are lost, with one error reported per connection.
+   * @private
+   */
+  _connect() {
+    const socket = net.connect({ host: this.host, port: this.port });
+    // Settles the writes still waiting on this connection
+    const unsettled = new Set();
+    socket.setKeepAlive(true);
+    socket.unref();
+    socket.on('error', error => {
+      this.onError(`ConsoleText: Syslog connection to ${this.host}:${this.port} failed: ${error.message}`);
+    });
+    socket.on('close', () => {
+      unsettled.forEach(settle => settle());
+      if (this.socket === socket) this.socket = null;
+    });
+    this.socket = socket;
+    this.unsettled = unsettled;
+  }
+}
+
+SyslogTransport.SEVERITIES = SEVERITIES;
+SyslogTransport.FACILITIES = FACILITIES;
+
+module.exports = SyslogTransport;
@@ -0,0 +1,22 @@
+/**
+ * Built-in transports
+ * @module transports
+ */
+
+const HttpTransport = require('./HttpTransport');
+const BrowserTransport = require('./BrowserTransport');
+const StdoutTransport = require('./StdoutTransport');
+const FileTransport = require('./FileTransport');
+const MemoryTransport = require('./MemoryTransport');
+const SyslogTransport = require('./SyslogTransport');
+const OtlpTransport = require('./OtlpTransport');
+
+module.exports = {
+  HttpTransport,
+  BrowserTransport,
+  StdoutTransport,
+  FileTransport,
+  MemoryTransport,
+  SyslogTransport,
+  OtlpTransport
+};
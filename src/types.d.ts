@@ -18,22 +18,876 @@ declare module 'consoleText' {
     apiKey?: string;
     
     /**
-     * Whether to colorize console output
+     * Whether to colorize console output; colors are only emitted when the
+     * terminal supports them (honoring NO_COLOR, FORCE_COLOR and non-TTY streams)
      * @default true
      */
     colorize?: boolean;
+
+    /**
+     * Per-level style overrides merged over the default theme
+     */
+    theme?: Partial<Record<LogLevel, ThemeEntry>>;
+
+    /**
+     * Prefix console output with a colored level badge
+     * @default false
+     */
+    badges?: boolean;
+
+    /**
+     * Line template such as '{time} {LEVEL} {location}', or a formatter function
+     * returning a string or the arguments to print
+     */
+    format?: string | ((info: FormatInfo) => string | any[]);
+
+    /**
+     * Logger name available to formats as {name}
+     */
+    name?: string;
+
+    /**
+     * 'pretty' for human-readable output, 'json' for one JSON object per line
+     * (warn, error and trace on stderr, everything else on stdout)
+     * @default 'pretty'
+     */
+    mode?: 'pretty' | 'json';
+
+    /**
+     * Fraction (0 to 1) of remote records kept per level
+     */
+    sampling?: Partial<Record<LogLevel, number>>;
+
+    /**
+     * Token bucket for remote records: `rate` tokens per `interval` ms, up to `burst`
+     */
+    rateLimit?: { rate: number; interval?: number; burst?: number };
+
+    /**
+     * Milliseconds within which identical consecutive remote records are collapsed
+     * @default 0
+     */
+    dedupeWindow?: number;
+
+    /**
+     * Milliseconds between reports of shed remote records (0 disables)
+     * @default 60000
+     */
+    reportInterval?: number;
+
+    /**
+     * Send console.timeEnd/timeLog/count results to transports as metric records
+     * @default false
+     */
+    metrics?: boolean;
+
+    /**
+     * Record uncaught exceptions and unhandled rejections
+     * @default false
+     */
+    captureExceptions?: boolean;
+
+    /**
+     * Exit with code 1 after a captured crash, as Node does
+     * @default true
+     */
+    exitOnError?: boolean;
+
+    /**
+     * Milliseconds spent flushing transports before exiting
+     * @default 2000
+     */
+    exitTimeout?: number;
+
+    /**
+     * Records of every level kept in memory by the flight recorder; 0 disables it
+     * @default 0
+     */
+    historySize?: number;
+
+    /**
+     * Send the flight recorder's records along with each error and crash record
+     * @default false
+     */
+    attachHistory?: boolean;
+
+    /**
+     * Enabled namespace patterns such as 'db:*,-db:pool'
+     * @default process.env.CONSOLETEXT_DEBUG
+     */
+    namespaces?: string | null;
     
     /**
      * Whether to suppress console output
      * @default false
      */
     silent?: boolean;
+
+    /**
+     * Number of buffered records that triggers a remote send
+     * @default 10
+     */
+    batchSize?: number;
+
+    /**
+     * Milliseconds before a partially filled batch is sent (0 disables the timer)
+     * @default 1000
+     */
+    flushInterval?: number;
+
+    /**
+     * Maximum number of records waiting for delivery
+     * @default 1000
+     */
+    maxBufferSize?: number;
+
+    /**
+     * Which record is discarded when the buffer is full
+     * @default 'oldest'
+     */
+    dropPolicy?: 'oldest' | 'newest';
+
+    /**
+     * Retries for network errors and 5xx/429 responses
+     * @default 3
+     */
+    retries?: number;
+
+    /**
+     * Base exponential backoff delay in milliseconds
+     * @default 500
+     */
+    retryDelay?: number;
+
+    /**
+     * Maximum backoff delay in milliseconds
+     * @default 30000
+     */
+    retryMaxDelay?: number;
+
+    /**
+     * Directory where undeliverable records are stored as NDJSON and replayed later
+     */
+    spoolDir?: string;
+
+    /**
+     * Maximum number of spooled records; the oldest are discarded beyond it
+     * @default 10000
+     */
+    maxSpoolSize?: number;
+
+    /**
+     * Static headers added to every remote request
+     */
+    headers?: Record<string, string>;
+
+    /**
+     * Sign remote request bodies with HMAC-SHA256 and a timestamp (Node only)
+     */
+    signingSecret?: string;
+
+    /**
+     * Compress remote request bodies of at least compressionThreshold bytes (Node only)
+     */
+    compression?: 'gzip' | 'deflate';
+
+    /**
+     * @default 1024
+     */
+    compressionThreshold?: number;
+
+    /**
+     * Milliseconds before a remote request is aborted; 0 waits indefinitely
+     * @default 10000
+     */
+    timeout?: number;
+
+    /**
+     * Log file path, or options for the built-in file transport
+     */
+    file?: string | FileTransportOptions;
+
+    /**
+     * Syslog server as 'udp://host:port' or 'tcp://host:port', or syslog exporter options
+     */
+    syslog?: string | SyslogTransportOptions;
+
+    /**
+     * OTLP/HTTP logs endpoint, or OpenTelemetry exporter options
+     */
+    otlp?: string | OtlpTransportOptions;
+
+    /**
+     * Additional transports; every console.text record is fanned out to all of them
+     */
+    transports?: Transport[];
+
+    /**
+     * Config file path, or false to ignore config files
+     * @default process.env.CONSOLETEXT_CONFIG, or consoletext.config.json / .consoletextrc in the working directory
+     */
+    configFile?: string | false;
+
+    /**
+     * Minimum level, or explicit list of levels, printed locally
+     * @default 'debug'
+     */
+    consoleLevel?: LevelSpec;
+
+    /**
+     * Minimum level, or explicit list of levels, sent to transports
+     * @default ['text']
+     */
+    remoteLevel?: LevelSpec;
+
+    /**
+     * Non-level console methods sent to transports as structured records
+     * @default []
+     */
+    remoteMethods?: Array<'dir' | 'table' | 'trace'>;
+
+    /**
+     * Nesting depth kept when serializing arguments
+     * @default 10
+     */
+    maxDepth?: number;
+
+    /**
+     * Characters kept per serialized string
+     * @default 10000
+     */
+    maxStringLength?: number;
+
+    /**
+     * Items kept per serialized array, Set or Map
+     * @default 100
+     */
+    maxArrayLength?: number;
+
+    /**
+     * Redaction applied to local output and remote records
+     */
+    redact?: RedactOptions;
+  }
+
+  export interface RedactOptions {
+    /**
+     * Key paths: a bare key ('password') matches at any depth, dotted paths
+     * ('req.headers.authorization') are anchored, '*' and '[*]' match any key or index
+     */
+    paths?: string[];
+
+    /**
+     * Regular expressions, or built-in names 'email', 'bearer', 'jwt' and 'creditCard'
+     */
+    patterns?: Array<RegExp | 'email' | 'bearer' | 'jwt' | 'creditCard'>;
+
+    /**
+     * Replacement for redacted values
+     * @default '[REDACTED]'
+     */
+    censor?: string;
+  }
+
+  /**
+   * Color name, '#rrggbb', 'rgb(r, g, b)' or [r, g, b]
+   */
+  export type Color = string | [number, number, number];
+
+  export interface ThemeEntry {
+    color?: Color;
+    bgColor?: Color;
+    bold?: boolean;
+    dim?: boolean;
+    italic?: boolean;
+    underline?: boolean;
+    /**
+     * Badge text, defaults to the upper-cased level
+     */
+    label?: string;
+  }
+
+  /**
+   * Data handed to formatter functions
+   */
+  export interface FormatInfo {
+    level: LogLevel;
+    args: any[];
+    name: string | null;
+    timestamp: Date;
+    /**
+     * Milliseconds since the ConsoleText instance was created
+     */
+    relative: number;
+    /**
+     * Process id, null without a Node process
+     */
+    pid: number | null;
+    /**
+     * Host name, null in browser bundles
+     */
+    hostname: string | null;
+    /**
+     * Caller location, parsed from the stack on first access
+     */
+    readonly location: { file: string; line: number; column: number; function: string } | null;
+  }
+
+  export type LogLevel = 'debug' | 'log' | 'info' | 'text' | 'warn' | 'error';
+
+  /**
+   * A minimum level name ('silent' disables everything) or an explicit list of levels
+   */
+  export type LevelSpec = LogLevel | 'silent' | LogLevel[];
+
+  /**
+   * Destination for log records
+   */
+  export interface Transport {
+    /**
+     * Receive a single record
+     */
+    log(record: LogRecord): void;
+
+    /**
+     * Deliver anything buffered
+     */
+    flush?(): void | Promise<void>;
+
+    /**
+     * Release resources such as streams and timers
+     */
+    close?(): void | Promise<void>;
+  }
+
+  export interface HttpTransportOptions {
+    endpoint: string;
+    apiKey?: string;
+    headers?: Record<string, string>;
+    signingSecret?: string;
+    compression?: 'gzip' | 'deflate';
+    compressionThreshold?: number;
+    timeout?: number;
+    batchSize?: number;
+    flushInterval?: number;
+    maxBufferSize?: number;
+    dropPolicy?: 'oldest' | 'newest';
+    retries?: number;
+    retryDelay?: number;
+    retryMaxDelay?: number;
+    spoolDir?: string;
+    maxSpoolSize?: number;
+    onError?: (message: string) => void;
+  }
+
+  export class HttpTransport implements Transport {
+    constructor(options: HttpTransportOptions);
+    readonly spool: OfflineQueue | null;
+    log(record: LogRecord): void;
+    flush(): Promise<void>;
+    close(): Promise<void>;
+    drainSpool(): Promise<number>;
+  }
+
+  export class MemoryTransport implements Transport {
+    constructor(options?: { maxRecords?: number });
+    readonly records: LogRecord[];
+    log(record: LogRecord): void;
+    clear(): void;
+  }
+
+  export class StdoutTransport implements Transport {
+    constructor(options?: { stream?: NodeJS.WritableStream });
+    log(record: LogRecord): void;
+  }
+
+  export interface FileTransportOptions {
+    filename: string;
+    /**
+     * Rotate once the file would exceed this many bytes
+     */
+    maxSize?: number;
+    /**
+     * Rotate at UTC period boundaries
+     */
+    interval?: 'hourly' | 'daily';
+    /**
+     * Number of rotated files to keep
+     */
+    maxFiles?: number;
+    /**
+     * Gzip rotated files
+     * @default false
+     */
+    compress?: boolean;
+    onError?: (message: string) => void;
+  }
+
+  export class FileTransport implements Transport {
+    constructor(options: FileTransportOptions);
+    readonly filename: string;
+    log(record: LogRecord): void;
+    flush(): Promise<void>;
+    close(): Promise<void>;
+    /**
+     * Move the current file aside, resolving to the rotated path
+     */
+    rotate(): string | null;
+    /**
+     * Rotated files, oldest first
+     */
+    listRotated(): string[];
+  }
+
+  export interface BrowserTransportOptions {
+    endpoint: string;
+    apiKey?: string;
+    headers?: Record<string, string>;
+    timeout?: number;
+    batchSize?: number;
+    flushInterval?: number;
+    maxBufferSize?: number;
+    dropPolicy?: 'oldest' | 'newest';
+    retries?: number;
+    retryDelay?: number;
+    retryMaxDelay?: number;
+    /**
+     * localStorage key for undeliverable records
+     * @default 'consoletext-queue'
+     */
+    storageKey?: string;
+    /**
+     * @default 1000
+     */
+    maxQueueSize?: number;
+    /**
+     * Window whose fetch, navigator, storage and events are used
+     */
+    window?: any;
+    onError?: (message: string) => void;
+  }
+
+  /**
+   * Delivery from web pages with keepalive fetch, sendBeacon on page hide and a localStorage queue
+   */
+  export class BrowserTransport implements Transport {
+    constructor(options: BrowserTransportOptions);
+    static isSupported(): boolean;
+    /**
+     * localStorage queue, or null when storage is unavailable
+     */
+    readonly spool: Omit<OfflineQueue, 'file'> | null;
+    log(record: LogRecord): void;
+    flush(): Promise<void>;
+    close(): Promise<void>;
+    drainSpool(): Promise<number>;
+  }
+
+  export interface SyslogTransportOptions {
+    /**
+     * Server as 'udp://host:port' or 'tcp://host:port', instead of protocol, host and port
+     */
+    url?: string;
+    /**
+     * @default 'udp'
+     */
+    protocol?: 'udp' | 'tcp';
+    /**
+     * @default '127.0.0.1'
+     */
+    host?: string;
+    /**
+     * 514 for UDP, 601 for TCP by default
+     */
+    port?: number;
+    /**
+     * Facility name such as 'local0', or its code
+     * @default 'user'
+     */
+    facility?: string | number;
+    /**
+     * APP-NAME field; the logger name or the script name by default
+     */
+    appName?: string;
+    /**
+     * HOSTNAME field
+     * @default os.hostname()
+     */
+    hostname?: string;
+    /**
+     * Structured data id of the record context; null leaves context out
+     * @default 'context@32473'
+     */
+    sdId?: string | null;
+    /**
+     * TCP framing
+     * @default 'octet-counting'
+     */
+    framing?: 'octet-counting' | 'newline';
+    /**
+     * UDP datagrams are truncated to this many bytes
+     * @default 2048
+     */
+    maxMessageSize?: number;
+    onError?: (message: string) => void;
+  }
+
+  /**
+   * RFC 5424 syslog messages over UDP or TCP
+   */
+  export class SyslogTransport implements Transport {
+    constructor(options?: SyslogTransportOptions);
+    static readonly SEVERITIES: Record<LogLevel, number>;
+    static readonly FACILITIES: Record<string, number>;
+    /**
+     * Format a record as an RFC 5424 message
+     */
+    format(record: LogRecord): string;
+    log(record: LogRecord): void;
+    flush(): Promise<void>;
+    close(): Promise<void>;
+  }
+
+  export interface OtlpTransportOptions extends Omit<HttpTransportOptions, 'endpoint'> {
+    /**
+     * OTLP/HTTP logs endpoint
+     * @default 'http://localhost:4318/v1/logs'
+     */
+    endpoint?: string;
+    /**
+     * service.name resource attribute; the logger name, OTEL_SERVICE_NAME or 'unknown_service:node' by default
+     */
+    serviceName?: string;
+    /**
+     * Additional resource attributes
+     */
+    resource?: Record<string, any>;
+  }
+
+  /**
+   * OpenTelemetry log export over OTLP/HTTP with JSON encoding; trace and span ids are read from context
+   */
+  export class OtlpTransport extends HttpTransport {
+    constructor(options?: OtlpTransportOptions);
+    static readonly SEVERITY_NUMBERS: Record<LogLevel, number>;
+    /**
+     * Convert a record to an OTLP LogRecord
+     */
+    static toLogRecord(record: LogRecord): Record<string, any>;
+  }
+
+  export const transports: {
+    HttpTransport: typeof HttpTransport;
+    BrowserTransport: typeof BrowserTransport;
+    StdoutTransport: typeof StdoutTransport;
+    FileTransport: typeof FileTransport;
+    MemoryTransport: typeof MemoryTransport;
+    SyslogTransport: typeof SyslogTransport;
+    OtlpTransport: typeof OtlpTransport;
+  };
+
+  export interface DrainOptions {
+    /**
+     * True to keep a failed batch for a later drain (default: always)
+     */
+    isRetryable?: (error: any) => boolean;
+    /**
+     * Receives the number of dropped records and the error that caused it
+     */
+    onDrop?: (count: number, error: Error) => void;
+  }
+
+  /**
+   * Persistent NDJSON queue of undeliverable records
+   */
+  export interface OfflineQueue {
+    readonly file: string;
+    readonly dropped: number;
+    enqueue(records: LogRecord[]): Promise<void>;
+    read(): Promise<LogRecord[]>;
+    size(): Promise<number>;
+    /**
+     * Replay records in order; a retryable failure stops the drain, other failures and
+     * unparsable lines drop the records and report them to onDrop
+     */
+    drain(send: (records: LogRecord[]) => Promise<void>, batchSize?: number, options?: DrainOptions): Promise<number>;
+    clear(): Promise<void>;
+  }
+
+  /**
+   * Record shipped to the remote endpoint
+   */
+  export interface LogRecord {
+    level: string;
+    message: string;
+    timestamp: string;
+    /**
+     * JSON-safe copy of every logged argument
+     */
+    args?: any[];
+    /**
+     * Serialized first Error among the arguments
+     */
+    error?: SerializedError;
+    /**
+     * Async context merged with logger bindings
+     */
+    context?: Record<string, any>;
+    /**
+     * Namespace of the logger that made the call
+     */
+    namespace?: string;
+    /**
+     * Timer or counter result of a 'metric' record
+     */
+    metric?: { type: 'timer'; label: string; duration: number } | { type: 'counter'; label: string; value: number };
+    /**
+     * 'uncaughtException' or 'unhandledRejection' for crash records
+     */
+    origin?: 'uncaughtException' | 'unhandledRejection' | 'error' | 'unhandledrejection';
+    /**
+     * Value thrown or rejected when a crash was not caused by an Error
+     */
+    reason?: any;
+    /**
+     * Rows and columns of a 'table' record
+     */
+    table?: { columns: string[]; rows: any[][]; truncated?: number };
+    /**
+     * Stack frame lines of a 'trace' record
+     */
+    stack?: string[];
+    /**
+     * Parsed stack frames of a 'trace' record, innermost first
+     */
+    frames?: Array<{ file: string; line: number; column: number; function: string }>;
+    /**
+     * Records that preceded an error, when attachHistory is set
+     */
+    history?: LogRecord[];
+    [key: string]: any;
+  }
+
+  /**
+   * Selection of flight recorder records
+   */
+  export interface HistoryFilter {
+    /**
+     * Minimum level name, or an explicit list of levels
+     */
+    level?: LevelSpec;
+    namespace?: string;
+    since?: Date | string | number;
+    /**
+     * Keep only the latest matching records
+     */
+    limit?: number;
+  }
+
+  /**
+   * Durations recorded for a timer label, in milliseconds
+   */
+  export interface TimingSummary {
+    count: number;
+    min: number;
+    max: number;
+    mean: number;
+    p50: number;
+    p90: number;
+    p95: number;
+    p99: number;
+  }
+
+  /**
+   * Logger whose records carry its bindings
+   */
+  export class Logger {
+    readonly bindings: Record<string, any>;
+    readonly namespace: string | null;
+    /**
+     * Whether the namespace is enabled; always true without a namespace
+     */
+    readonly enabled: boolean;
+    log(...data: any[]): void;
+    info(...data: any[]): void;
+    warn(...data: any[]): void;
+    error(...data: any[]): void;
+    debug(...data: any[]): void;
+    text(...data: any[]): void;
+
+    /**
+     * Create a logger with additional bindings
+     */
+    child(bindings: Record<string, any>): Logger;
+
+    /**
+     * Create a logger in a sub-namespace, e.g. 'db' extended with 'query' becomes 'db:query'
+     */
+    extend(name: string, delimiter?: string): Logger;
+  }
+
+  /**
+   * Get the context of the current async flow
+   */
+  export function getContext(): Record<string, any>;
+
+  /**
+   * Run a function with context attached to every record logged inside its async flow
+   */
+  export function runWithContext<T>(context: Record<string, any>, fn: () => T): T;
+
+  /**
+   * Options of the request logging middleware
+   */
+  export interface RequestLoggerOptions {
+    /**
+     * Header carrying the request id in both directions
+     * @default 'x-request-id'
+     */
+    header?: string;
+    /**
+     * Returns a new request id
+     * @default crypto.randomUUID
+     */
+    generateId?: (req: any) => string;
+    /**
+     * Reuse a well-formed request id sent by the client or a proxy
+     * @default true
+     */
+    trustRequestId?: boolean;
+    /**
+     * Level for a response; error for 5xx, warn for 4xx, info otherwise by default
+     */
+    level?: (statusCode: number, req: any) => LogLevel;
+    /**
+     * Log every request header, or the listed ones
+     * @default false
+     */
+    headers?: boolean | string[];
+    /**
+     * Headers whose values are censored
+     * @default ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key']
+     */
+    redactHeaders?: string[];
+  }
+
+  /**
+   * Create request logging middleware for Express, Connect or a plain http server
+   */
+  export function createRequestLogger(consoleText: ConsoleText, options?: RequestLoggerOptions): (req: any, res: any, next: () => any) => any;
+
+  /**
+   * Create request logging middleware for Koa
+   */
+  export function createKoaRequestLogger(consoleText: ConsoleText, options?: RequestLoggerOptions): (ctx: any, next: () => Promise<any>) => Promise<any>;
+
+  export interface CollectorOptions {
+    /**
+     * Port to listen on; 0 picks a free port
+     * @default 4000
+     */
+    port?: number;
+    /**
+     * Interface to listen on
+     * @default '127.0.0.1'
+     */
+    host?: string;
+    /**
+     * Only accept batches posted to this path; any path by default
+     */
+    path?: string;
+    /**
+     * Required Bearer token; requests are not authenticated without it
+     */
+    apiKey?: string;
+    /**
+     * Require bodies signed with this secret; each signature is accepted once
+     */
+    signingSecret?: string;
+    /**
+     * Accepted age of a signature timestamp in milliseconds
+     * @default 300000
+     */
+    signatureTolerance?: number;
+    /**
+     * NDJSON file path, or file transport options; records are not stored without it
+     */
+    file?: string | FileTransportOptions;
+    /**
+     * Largest accepted request body in bytes, before and after decompression
+     * @default 5242880
+     */
+    maxBodySize?: number;
+    /**
+     * Answer CORS preflight requests
+     * @default true
+     */
+    cors?: boolean;
+    /**
+     * Receives each accepted batch of records
+     */
+    onRecords?: (records: LogRecord[]) => void;
+    /**
+     * Receives storage error messages
+     */
+    onError?: (message: string) => void;
+  }
+
+  /**
+   * HTTP server receiving the batches posted by the HTTP and browser transports
+   */
+  export class Collector {
+    constructor(options?: CollectorOptions);
+    /**
+     * Number of records accepted so far
+     */
+    readonly received: number;
+    /**
+     * URL batches can be posted to, once listening
+     */
+    readonly url: string | null;
+    /**
+     * Start listening, resolves with the URL
+     */
+    listen(): Promise<string>;
+    /**
+     * Stop accepting batches and close the NDJSON file
+     */
+    close(): Promise<void>;
+  }
+
+  export interface SerializedError {
+    name: string;
+    message: string;
+    stack?: string;
+    cause?: any;
+    [key: string]: any;
   }
 
   /**
    * ConsoleText class for enhancing and extending console functionality
    */
   export class ConsoleText {
+    /**
+     * Offline spool, or null when no spoolDir is configured
+     */
+    readonly spool: OfflineQueue | null;
+
+    /**
+     * Registered transports, including the HTTP transport created from endpoint
+     */
+    readonly transports: Transport[];
+
+    /**
+     * Logger with the console methods that works without init()
+     */
+    readonly logger: Logger;
+
+    /**
+     * File transport created from the file option, or null
+     */
+    readonly fileTransport: FileTransport | null;
+
     /**
      * Create a new ConsoleText instance
      */
@@ -48,6 +902,116 @@ declare module 'consoleText' {
      * Reset console to original behavior
      */
     restore(): this;
+
+    /**
+     * Send every buffered record to the remote endpoint
+     */
+    flush(): Promise<void>;
+
+    /**
+     * Replay spooled records in order, resolving with the number delivered
+     */
+    drainSpool(): Promise<number>;
+
+    /**
+     * Register an additional transport
+     */
+    addTransport(transport: Transport): this;
+
+    /**
+     * Restore the console and close every transport
+     */
+    close(): Promise<void>;
+
+    /**
+     * Change options at runtime, rewiring outputs without calling init() again; null restores a default
+     */
+    configure(options: Omit<ConsoleTextConfig, 'transports' | 'configFile'>): this;
+
+    /**
+     * Change the console or remote level threshold at runtime
+     */
+    setLevel(level: LevelSpec, target?: 'console' | 'remote' | 'all'): this;
+
+    /**
+     * Check whether a level is enabled for a destination
+     */
+    isLevelEnabled(level: LogLevel, target?: 'console' | 'remote'): boolean;
+
+    /**
+     * Create a logger whose records carry the given bindings
+     */
+    child(bindings: Record<string, any>): Logger;
+
+    /**
+     * Run a function with context attached to every record logged inside its async flow
+     */
+    runWithContext<T>(context: Record<string, any>, fn: () => T): T;
+
+    /**
+     * Create request logging middleware for Express, Connect or a plain http server
+     */
+    requestLogger(options?: RequestLoggerOptions): (req: any, res: any, next: () => any) => any;
+
+    /**
+     * Create request logging middleware for Koa
+     */
+    koaRequestLogger(options?: RequestLoggerOptions): (ctx: any, next: () => Promise<any>) => Promise<any>;
+
+    /**
+     * Counts of remote records shed by sampling, rate limiting and deduplication
+     */
+    getStats(): { sampled: number; rateLimited: number; deduplicated: number };
+
+    /**
+     * Timer summaries and counter values collected from console.timeEnd and console.count
+     */
+    getMetrics(): { timers: Record<string, TimingSummary>; counters: Record<string, number> };
+
+    /**
+     * Summarize the durations recorded for a timer label
+     */
+    getTiming(label?: string): TimingSummary | null;
+
+    /**
+     * Forget recorded durations and counters
+     */
+    resetMetrics(): this;
+
+    /**
+     * Records held by the flight recorder, oldest first
+     */
+    getHistory(filter?: HistoryFilter): LogRecord[];
+
+    /**
+     * Flight recorder records as newline-delimited JSON
+     */
+    exportHistory(filter?: HistoryFilter): string;
+
+    /**
+     * Forget the records held by the flight recorder
+     */
+    clearHistory(): this;
+
+    /**
+     * Create a logger printed only while its namespace is enabled
+     */
+    namespace(name: string): Logger;
+
+    /**
+     * Replace the enabled namespace patterns
+     */
+    enableNamespaces(spec: string): this;
+
+    /**
+     * Disable every namespace, returning the patterns that were enabled
+     */
+    disableNamespaces(): string;
+
+    /**
+     * Check a namespace against the enabled patterns
+     */
+    isNamespaceEnabled(name: string): boolean;
   }
 
   /**
@@ -56,6 +1020,55 @@ declare module 'consoleText' {
   export function createConsoleText(config?: ConsoleTextConfig): ConsoleText;
 }
 
+declare module 'consoleText/testing' {
+  import { ConsoleText, ConsoleTextConfig, LogRecord, MemoryTransport } from 'consoleText';
+
+  /**
+   * Console interception whose records stay in memory
+   */
+  export class ConsoleCapture {
+    constructor(config?: ConsoleTextConfig);
+    readonly consoleText: ConsoleText;
+    readonly transport: MemoryTransport;
+    /**
+     * Every record logged, of any level, oldest first
+     */
+    readonly logged: LogRecord[];
+    /**
+     * Records handed to the transports
+     */
+    readonly sent: LogRecord[];
+    clear(): this;
+    restore(): Promise<void>;
+  }
+
+  /**
+   * Start capturing the console; endpoint and file are ignored
+   */
+  export function captureConsole(config?: ConsoleTextConfig): ConsoleCapture;
+
+  /**
+   * Restore every capture that is still active
+   */
+  export function restoreAll(): Promise<void>;
+
+  export const matchers: Record<'toHaveLogged' | 'toHaveSentRemote', (...args: any[]) => any>;
+
+  export { MemoryTransport };
+}
+
+/**
+ * Jest matchers registered by consoleText/testing
+ */
+declare global {
+  namespace jest {
+    interface Matchers<R> {
+      toHaveLogged(expected: string | Record<string, any>, message?: string | RegExp): R;
+      toHaveSentRemote(expected: string | Record<string, any>, message?: string | RegExp): R;
+    }
+  }
+}
+
 /**
  * Extend the global Console interface to include the custom text method
  */
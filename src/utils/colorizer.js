@@ -3,6 +3,7 @@
  * @module colorizer
  */
 
+const { inspect } = require('./inspect');
 const chalk = require('chalk');
 
 /**
@@ -17,6 +18,50 @@ const colorMap = {
   text: chalk.cyan
 };
 
+/**
+ * Default theme; each level accepts color, bgColor (names, '#rrggbb', 'rgb(r, g, b)'
+ * or [r, g, b]), bold, dim, italic, underline and a badge label
+ */
+const DEFAULT_THEME = {
+  log: {},
+  info: { color: 'blue' },
+  warn: { color: 'yellow' },
+  error: { color: 'red' },
+  debug: { color: 'green' },
+  text: { color: 'cyan' }
+};
+
+/**
+ * Colors assigned to namespaces on 16-color terminals
+ */
+const NAMESPACE_COLORS = ['cyan', 'green', 'yellow', 'blue', 'magenta', 'red'];
+
+/**
+ * ANSI 256 colors assigned to namespaces when the terminal supports them,
+ * chosen to stay readable on dark and light backgrounds
+ */
+const NAMESPACE_COLORS_256 = [
+  20, 21, 26, 27, 32, 33, 38, 39, 40, 41, 42, 43, 44, 45, 56, 57, 62, 63, 68, 69,
+  74, 75, 76, 77, 78, 79, 80, 81, 92, 93, 98, 99, 112, 113, 128, 129, 134, 135,
+  148, 149, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173,
+  178, 179, 184, 185, 196, 197, 198, 199, 200, 201, 202, 203, 204, 205, 206, 207,
+  208, 209, 214, 215, 220, 221
+];
+
+/**
+ * Hash a namespace to a stable non-negative integer
+ * @private
+ * @param {string} namespace - Namespace name
+ * @returns {number}
+ */
+function hashNamespace(namespace) {
+  let hash = 0;
+  for (let i = 0; i < namespace.length; i++) {
+    hash = ((hash << 5) - hash + namespace.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
 /**
  * Apply appropriate color to console output based on log level
  * @param {string} level - Log level
@@ -25,7 +70,7 @@ const colorMap = {
  */
 function applyColor(level, args) {
   const colorFn = colorMap[level] || (text => text);
-  
+
   return args.map(arg => {
     if (typeof arg === 'string') {
       return colorFn(arg);
@@ -34,7 +79,144 @@ function applyColor(level, args) {
   });
 }
 
+/**
+ * Detect how many colors a stream supports
+ * Honors NO_COLOR (https://no-color.org) and FORCE_COLOR before looking at the stream.
+ * @param {stream.Writable} [stream=process.stdout] - Output stream
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {number} - 0 (none), 1 (16 colors), 2 (256 colors) or 3 (truecolor)
+ */
+function detectColorLevel(stream, env) {
+  // Browsers have no process; they get no colors unless FORCE_COLOR is passed in env
+  const hasProcess = typeof process !== 'undefined';
+  if (stream === undefined) stream = hasProcess ? process.stdout : null;
+  if (env === undefined) env = (hasProcess && process.env) || {};
+
+  if (env.NO_COLOR !== undefined && env.NO_COLOR !== '') return 0;
+
+  if (env.FORCE_COLOR !== undefined) {
+    if (env.FORCE_COLOR === 'false' || env.FORCE_COLOR === '0') return 0;
+    const forced = parseInt(env.FORCE_COLOR, 10);
+    return Number.isNaN(forced) ? 1 : Math.min(3, Math.max(1, forced));
+  }
+
+  if (!stream || !stream.isTTY) return 0;
+  if (env.TERM === 'dumb') return 0;
+  if (env.COLORTERM === 'truecolor' || env.COLORTERM === '24bit') return 3;
+  if (/-256(color)?$/i.test(env.TERM || '')) return 2;
+  return 1;
+}
+
+/**
+ * Apply a foreground or background color to a chalk chain
+ * @private
+ * @param {Function} style - Chalk chain
+ * @param {string|Array<number>} color - Color name, hex, rgb() string or [r, g, b]
+ * @param {boolean} background - Whether to color the background
+ * @returns {Function} - Extended chalk chain
+ */
+function withColor(style, color, background) {
+  if (Array.isArray(color)) {
+    return background ? style.bgRgb(...color) : style.rgb(...color);
+  }
+
+  const rgb = /^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i.exec(color);
+  if (rgb) {
+    const channels = rgb.slice(1).map(Number);
+    return background ? style.bgRgb(...channels) : style.rgb(...channels);
+  }
+
+  if (color.startsWith('#')) {
+    return background ? style.bgHex(color) : style.hex(color);
+  }
+
+  const name = background ? `bg${color[0].toUpperCase()}${color.slice(1)}` : color;
+  if (typeof style[name] !== 'function') {
+    throw new TypeError(`ConsoleText: unknown color "${color}"`);
+  }
+  return style[name];
+}
+
+/**
+ * Build a chalk style function from a theme entry
+ * @private
+ * @param {chalk.Instance} instance - Chalk instance with the detected color level
+ * @param {Object} entry - Theme entry
+ * @returns {Function} - Style function
+ */
+function buildStyle(instance, entry) {
+  let style = instance;
+  if (entry.color) style = withColor(style, entry.color, false);
+  if (entry.bgColor) style = withColor(style, entry.bgColor, true);
+  ['bold', 'dim', 'italic', 'underline'].forEach(modifier => {
+    if (entry[modifier]) style = style[modifier];
+  });
+  return style === instance ? text => text : style;
+}
+
+/**
+ * Create a colorizer for a theme and color level
+ * @param {Object} [options] - Colorizer options
+ * @param {Object} [options.theme] - Per-level overrides merged over the default theme
+ * @param {number} [options.colorLevel] - Color support, detected from options.stream when omitted
+ * @param {stream.Writable} [options.stream=process.stdout] - Stream used for detection
+ * @param {boolean} [options.badges=false] - Prefix output with a level badge
+ * @returns {{applyColor: Function, paint: Function, paintNamespace: Function, badge: Function, colorLevel: number}}
+ */
+function createColorizer(options = {}) {
+  const colorLevel = options.colorLevel != null ? options.colorLevel : detectColorLevel(options.stream);
+  const instance = new chalk.Instance({ level: colorLevel });
+  const theme = Object.assign({}, DEFAULT_THEME);
+  Object.keys(options.theme || {}).forEach(level => {
+    theme[level] = Object.assign({}, DEFAULT_THEME[level], options.theme[level]);
+  });
+
+  const styles = {};
+  const badgeStyles = {};
+  Object.keys(theme).forEach(level => {
+    styles[level] = buildStyle(instance, theme[level]);
+    badgeStyles[level] = buildStyle(instance.inverse, theme[level]);
+  });
+
+  const paint = (level, text) => (styles[level] || (value => value))(text);
+
+  // The same namespace always gets the same color, across runs and processes
+  const namespaceStyles = new Map();
+  const paintNamespace = (namespace, text) => {
+    if (colorLevel === 0) return text;
+    if (!namespaceStyles.has(namespace)) {
+      const hash = hashNamespace(namespace);
+      namespaceStyles.set(namespace, colorLevel >= 2
+        ? instance.ansi256(NAMESPACE_COLORS_256[hash % NAMESPACE_COLORS_256.length])
+        : instance[NAMESPACE_COLORS[hash % NAMESPACE_COLORS.length]]);
+    }
+    return namespaceStyles.get(namespace)(text);
+  };
+
+  const badge = level => {
+    const label = (theme[level] && theme[level].label) || level.toUpperCase();
+    return colorLevel > 0 && badgeStyles[level] ? badgeStyles[level](` ${label} `) : `[${label}]`;
+  };
+
+  return {
+    colorLevel,
+    paint,
+    paintNamespace,
+    badge,
+    applyColor(level, args) {
+      const colored = colorLevel === 0 ? args : args.map(arg => {
+        if (typeof arg === 'string') return paint(level, arg);
+        return inspect(arg, { colors: true });
+      });
+      return options.badges ? [badge(level), ...colored] : colored;
+    }
+  };
+}
+
 module.exports = {
   applyColor,
-  colorMap
-};
\ No newline at end of file
+  colorMap,
+  createColorizer,
+  detectColorLevel,
+  DEFAULT_THEME
+};
@@ -0,0 +1,362 @@
+/**
+ * Utilities for loading, merging and validating ConsoleText configuration
+ * @module config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { inspect } = require('./inspect');
+const { LEVELS, LOG_METHODS, OTHER_METHODS } = require('./levels');
+const { ENV_VAR } = require('./namespaces');
+
+/**
+ * Prefix of environment variables mapped onto options, e.g. CONSOLETEXT_API_KEY for apiKey
+ */
+const ENV_PREFIX = 'CONSOLETEXT_';
+
+/**
+ * Environment variable naming a config file
+ */
+const CONFIG_ENV_VAR = 'CONSOLETEXT_CONFIG';
+
+/**
+ * Config files looked up in the working directory, in order
+ */
+const CONFIG_FILES = ['consoletext.config.json', '.consoletextrc'];
+
+/**
+ * Output modes for the local console
+ */
+const MODES = ['pretty', 'json'];
+
+/**
+ * Value checks by type: check(value) decides validity, expected describes a valid value and
+ * parse(string) converts an environment variable, leaving invalid input for check() to report
+ */
+const TYPES = {
+  string: {
+    check: value => typeof value === 'string',
+    expected: 'a string',
+    parse: value => value
+  },
+  boolean: {
+    check: value => typeof value === 'boolean',
+    expected: 'true or false',
+    parse: value => {
+      const normalized = value.trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+      if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+      return value;
+    }
+  },
+  count: {
+    check: value => Number.isInteger(value) && value > 0,
+    expected: 'a positive integer',
+    parse: parseNumber
+  },
+  integer: {
+    check: value => Number.isInteger(value) && value >= 0,
+    expected: 'a non-negative integer',
+    parse: parseNumber
+  },
+  duration: {
+    check: value => typeof value === 'number' && value >= 0 && !Number.isNaN(value),
+    expected: 'a non-negative number of milliseconds',
+    parse: parseNumber
+  },
+  url: {
+    check: isEndpoint,
+    expected: 'an http(s) URL',
+    parse: value => value
+  },
+  object: {
+    check: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    expected: 'an object',
+    parse: value => {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+  },
+  function: {
+    check: value => typeof value === 'function',
+    expected: 'a function'
+  },
+  level: {
+    check: value => (Array.isArray(value) ? value.every(level => LOG_METHODS.includes(level)) : Object.prototype.hasOwnProperty.call(LEVELS, value)),
+    parse: parseList
+  },
+  enum: {
+    check: (value, option) => option.values.includes(value),
+    parse: value => value
+  },
+  list: {
+    check: (value, option) => Array.isArray(value) && value.every(item => option.values.includes(item)),
+    parse: value => value.split(',').map(item => item.trim()).filter(Boolean)
+  }
+};
+
+/**
+ * Every configuration option with its type(s) and default
+ * Enumerated types report unknown values as `unknown <label> "<value>"`.
+ */
+const OPTIONS = {
+  endpoint: { type: 'url', default: null },
+  apiKey: { type: 'string', default: null },
+  colorize: { type: 'boolean', default: true },
+  silent: { type: 'boolean', default: false },
+  batchSize: { type: 'count', default: 10 },
+  flushInterval: { type: 'duration', default: 1000 },
+  maxBufferSize: { type: 'count', default: 1000 },
+  dropPolicy: { type: 'enum', values: ['oldest', 'newest'], label: 'dropPolicy', default: 'oldest' },
+  retries: { type: 'integer', default: 3 },
+  retryDelay: { type: 'duration', default: 500 },
+  retryMaxDelay: { type: 'duration', default: 30000 },
+  spoolDir: { type: 'string', default: null },
+  maxSpoolSize: { type: 'count', default: 10000 },
+  headers: { type: 'object', default: null },
+  signingSecret: { type: 'string', default: null },
+  compression: { type: 'enum', values: ['gzip', 'deflate'], label: 'compression', default: null },
+  compressionThreshold: { type: 'integer', default: 1024 },
+  timeout: { type: 'duration', default: 10000 },
+  consoleLevel: { type: 'level', label: 'level', default: 'debug' },
+  remoteLevel: { type: 'level', label: 'level', default: ['text'] },
+  remoteMethods: { type: 'list', values: OTHER_METHODS, label: 'remote method', default: [] },
+  maxDepth: { type: 'count', default: 10 },
+  maxStringLength: { type: 'count', default: 10000 },
+  maxArrayLength: { type: 'count', default: 100 },
+  redact: { type: 'object', default: null },
+  file: { type: ['string', 'object'], default: null },
+  syslog: { type: ['string', 'object'], default: null },
+  otlp: { type: ['string', 'object'], default: null },
+  theme: { type: 'object', default: null },
+  badges: { type: 'boolean', default: false },
+  format: { type: ['string', 'function'], default: null },
+  name: { type: 'string', default: null },
+  mode: { type: 'enum', values: MODES, label: 'mode', default: 'pretty' },
+  sampling: { type: 'object', default: null },
+  rateLimit: { type: 'object', default: null },
+  dedupeWindow: { type: 'duration', default: 0 },
+  reportInterval: { type: 'duration', default: 60000 },
+  metrics: { type: 'boolean', default: false },
+  captureExceptions: { type: 'boolean', default: false },
+  exitOnError: { type: 'boolean', default: true },
+  exitTimeout: { type: 'duration', default: 2000 },
+  historySize: { type: 'integer', default: 0 },
+  attachHistory: { type: 'boolean', default: false },
+  namespaces: { type: 'string', env: ENV_VAR, default: null }
+};
+
+/**
+ * Options accepted by the constructor only; they are not part of the resolved configuration
+ */
+const CONSTRUCTOR_OPTIONS = ['transports', 'configFile'];
+
+/**
+ * Convert an environment variable to a number, leaving non-numeric input unchanged
+ * @private
+ * @param {string} value - Variable value
+ * @returns {number|string}
+ */
+function parseNumber(value) {
+  return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * Split a comma separated level list; a single name stays a minimum level
+ * @private
+ * @param {string} value - Variable value such as 'warn' or 'text,error'
+ * @returns {string|Array<string>}
+ */
+function parseList(value) {
+  return value.includes(',') ? value.split(',').map(item => item.trim()).filter(Boolean) : value.trim();
+}
+
+/**
+ * Check that an endpoint is an absolute http(s) URL, or a URL relative to the current page in browsers
+ * @private
+ * @param {any} value - Endpoint
+ * @returns {boolean}
+ */
+function isEndpoint(value) {
+  if (typeof value !== 'string') return false;
+
+  const base = typeof window !== 'undefined' && window.location ? window.location.href : undefined;
+  try {
+    return ['http:', 'https:'].includes(new URL(value, base).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Name of the environment variable for an option
+ * @param {string} key - Option name such as 'maxSpoolSize'
+ * @returns {string} - Variable name such as 'CONSOLETEXT_MAX_SPOOL_SIZE'
+ */
+function envName(key) {
+  return OPTIONS[key].env || ENV_PREFIX + key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+}
+
+/**
+ * Copy of an option's default, so array defaults are never shared between instances
+ * @param {string} key - Option name
+ * @returns {any}
+ */
+function defaultValue(key) {
+  const value = OPTIONS[key].default;
+  return Array.isArray(value) ? value.slice() : value;
+}
+
+/**
+ * Validate a single option value; null and undefined select the default
+ * @param {string} key - Option name
+ * @param {any} value - Option value
+ * @param {string} [origin] - Where the value came from, such as an environment variable or config file
+ */
+function validateOption(key, value, origin) {
+  const option = OPTIONS[key];
+  const where = origin ? ` (${origin})` : '';
+  if (!option) {
+    throw new TypeError(`ConsoleText: unknown option "${key}"${where}`);
+  }
+  if (value == null) return;
+
+  const types = [].concat(option.type);
+  if (types.some(type => TYPES[type].check(value, option))) return;
+
+  if (option.label) {
+    // Report the offending entry of a list rather than the whole list
+    const invalid = Array.isArray(value) ? value.find(item => !TYPES[option.type].check([item], option)) : value;
+    if (invalid !== undefined && typeof invalid !== 'object') {
+      throw new TypeError(`ConsoleText: unknown ${option.label} "${invalid}"${where}`);
+    }
+  }
+
+  const expected = types.map(type => TYPES[type].expected || `a valid ${option.label}`).join(' or ');
+  throw new TypeError(`ConsoleText: ${key} must be ${expected}, got ${inspect(value, { depth: 0, breakLength: Infinity })}${where}`);
+}
+
+/**
+ * Validate a set of options, rejecting unknown names
+ * @param {Object} options - Options keyed by name
+ * @param {string} [origin] - Where the options came from
+ */
+function validateOptions(options, origin) {
+  Object.keys(options).forEach(key => validateOption(key, options[key], origin));
+}
+
+/**
+ * Read options from CONSOLETEXT_* environment variables
+ * Empty variables are ignored; lists are comma separated and object options are JSON.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} - Validated options
+ */
+function readEnv(env = process.env) {
+  const options = {};
+  Object.keys(OPTIONS).forEach(key => {
+    const name = envName(key);
+    if (env[name] === undefined || env[name] === '') return;
+
+    const type = TYPES[[].concat(OPTIONS[key].type)[0]];
+    options[key] = type.parse(env[name]);
+    validateOption(key, options[key], name);
+  });
+  return options;
+}
+
+/**
+ * Locate the config file: an explicit path, CONSOLETEXT_CONFIG, or the first of CONFIG_FILES in cwd
+ * @private
+ * @param {string|boolean} [configFile] - Explicit path, or false to skip config files
+ * @param {Object} env - Environment variables
+ * @param {string|null} cwd - Directory searched for config files
+ * @returns {string|null} - Absolute path, or null when there is no config file
+ */
+function findConfigFile(configFile, env, cwd) {
+  // fs is an empty module in browser bundles
+  if (configFile === false || !cwd || typeof fs.existsSync !== 'function') return null;
+
+  const explicit = configFile || env[CONFIG_ENV_VAR];
+  if (explicit) {
+    const file = path.resolve(cwd, explicit);
+    if (!fs.existsSync(file)) {
+      throw new TypeError(`ConsoleText: config file "${file}" does not exist`);
+    }
+    return file;
+  }
+
+  const found = CONFIG_FILES.map(name => path.join(cwd, name)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+/**
+ * Read options from a JSON config file
+ * @param {string} file - Path of the config file
+ * @returns {Object} - Validated options
+ */
+function readConfigFile(file) {
+  let options;
+  try {
+    options = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new TypeError(`ConsoleText: cannot read config file "${file}": ${error.message}`);
+  }
+
+  if (!TYPES.object.check(options)) {
+    throw new TypeError(`ConsoleText: config file "${file}" must contain a JSON object`);
+  }
+  validateOptions(options, file);
+  return options;
+}
+
+/**
+ * Resolve the configuration of a ConsoleText instance
+ * Sources are merged with explicit options first, then CONSOLETEXT_* environment variables,
+ * then the config file, then the defaults; null and undefined values fall through to the next source.
+ * @param {Object} [options] - Options passed to the constructor
+ * @param {string|boolean} [options.configFile] - Config file path, or false to skip config files
+ * @param {Object} [sources] - Overrides for tests
+ * @param {Object} [sources.env=process.env] - Environment variables
+ * @param {string} [sources.cwd=process.cwd()] - Directory searched for config files
+ * @returns {Object} - Complete configuration
+ */
+function loadConfig(options = {}, sources = {}) {
+  const hasProcess = typeof process !== 'undefined';
+  const env = sources.env || (hasProcess && process.env) || {};
+  const cwd = sources.cwd || (hasProcess && typeof process.cwd === 'function' ? process.cwd() : null);
+
+  const explicit = {};
+  Object.keys(options).forEach(key => {
+    if (!CONSTRUCTOR_OPTIONS.includes(key)) explicit[key] = options[key];
+  });
+  validateOptions(explicit);
+  if (options.configFile != null && options.configFile !== false && typeof options.configFile !== 'string') {
+    throw new TypeError('ConsoleText: configFile must be a path or false');
+  }
+
+  const file = findConfigFile(options.configFile, env, cwd);
+  const layers = [explicit, readEnv(env), file ? readConfigFile(file) : {}];
+
+  const config = {};
+  Object.keys(OPTIONS).forEach(key => {
+    const layer = layers.find(candidate => candidate[key] != null);
+    config[key] = layer ? layer[key] : defaultValue(key);
+  });
+  return config;
+}
+
+module.exports = {
+  OPTIONS,
+  MODES,
+  CONFIG_FILES,
+  loadConfig,
+  readEnv,
+  readConfigFile,
+  validateOption,
+  validateOptions,
+  defaultValue,
+  envName
+};
@@ -0,0 +1,37 @@
+/**
+ * Utilities for propagating log context through async flows
+ * @module context
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Storage shared by every ConsoleText instance so context set by one is seen by all
+ */
+const storage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+/**
+ * Get the context of the current async flow
+ * @returns {Object} - Context fields, empty outside of runWithContext()
+ */
+function getContext() {
+  return (storage && storage.getStore()) || {};
+}
+
+/**
+ * Run a function with context fields attached to every record logged inside it
+ * Nested calls merge their fields over the enclosing context.
+ * @param {Object} context - Fields such as requestId or userId
+ * @param {Function} fn - Function to run, may be async
+ * @returns {any} - The return value of fn
+ */
+function runWithContext(context, fn) {
+  if (!storage) return fn();
+
+  return storage.run(Object.assign({}, getContext(), context), fn);
+}
+
+module.exports = {
+  getContext,
+  runWithContext
+};
@@ -0,0 +1,174 @@
+/**
+ * Utilities for formatting console lines from templates
+ * @module formatter
+ */
+
+const os = require('os');
+const path = require('path');
+const { format } = require('./inspect');
+
+/**
+ * Directory of the library sources with a trailing separator, whose frames are skipped when locating
+ * the caller; null in browser bundles, where path is an empty module and there is no __dirname
+ */
+const SOURCE_DIR = typeof path.resolve === 'function' && typeof __dirname !== 'undefined'
+  ? path.resolve(__dirname, '..') + path.sep
+  : null;
+
+/**
+ * Host name, resolved once; null in browser bundles, where os is an empty module
+ */
+const HOSTNAME = typeof os.hostname === 'function' ? os.hostname() : null;
+
+/**
+ * Values available to templates as {token}
+ */
+const TOKENS = {
+  timestamp: info => info.timestamp.toISOString(),
+  time: info => info.timestamp.toISOString().slice(11, 23),
+  relative: info => `+${info.relative}ms`,
+  level: info => info.level,
+  LEVEL: info => info.level.toUpperCase(),
+  pid: info => (info.pid === null ? '' : String(info.pid)),
+  hostname: info => info.hostname || '',
+  name: info => info.name || '',
+  file: info => (info.location ? info.location.file : ''),
+  line: info => (info.location ? String(info.location.line) : ''),
+  column: info => (info.location ? String(info.location.column) : ''),
+  function: info => (info.location ? info.location.function : ''),
+  location: info => (info.location ? `${info.location.file}:${info.location.line}` : ''),
+  message: info => format(...info.args)
+};
+
+/**
+ * Tokens that require the call site to be captured
+ */
+const LOCATION_TOKENS = ['file', 'line', 'column', 'function', 'location'];
+
+/**
+ * Stack frame lines of an error, excluding frames inside the library
+ * @param {Error} error - Error captured at the call site
+ * @returns {Array<string>} - Trimmed lines such as 'at main (app.js:3:7)'
+ */
+function externalFrames(error) {
+  return String(error.stack)
+    .split('\n')
+    .slice(1)
+    .map(frame => frame.trim())
+    .filter(frame => frame.startsWith('at ') && !(SOURCE_DIR && frame.includes(SOURCE_DIR)));
+}
+
+/**
+ * Stack frame line such as '    at fn (/app/file.js:3:7)' or '    at /app/file.js:3:7'
+ */
+const FRAME = /^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/;
+
+/**
+ * Parse the stack frames of an error, excluding frames inside the library
+ * @param {Error} error - Error captured at the call site
+ * @returns {Array<{file: string, line: number, column: number, function: string}>} - Frames, innermost first;
+ * files are relative to the working directory, Node internals keep their node: prefix
+ */
+function parseStack(error) {
+  const frames = [];
+
+  String(error.stack).split('\n').slice(1).forEach(frame => {
+    const match = FRAME.exec(frame);
+    if (!match || (SOURCE_DIR && match[2].startsWith(SOURCE_DIR))) return;
+
+    frames.push({
+      file: typeof path.isAbsolute === 'function' && path.isAbsolute(match[2]) && typeof process !== 'undefined' ? path.relative(process.cwd(), match[2]) || match[2] : match[2],
+      line: Number(match[3]),
+      column: Number(match[4]),
+      function: match[1] || '<anonymous>'
+    });
+  });
+
+  return frames;
+}
+
+/**
+ * Find the first stack frame outside of the library and Node internals
+ * Node 16 and later prefix internal modules with 'node:', older versions report them as 'internal/...'.
+ * @param {Error} error - Error captured at the call site
+ * @returns {{file: string, line: number, column: number, function: string}|null}
+ */
+function parseCallSite(error) {
+  return parseStack(error).find(frame => !/^(node:|internal\/)/.test(frame.file)) || null;
+}
+
+/**
+ * Compile a line format into a function producing the console arguments
+ * Template strings prefix the logged arguments unless they contain {message};
+ * formatter functions receive the info object and return a string or an argument array.
+ * @param {string|Function} format - Template such as '{time} {LEVEL} {location}' or formatter function
+ * @returns {Function} - format(info) returning the arguments to print, with a needsLocation flag
+ */
+function createFormatter(format) {
+  if (typeof format === 'function') {
+    const formatter = info => {
+      const output = format(info);
+      return Array.isArray(output) ? output : [output];
+    };
+    formatter.needsLocation = true;
+    return formatter;
+  }
+
+  if (typeof format !== 'string') {
+    throw new TypeError('ConsoleText: format must be a template string or a function');
+  }
+
+  const parts = format.split(/(\{\w+\})/).filter(part => part !== '');
+  const tokens = parts.filter(part => /^\{\w+\}$/.test(part)).map(part => part.slice(1, -1));
+  tokens.forEach(token => {
+    if (!TOKENS[token]) {
+      throw new TypeError(`ConsoleText: unknown format token "{${token}}"`);
+    }
+  });
+
+  const render = info => parts.map(part => {
+    const token = /^\{(\w+)\}$/.exec(part);
+    return token ? TOKENS[token[1]](info) : part;
+  }).join('');
+
+  const formatter = tokens.includes('message')
+    ? info => [render(info)]
+    : info => [render(info), ...info.args];
+  formatter.needsLocation = tokens.some(token => LOCATION_TOKENS.includes(token));
+  return formatter;
+}
+
+/**
+ * Build the info object handed to formatters
+ * @param {Object} fields - level, args, name, startTime and an Error captured at the call site
+ * @returns {Object} - Info object; location is parsed lazily from the captured stack
+ */
+function createInfo(fields) {
+  const timestamp = new Date();
+  let location;
+
+  return {
+    level: fields.level,
+    args: fields.args,
+    name: fields.name || null,
+    timestamp,
+    relative: timestamp.getTime() - fields.startTime,
+    pid: typeof process !== 'undefined' ? process.pid : null,
+    hostname: HOSTNAME,
+    get location() {
+      if (location === undefined) {
+        location = fields.callSite ? parseCallSite(fields.callSite) : null;
+      }
+      return location;
+    }
+  };
+}
+
+module.exports = {
+  createFormatter,
+  createInfo,
+  externalFrames,
+  parseCallSite,
+  parseStack,
+  TOKENS
+};
@@ -0,0 +1,75 @@
+/**
+ * util.format and util.inspect, with small fallbacks for bundles where the `browser`
+ * field of package.json replaces Node's util module with an empty one
+ * @module inspect
+ */
+
+const util = require('util');
+
+/**
+ * Describe a value for logs when util.inspect is unavailable
+ * @private
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function inspectFallback(value) {
+  if (typeof value === 'string') return `'${value}'`;
+  if (typeof value === 'function') return `[Function: ${value.name || '(anonymous)'}]`;
+  if (typeof value === 'bigint') return `${value}n`;
+  if (value instanceof Error) return value.stack || `${value.name}: ${value.message}`;
+  if (value === null || typeof value !== 'object') return String(value);
+
+  const seen = new WeakSet();
+  try {
+    return JSON.stringify(value, (key, item) => {
+      if (typeof item === 'bigint') return `${item}n`;
+      if (item !== null && typeof item === 'object') {
+        if (seen.has(item)) return '[Circular]';
+        seen.add(item);
+      }
+      return item;
+    });
+  } catch (error) {
+    return Object.prototype.toString.call(value);
+  }
+}
+
+/**
+ * Join arguments like util.format when it is unavailable, supporting %s, %d, %i, %f, %j, %o, %O, %c and %%
+ * @private
+ * @param {...*} args - Format string and values
+ * @returns {string}
+ */
+function formatFallback(...args) {
+  const parts = [];
+  let index = 0;
+
+  if (typeof args[0] === 'string') {
+    index = 1;
+    parts.push(args[0].replace(/%([sdifjoOc%])/g, (match, type) => {
+      if (type === '%') return '%';
+      if (index >= args.length) return match;
+      const value = args[index++];
+      switch (type) {
+        case 's': return typeof value === 'string' ? value : inspectFallback(value);
+        case 'd': return String(Number(value));
+        case 'i': return String(parseInt(value, 10));
+        case 'f': return String(parseFloat(value));
+        case 'c': return '';
+        default: return inspectFallback(value);
+      }
+    }));
+  }
+
+  args.slice(index).forEach(value => {
+    parts.push(typeof value === 'string' ? value : inspectFallback(value));
+  });
+  return parts.join(' ');
+}
+
+module.exports = {
+  format: typeof util.format === 'function' ? util.format : formatFallback,
+  inspect: typeof util.inspect === 'function' ? util.inspect : inspectFallback,
+  formatFallback,
+  inspectFallback
+};
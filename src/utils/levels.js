@@ -0,0 +1,56 @@
+/**
+ * Utilities for log level thresholds and routing
+ * @module levels
+ */
+
+/**
+ * Severity of each log level; `text` ranks alongside `info`
+ */
+const LEVELS = {
+  debug: 10,
+  log: 20,
+  info: 30,
+  text: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity
+};
+
+/**
+ * Console methods that produce log records
+ */
+const LOG_METHODS = ['log', 'info', 'warn', 'error', 'debug', 'text'];
+
+/**
+ * Console methods that are not log levels and can be sent to transports via remoteMethods
+ */
+const OTHER_METHODS = ['dir', 'table', 'trace'];
+
+/**
+ * Resolve a level specification to the set of enabled levels
+ * @param {string|Array<string>} spec - Minimum level name, or an explicit list of levels
+ * @returns {Set<string>} - Enabled level names
+ */
+function resolveLevels(spec) {
+  if (Array.isArray(spec)) {
+    spec.forEach(level => {
+      if (!LOG_METHODS.includes(level)) {
+        throw new TypeError(`ConsoleText: unknown level "${level}"`);
+      }
+    });
+    return new Set(spec);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(LEVELS, spec)) {
+    throw new TypeError(`ConsoleText: unknown level "${spec}"`);
+  }
+
+  return new Set(LOG_METHODS.filter(level => LEVELS[level] >= LEVELS[spec]));
+}
+
+module.exports = {
+  LEVELS,
+  LOG_METHODS,
+  OTHER_METHODS,
+  resolveLevels
+};
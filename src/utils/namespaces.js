@@ -0,0 +1,71 @@
+/**
+ * Utilities for enabling namespaced loggers with DEBUG-style patterns
+ * @module namespaces
+ */
+
+/**
+ * Environment variable holding the default namespace patterns
+ */
+const ENV_VAR = 'CONSOLETEXT_DEBUG';
+
+/**
+ * Convert a wildcard pattern such as 'db:*' into an anchored regular expression
+ * @private
+ * @param {string} pattern - Namespace pattern
+ * @returns {RegExp}
+ */
+function toRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*?');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a namespace filter from a pattern list
+ * Patterns are separated by commas or whitespace, '*' matches any characters
+ * and a leading '-' disables matching namespaces, taking precedence over enables.
+ * @param {string} [spec] - Patterns such as 'db:*,-db:pool'; nothing is enabled when empty
+ * @returns {Function} - enabled(namespace) returning a boolean, with the original spec attached
+ */
+function createNamespaceFilter(spec) {
+  const names = [];
+  const skips = [];
+
+  String(spec || '').split(/[\s,]+/).filter(Boolean).forEach(pattern => {
+    if (pattern.startsWith('-')) {
+      skips.push(toRegExp(pattern.slice(1)));
+    } else {
+      names.push(toRegExp(pattern));
+    }
+  });
+
+  const cache = new Map();
+  const enabled = namespace => {
+    if (!cache.has(namespace)) {
+      cache.set(namespace, !skips.some(skip => skip.test(namespace)) && names.some(name => name.test(namespace)));
+    }
+    return cache.get(namespace);
+  };
+  enabled.spec = spec || '';
+  return enabled;
+}
+
+/**
+ * Format the time elapsed between two messages of a namespace
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {string} - Delta such as '+12ms', '+1.5s', '+3m' or '+2h'
+ */
+function formatDelta(ms) {
+  if (ms < 1000) return `+${ms}ms`;
+  if (ms < 60000) return `+${Math.round(ms / 100) / 10}s`;
+  if (ms < 3600000) return `+${Math.round(ms / 60000)}m`;
+  return `+${Math.round(ms / 3600000)}h`;
+}
+
+module.exports = {
+  createNamespaceFilter,
+  formatDelta,
+  ENV_VAR
+};
@@ -0,0 +1,60 @@
+/**
+ * Utilities for printing stored log records for humans
+ * @module pretty
+ */
+
+/**
+ * Format a record as a single colored line, followed by its error stack when it has one
+ * @param {Object} record - Log record
+ * @param {Object} colorizer - Colorizer created by createColorizer()
+ * @returns {string} - Such as '12:30:05.123  INFO  db:query connected {"requestId":"r1"}'
+ */
+function formatRecord(record, colorizer) {
+  const level = String(record.level);
+  const parts = [];
+
+  if (typeof record.timestamp === 'string') {
+    parts.push(record.timestamp.slice(11, 23));
+  }
+  parts.push(colorizer.badge(level));
+  if (record.namespace) {
+    parts.push(colorizer.paintNamespace(record.namespace, record.namespace));
+  }
+  parts.push(colorizer.paint(level, String(record.message)));
+  if (record.context && Object.keys(record.context).length > 0) {
+    parts.push(JSON.stringify(record.context));
+  }
+
+  let line = parts.join(' ');
+  if (record.error && typeof record.error.stack === 'string') {
+    // The first stack line repeats the message
+    const frames = record.error.stack.split('\n').slice(1).map(frame => `    ${frame.trim()}`);
+    if (frames.length > 0) line += '\n' + frames.join('\n');
+  }
+  return line;
+}
+
+/**
+ * Create a record filter from tail options
+ * @param {Object} [options] - Filter options
+ * @param {Set<string>} [options.levels] - Levels to keep
+ * @param {string} [options.grep] - Case-insensitive text the message or context must contain
+ * @returns {Function} - matches(record) returning a boolean
+ */
+function createRecordFilter(options = {}) {
+  const grep = options.grep ? options.grep.toLowerCase() : null;
+
+  return record => {
+    if (options.levels && !options.levels.has(record.level)) return false;
+    if (grep) {
+      const text = `${record.message} ${record.context ? JSON.stringify(record.context) : ''}`.toLowerCase();
+      if (!text.includes(grep)) return false;
+    }
+    return true;
+  };
+}
+
+module.exports = {
+  formatRecord,
+  createRecordFilter
+};
@@ -0,0 +1,223 @@
+/**
+ * Utilities for redacting secrets and PII from log arguments
+ * @module redactor
+ */
+
+/**
+ * Built-in patterns that can be referenced by name in `redact.patterns`
+ */
+const BUILT_IN_PATTERNS = {
+  // Quantifiers are bounded (RFC 5321 lengths) so long strings without a match stay linear
+  email: /[A-Za-z0-9._%+-]{1,64}@(?:[A-Za-z0-9-]{1,63}\.){1,8}[A-Za-z]{2,63}/g,
+  bearer: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+  jwt: /\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+  creditCard: /\b(?:\d[ -]?){12,18}\d\b/g
+};
+
+/**
+ * Default replacement for redacted values
+ */
+const DEFAULT_CENSOR = '[REDACTED]';
+
+/**
+ * Check a candidate card number with the Luhn checksum to avoid censoring arbitrary digits
+ * @private
+ * @param {string} candidate - Digits, optionally separated by spaces or dashes
+ * @returns {boolean}
+ */
+function passesLuhn(candidate) {
+  const digits = candidate.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Split a path such as `users[*].token` into segments
+ * @private
+ * @param {string} path - Dotted path with optional bracket notation
+ * @returns {Array<string>}
+ */
+function parsePath(path) {
+  return path
+    .replace(/\[(\*|\d+)\]/g, '.$1')
+    .replace(/\[["']?([^\]"']+)["']?\]/g, '.$1')
+    .split('.')
+    .filter(segment => segment !== '');
+}
+
+/**
+ * Compile paths into a trie; single-segment paths match the key at any depth
+ * @private
+ * @param {Array<string>} paths - Redaction paths
+ * @returns {{root: Object, anywhere: Set<string>}}
+ */
+function compilePaths(paths) {
+  const root = { children: new Map(), wildcard: null, terminal: false };
+  const anywhere = new Set();
+
+  paths.forEach(path => {
+    const segments = parsePath(path);
+    if (segments.length === 1 && segments[0] !== '*') {
+      anywhere.add(segments[0]);
+      return;
+    }
+
+    let node = root;
+    segments.forEach(segment => {
+      if (segment === '*') {
+        node.wildcard = node.wildcard || { children: new Map(), wildcard: null, terminal: false };
+        node = node.wildcard;
+      } else {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, { children: new Map(), wildcard: null, terminal: false });
+        }
+        node = node.children.get(segment);
+      }
+    });
+    node.terminal = true;
+  });
+
+  return { root, anywhere };
+}
+
+/**
+ * Resolve pattern names and normalize every pattern to a global RegExp
+ * @private
+ * @param {Array<string|RegExp>} patterns - Pattern names or regular expressions
+ * @returns {Array<RegExp>}
+ */
+function compilePatterns(patterns) {
+  return patterns.map(pattern => {
+    if (typeof pattern === 'string') {
+      if (!BUILT_IN_PATTERNS[pattern]) {
+        throw new TypeError(`ConsoleText: unknown redact pattern "${pattern}"`);
+      }
+      return BUILT_IN_PATTERNS[pattern];
+    }
+    if (pattern instanceof RegExp) {
+      return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g');
+    }
+    throw new TypeError('ConsoleText: redact patterns must be names or regular expressions');
+  });
+}
+
+/**
+ * Create a function that redacts configured paths and patterns from values
+ * Values are copied only where something is redacted; untouched values keep their identity.
+ * @param {Object} [options] - Redaction options
+ * @param {Array<string>} [options.paths] - Key paths such as 'password', 'req.headers.authorization' or 'users[*].token'
+ * @param {Array<string|RegExp>} [options.patterns] - Regular expressions or built-in names ('email', 'bearer', 'jwt', 'creditCard')
+ * @param {string} [options.censor='[REDACTED]'] - Replacement for redacted values
+ * @returns {Function} - redact(value) returning the redacted value
+ */
+function createRedactor(options) {
+  if (!options) return value => value;
+
+  const censor = options.censor != null ? options.censor : DEFAULT_CENSOR;
+  const { root, anywhere } = compilePaths(options.paths || []);
+  const patterns = compilePatterns(options.patterns || []);
+  const hasPaths = anywhere.size > 0 || root.children.size > 0 || root.wildcard !== null;
+
+  const redactString = input => {
+    let output = input;
+    patterns.forEach(pattern => {
+      output = output.replace(pattern, match => {
+        if (pattern === BUILT_IN_PATTERNS.creditCard && !passesLuhn(match)) return match;
+        return censor;
+      });
+    });
+    return output;
+  };
+
+  const nextNodes = (nodes, key) => {
+    const next = [];
+    nodes.forEach(node => {
+      const child = node.children.get(key);
+      if (child) next.push(child);
+      if (node.wildcard) next.push(node.wildcard);
+    });
+    return next;
+  };
+
+  const ancestors = new WeakSet();
+
+  function walk(input, nodes) {
+    if (typeof input === 'string') return patterns.length > 0 ? redactString(input) : input;
+    if (input === null || typeof input !== 'object') return input;
+    if (ancestors.has(input) || input instanceof Date || input instanceof RegExp || ArrayBuffer.isView(input)) {
+      return input;
+    }
+
+    ancestors.add(input);
+    let result = input;
+
+    const visit = (key, value, assign) => {
+      const next = hasPaths ? nextNodes(nodes, key) : nodes;
+      const redacted = anywhere.has(key) || next.some(node => node.terminal)
+        ? censor
+        : walk(value, next);
+      if (redacted !== value) assign(redacted);
+    };
+
+    if (Array.isArray(input)) {
+      input.forEach((item, index) => visit(String(index), item, redacted => {
+        if (result === input) result = input.slice();
+        result[index] = redacted;
+      }));
+    } else if (input instanceof Map) {
+      input.forEach((value, key) => visit(String(key), value, redacted => {
+        if (result === input) result = new Map(input);
+        result.set(key, redacted);
+      }));
+    } else if (input instanceof Set) {
+      const items = Array.from(input);
+      const next = hasPaths ? nextNodes(nodes, '*') : nodes;
+      const redacted = items.map(item => walk(item, next));
+      if (redacted.some((item, index) => item !== items[index])) {
+        result = new Set(redacted);
+      }
+    } else {
+      const keys = Object.keys(input);
+      if (input instanceof Error) {
+        ['message', 'stack', 'cause'].forEach(key => {
+          if (!keys.includes(key) && input[key] !== undefined) keys.push(key);
+        });
+      }
+
+      keys.forEach(key => visit(key, input[key], redacted => {
+        if (result === input) {
+          result = Object.create(Object.getPrototypeOf(input));
+          Object.entries(Object.getOwnPropertyDescriptors(input)).forEach(([name, descriptor]) => {
+            // Frozen inputs must still yield a writable copy
+            Object.defineProperty(result, name, Object.assign(descriptor, { configurable: true }, 'value' in descriptor ? { writable: true } : {}));
+          });
+        }
+        Object.defineProperty(result, key, {
+          value: redacted,
+          writable: true,
+          configurable: true,
+          enumerable: Object.prototype.propertyIsEnumerable.call(input, key)
+        });
+      }));
+    }
+
+    ancestors.delete(input);
+    return result;
+  }
+
+  return value => walk(value, [root]);
+}
+
+module.exports = {
+  createRedactor,
+  BUILT_IN_PATTERNS,
+  DEFAULT_CENSOR
+};
@@ -0,0 +1,72 @@
+/**
+ * Utilities for retrying failed deliveries
+ * @module retry
+ */
+
+/**
+ * Determine whether a delivery error is worth retrying
+ * Network failures, 5xx responses and 429 rate limiting are retryable.
+ * @param {Error} error - Error thrown by the transport
+ * @returns {boolean} - True if the request should be retried
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+  if (!error.response) return true;
+
+  const status = error.response.status;
+  return status >= 500 || status === 429;
+}
+
+/**
+ * Compute the delay before a retry attempt using exponential backoff with jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.minDelay=500] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxDelay=30000] - Upper bound for a single delay in milliseconds
+ * @param {Function} [options.random=Math.random] - Random source used for jitter
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, options = {}) {
+  const minDelay = options.minDelay != null ? options.minDelay : 500;
+  const maxDelay = options.maxDelay != null ? options.maxDelay : 30000;
+  const random = options.random || Math.random;
+
+  const ceiling = Math.min(maxDelay, minDelay * Math.pow(2, attempt));
+  // Equal jitter: keep half of the delay, randomize the other half
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Run an async function, retrying retryable failures with exponential backoff
+ * @param {Function} fn - Async function to run
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries=3] - Maximum number of retries after the first attempt
+ * @param {number} [options.minDelay=500] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxDelay=30000] - Upper bound for a single delay in milliseconds
+ * @param {Function} [options.shouldRetry=isRetryableError] - Decides whether an error is retryable
+ * @returns {Promise<any>} - Resolves with the result of fn, rejects with its last error
+ */
+async function retry(fn, options = {}) {
+  const retries = options.retries != null ? options.retries : 3;
+  const shouldRetry = options.shouldRetry || isRetryableError;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, options);
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = {
+  retry,
+  backoffDelay,
+  isRetryableError
+};
@@ -0,0 +1,167 @@
+/**
+ * Utilities for turning arbitrary log arguments into JSON-safe values
+ * @module serializer
+ */
+
+/**
+ * Default serialization limits
+ */
+const DEFAULT_LIMITS = {
+  maxDepth: 10,
+  maxStringLength: 10000,
+  maxArrayLength: 100
+};
+
+/**
+ * Truncate a string beyond the configured length
+ * @private
+ * @param {string} value - String to truncate
+ * @param {number} max - Maximum length
+ * @returns {string}
+ */
+function truncate(value, max) {
+  if (value.length <= max) return value;
+  return `${value.slice(0, max)}... (${value.length - max} more characters)`;
+}
+
+/**
+ * Serialize an Error including its cause chain and custom properties
+ * @private
+ * @param {Error} error - Error to serialize
+ * @param {Function} walk - Recursive serializer
+ * @returns {Object}
+ */
+function serializeError(error, walk) {
+  const result = {
+    name: error.name,
+    message: walk(error.message),
+    stack: error.stack ? walk(error.stack) : undefined
+  };
+
+  if (error.cause !== undefined) {
+    result.cause = walk(error.cause);
+  }
+
+  Object.keys(error).forEach(key => {
+    if (!(key in result)) {
+      result[key] = walk(error[key]);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Convert a value into a JSON-safe structure
+ * Handles circular references, Errors (with cause), Map, Set, BigInt, Buffer,
+ * typed arrays, Date, functions and symbols, and enforces depth and length limits.
+ * @param {any} value - Value to serialize
+ * @param {Object} [options] - Serialization limits
+ * @param {number} [options.maxDepth=10] - Nesting depth beyond which objects are summarized
+ * @param {number} [options.maxStringLength=10000] - Characters kept per string
+ * @param {number} [options.maxArrayLength=100] - Items kept per array, Set or Map
+ * @returns {any} - JSON-safe value
+ */
+function serialize(value, options = {}) {
+  const limits = Object.assign({}, DEFAULT_LIMITS, options);
+  const seen = new WeakSet();
+
+  const limitItems = (items, depth) => {
+    const kept = items.slice(0, limits.maxArrayLength).map(item => walk(item, depth + 1));
+    if (items.length > limits.maxArrayLength) {
+      kept.push(`... ${items.length - limits.maxArrayLength} more items`);
+    }
+    return kept;
+  };
+
+  function walk(input, depth = 0) {
+    switch (typeof input) {
+      case 'string':
+        return truncate(input, limits.maxStringLength);
+      case 'number':
+        return Number.isFinite(input) ? input : String(input);
+      case 'boolean':
+      case 'undefined':
+        return input;
+      case 'bigint':
+        return { __type: 'BigInt', value: input.toString() };
+      case 'symbol':
+        return input.toString();
+      case 'function':
+        return `[Function: ${input.name || 'anonymous'}]`;
+    }
+
+    if (input === null) return null;
+
+    if (input instanceof Date) {
+      return isNaN(input.getTime()) ? 'Invalid Date' : input.toISOString();
+    }
+    if (input instanceof RegExp) {
+      return input.toString();
+    }
+
+    if (seen.has(input)) return '[Circular]';
+
+    if (typeof Buffer !== 'undefined' && Buffer.isBuffer(input)) {
+      return {
+        __type: 'Buffer',
+        length: input.length,
+        data: input.subarray(0, limits.maxArrayLength).toString('base64')
+      };
+    }
+    if (ArrayBuffer.isView(input)) {
+      return { __type: input.constructor.name, values: limitItems(Array.from(input), depth) };
+    }
+
+    if (depth >= limits.maxDepth) {
+      if (Array.isArray(input)) return '[Array]';
+      return `[${(input.constructor && input.constructor.name) || 'Object'}]`;
+    }
+
+    seen.add(input);
+    let result;
+
+    if (input instanceof Error) {
+      result = serializeError(input, item => walk(item, depth + 1));
+    } else if (Array.isArray(input)) {
+      result = limitItems(input, depth);
+    } else if (input instanceof Map) {
+      result = { __type: 'Map', entries: limitItems(Array.from(input.entries()), depth) };
+    } else if (input instanceof Set) {
+      result = { __type: 'Set', values: limitItems(Array.from(input.values()), depth) };
+    } else if (typeof input.toJSON === 'function') {
+      result = walk(input.toJSON(), depth);
+    } else {
+      result = {};
+      Object.keys(input).forEach(key => {
+        result[key] = walk(input[key], depth + 1);
+      });
+    }
+
+    seen.delete(input);
+    return result;
+  }
+
+  return walk(value);
+}
+
+/**
+ * Flatten log arguments into a single human-readable message
+ * @param {Array} args - Log arguments
+ * @param {Object} [options] - Serialization limits passed to serialize()
+ * @returns {string}
+ */
+function formatMessage(args, options = {}) {
+  return args.map(arg => {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+    if (arg !== null && typeof arg === 'object') return JSON.stringify(serialize(arg, options));
+    return String(arg);
+  }).join(' ');
+}
+
+module.exports = {
+  serialize,
+  formatMessage,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,86 @@
+/**
+ * Utilities for signing request bodies and verifying signed requests
+ * @module signing
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Header carrying the milliseconds since the epoch at which a request was signed
+ */
+const TIMESTAMP_HEADER = 'X-ConsoleText-Timestamp';
+
+/**
+ * Header carrying `sha256=<hex HMAC of "<timestamp>.<body>">`
+ */
+const SIGNATURE_HEADER = 'X-ConsoleText-Signature';
+
+/**
+ * Signed requests older or further in the future than this many milliseconds are rejected
+ */
+const DEFAULT_TOLERANCE = 5 * 60 * 1000;
+
+/**
+ * Compute the signature of a body
+ * The timestamp is part of the signed text, so a captured request cannot be replayed with a fresh timestamp.
+ * @param {string|Buffer} body - Uncompressed request body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - Such as 'sha256=5d41402abc...'
+ */
+function computeSignature(body, secret, timestamp) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+}
+
+/**
+ * Create the signature headers of a body
+ * @param {string|Buffer} body - Uncompressed request body
+ * @param {string} secret - Shared secret
+ * @param {number} [timestamp=Date.now()] - Milliseconds since the epoch
+ * @returns {Object} - Timestamp and signature headers
+ */
+function signPayload(body, secret, timestamp = Date.now()) {
+  return {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: computeSignature(body, secret, timestamp)
+  };
+}
+
+/**
+ * Verify the signature headers of a received body
+ * @param {string|Buffer} body - Uncompressed request body
+ * @param {Object} headers - Request headers, with lower-case names as in Node's http module
+ * @param {string} secret - Shared secret
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.tolerance=300000] - Accepted clock difference in milliseconds
+ * @param {number} [options.now=Date.now()] - Current time
+ * @returns {string|null} - Why the request is rejected, or null when the signature is valid
+ */
+function verifySignature(body, headers, secret, options = {}) {
+  const tolerance = options.tolerance != null ? options.tolerance : DEFAULT_TOLERANCE;
+  const now = options.now != null ? options.now : Date.now();
+  const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+  const signature = headers[SIGNATURE_HEADER.toLowerCase()];
+
+  if (typeof timestamp !== 'string' || typeof signature !== 'string') {
+    return 'Missing signature';
+  }
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > tolerance) {
+    return 'Signature timestamp outside the accepted window';
+  }
+
+  const expected = Buffer.from(computeSignature(body, secret, timestamp));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return 'Invalid signature';
+  }
+  return null;
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  TIMESTAMP_HEADER,
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE
+};
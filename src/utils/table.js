@@ -0,0 +1,91 @@
+/**
+ * Utilities for turning console.table data into rows and columns
+ * @module table
+ */
+
+const { serialize } = require('./serializer');
+
+/**
+ * Check whether a value is rendered in the Values column rather than expanded
+ * @private
+ * @param {any} value - Cell value
+ * @returns {boolean}
+ */
+function isPrimitive(value) {
+  return value === null || (typeof value !== 'object' && typeof value !== 'function');
+}
+
+/**
+ * Lay out tabular data the way console.table does
+ * Columns start with the index column; arrays and objects contribute one row per entry,
+ * Maps a Key and Values column and Sets a Values column. Cells are serialized, missing cells are null.
+ * @param {any} data - Data passed to console.table
+ * @param {Array<string>} [properties] - Columns to include, as passed to console.table
+ * @param {Object} [limits] - Serialization limits; maxArrayLength also caps the number of rows
+ * @returns {{columns: Array<string>, rows: Array<Array>, truncated?: number}|null} - Null when the data is not tabular
+ */
+function tabulate(data, properties, limits = {}) {
+  if (isPrimitive(data)) return null;
+
+  const cell = value => (value === undefined ? null : serialize(value, limits));
+
+  let entries;
+  if (data instanceof Map || data instanceof Set) {
+    entries = Array.from(data.entries(), (entry, index) => [index, ...entry]);
+  } else {
+    entries = Object.keys(data).map(key => [key, data[key]]);
+  }
+
+  const total = entries.length;
+  if (limits.maxArrayLength && total > limits.maxArrayLength) {
+    entries = entries.slice(0, limits.maxArrayLength);
+  }
+
+  let table;
+  if (data instanceof Map) {
+    table = {
+      columns: ['(iteration index)', 'Key', 'Values'],
+      rows: entries.map(([index, key, value]) => [index, cell(key), cell(value)])
+    };
+  } else if (data instanceof Set) {
+    table = {
+      columns: ['(iteration index)', 'Values'],
+      rows: entries.map(([index, value]) => [index, cell(value)])
+    };
+  } else {
+    const keys = properties ? properties.map(String) : [];
+    let hasValues = false;
+
+    entries.forEach(([, value]) => {
+      if (isPrimitive(value)) {
+        hasValues = true;
+      } else if (!properties) {
+        Object.keys(value).forEach(key => {
+          if (!keys.includes(key)) keys.push(key);
+        });
+      }
+    });
+
+    const columns = ['(index)', ...keys];
+    if (hasValues) columns.push('Values');
+
+    table = {
+      columns,
+      rows: entries.map(([index, value]) => {
+        const row = [index];
+        keys.forEach(key => row.push(isPrimitive(value) || !(key in value) ? null : cell(value[key])));
+        if (hasValues) row.push(isPrimitive(value) ? cell(value) : null);
+        return row;
+      })
+    };
+  }
+
+  if (entries.length < total) {
+    table.truncated = total - entries.length;
+  }
+  return table;
+}
+
+module.exports = {
+  tabulate
+};
@@ -0,0 +1,6 @@
+/**
+ * ConsoleText testing helpers: console capture and Jest matchers
+ * @module consoleText/testing
+ */
+
+module.exports = require('./src/testing');